@@ -28,6 +28,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
       drawer.setColor(0, 0.8, 0, 0.7); // Semi-transparent green
       drawer.rect(300, 200, 150, 150);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
    });
 
    document.getElementById("drawCircle").addEventListener("click", () => {
@@ -43,6 +46,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
       drawer.setColor(0, 0.8, 0, 0.7); // Semi-transparent green
       drawer.circle(300, 400, 80);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
    });
 
    document.getElementById("drawLine").addEventListener("click", () => {
@@ -58,6 +64,22 @@ document.addEventListener("DOMContentLoaded", () => {
 
       drawer.setColor(0, 0.8, 0, 1); // Green
       drawer.line(400, 100, 400, 500, 15);
+
+      // Draw a thick zigzag with rounded joins and caps
+      drawer.setColor(0.8, 0.4, 0, 0.6); // Semi-transparent orange
+      drawer.polyline(
+         [
+            { x: 100, y: 550 },
+            { x: 250, y: 420 },
+            { x: 400, y: 550 },
+            { x: 550, y: 420 },
+            { x: 700, y: 550 },
+         ],
+         { lineWidth: 20, lineJoin: "round", lineCap: "round" }
+      );
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
    });
 
    document.getElementById("drawArc").addEventListener("click", () => {
@@ -73,6 +95,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
       drawer.setColor(0, 0.8, 0, 0.7); // Semi-transparent green
       drawer.arc(300, 400, 80, Math.PI, Math.PI * 2, true); // Half circle counterclockwise
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
    });
 
    document.getElementById("drawCurve").addEventListener("click", () => {
@@ -88,6 +113,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
       drawer.setColor(0, 0.8, 0, 0.7); // Semi-transparent green
       drawer.bezierCurve(200, 500, 300, 300, 500, 400, 700, 500, 3);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
    });
 
    document.getElementById("drawPolygon").addEventListener("click", () => {
@@ -132,6 +160,29 @@ document.addEventListener("DOMContentLoaded", () => {
          });
       }
       drawer.polygon(hexPoints, false, 3); // Outlined with 3px width
+
+      // Draw a concave star with a square hole
+      drawer.setColor(0.8, 0.5, 0, 0.8); // Semi-transparent orange
+      const starPoints = [];
+      const starCenter = { x: 600, y: 420 };
+      for (let i = 0; i < 10; i++) {
+         const angle = (i * Math.PI) / 5 - Math.PI / 2;
+         const radius = i % 2 === 0 ? 120 : 50;
+         starPoints.push({
+            x: starCenter.x + radius * Math.cos(angle),
+            y: starCenter.y + radius * Math.sin(angle),
+         });
+      }
+      const holePoints = [
+         { x: starCenter.x - 20, y: starCenter.y - 20 },
+         { x: starCenter.x - 20, y: starCenter.y + 20 },
+         { x: starCenter.x + 20, y: starCenter.y + 20 },
+         { x: starCenter.x + 20, y: starCenter.y - 20 },
+      ];
+      drawer.polygon([starPoints, holePoints], true, 1, "evenodd");
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
    });
 
    document.getElementById("drawEllipse").addEventListener("click", () => {
@@ -147,6 +198,794 @@ document.addEventListener("DOMContentLoaded", () => {
 
       drawer.setColor(0, 0.8, 0, 0.7); // Semi-transparent green
       drawer.ellipse(300, 400, 120, 60, Math.PI / 4); // Rotated ellipse
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawOutline").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // Draw outlines with different colors and widths
+      drawer.setColor(1, 0, 0, 0.5); // Semi-transparent red
+      drawer.strokeRect(100, 100, 250, 150, 12);
+
+      drawer.setColor(0, 0, 1, 0.5); // Semi-transparent blue
+      drawer.strokeCircle(450, 250, 120, 20);
+
+      drawer.setColor(0, 0.8, 0, 0.7); // Semi-transparent green
+      drawer.strokeEllipse(300, 420, 150, 60, Math.PI / 8, 6);
+
+      drawer.setColor(0.8, 0.4, 0, 1); // Orange
+      drawer.strokeArc(620, 450, 80, Math.PI, Math.PI * 2, false, 10);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawPath").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // Build a rounded speech bubble out of lines, arcs and curves
+      const bubble = new WebGLPath()
+         .moveTo(200, 100)
+         .arcTo(600, 100, 600, 400, 40)
+         .arcTo(600, 400, 200, 400, 40)
+         .lineTo(320, 400)
+         .quadraticCurveTo(280, 480, 220, 500)
+         .bezierCurveTo(250, 460, 260, 430, 250, 400)
+         .arcTo(200, 400, 200, 100, 40)
+         .arcTo(200, 100, 600, 100, 40)
+         .closePath();
+
+      drawer.setColor(0.2, 0.6, 1, 0.5); // Semi-transparent light blue
+      drawer.fill(bubble);
+
+      drawer.setColor(0, 0, 0.6, 1); // Dark blue
+      drawer.stroke(bubble, 6, { lineJoin: "round" });
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   // A 4x4 checkerboard given as raw RGBA pixels
+   const checker = { width: 4, height: 4, data: new Uint8Array(4 * 4 * 4) };
+   for (let i = 0; i < 16; i++) {
+      const shade = ((i >> 2) + i) % 2 ? 255 : 60;
+      checker.data.set([shade, shade, shade, 255], i * 4);
+   }
+
+   // A small icon painted with Canvas 2D
+   const icon = document.createElement("canvas");
+   icon.width = icon.height = 64;
+   const iconContext = icon.getContext("2d");
+   iconContext.fillStyle = "#ffcc00";
+   iconContext.beginPath();
+   iconContext.arc(32, 32, 30, 0, Math.PI * 2);
+   iconContext.fill();
+   iconContext.fillStyle = "#333333";
+   iconContext.fillRect(20, 20, 6, 10);
+   iconContext.fillRect(38, 20, 6, 10);
+   iconContext.fillRect(18, 42, 28, 5);
+
+   document.getElementById("drawImage").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // Images are multiplied by the current color, white leaves them as is
+      drawer.setColor(1, 1, 1, 1);
+
+      // The same tiny checkerboard scaled up with both filters
+      drawer.imageSmoothingEnabled = false;
+      drawer.drawImage(checker, 100, 100, 200, 200);
+      drawer.imageSmoothingEnabled = true;
+      drawer.drawImage(checker, 500, 100, 200, 200);
+
+      // A rotated icon next to vector shapes
+      drawer.setColor(0.2, 0.6, 1, 1); // Blue
+      drawer.circle(250, 450, 90);
+      drawer.save();
+      drawer.translate(250, 450);
+      drawer.rotate(Math.PI / 8);
+      drawer.setColor(1, 1, 1, 1);
+      drawer.drawImage(icon, -64, -64, 128, 128);
+      drawer.restore();
+
+      // The left half of the icon, tinted red and half transparent
+      drawer.setColor(1, 0.3, 0.3, 0.5);
+      drawer.drawImage(icon, 0, 0, 32, 64, 520, 380, 80, 160);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawText").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // A centered title
+      drawer.setColor(0.1, 0.1, 0.4, 1); // Dark blue
+      drawer.fillText("WebGL Text", 400, 120, {
+         fontSize: 64,
+         fontWeight: "bold",
+         textAlign: "center",
+      });
+
+      // A label box sized to its text
+      const label = "Measured label";
+      const metrics = drawer.measureText(label, { fontSize: 24 });
+      drawer.setColor(1, 0.85, 0.3, 1); // Yellow
+      drawer.rect(100, 200, metrics.width + 20, 40);
+      drawer.setColor(0, 0, 0, 1); // Black
+      drawer.fillText(label, 110, 220, {
+         fontSize: 24,
+         textBaseline: "middle",
+      });
+
+      // Rotated and scaled text stays sharp
+      drawer.save();
+      drawer.translate(500, 400);
+      drawer.rotate(-Math.PI / 12);
+      drawer.scale(3);
+      drawer.setColor(0.8, 0.1, 0.1, 1); // Red
+      drawer.fillText("Scaled", 0, 0, { fontSize: 20, textAlign: "center" });
+      drawer.restore();
+
+      // Small print in a serif font
+      drawer.setColor(0.3, 0.3, 0.3, 1); // Gray
+      drawer.fillText("The quick brown fox jumps over the lazy dog", 100, 550, {
+         fontFamily: "Georgia, serif",
+         fontSize: 14,
+      });
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawGradient").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // Sky background fading from blue to white
+      const sky = drawer.createLinearGradient(0, 0, 0, 600);
+      sky.addColorStop(0, "hsl(220, 75%, 60%)");
+      sky.addColorStop(1, "white");
+      drawer.setColor(sky);
+      drawer.rect(0, 0, 800, 600);
+
+      // Shaded markers lit from the top left
+      for (const [x, y, hue] of [
+         [200, 250, [1, 0.2, 0.2]],
+         [400, 250, [0.2, 0.8, 0.2]],
+         [600, 250, [0.9, 0.6, 0.1]],
+      ]) {
+         const shade = drawer.createRadialGradient(x - 25, y - 25, 5, x, y, 70);
+         const dark = hue.map((c) => c * 0.3);
+         shade.addColorStop(0, [1, 1, 1]);
+         shade.addColorStop(0.3, hue);
+         shade.addColorStop(1, dark);
+         drawer.setColor(shade);
+         drawer.circle(x, y, 70);
+      }
+
+      // A rainbow line and ellipse share one gradient
+      const rainbow = drawer.createLinearGradient(100, 0, 700, 0);
+      rainbow.addColorStop(0, [1, 0, 0]);
+      rainbow.addColorStop(0.25, [1, 1, 0]);
+      rainbow.addColorStop(0.5, [0, 1, 0]);
+      rainbow.addColorStop(0.75, [0, 0, 1]);
+      rainbow.addColorStop(1, [1, 0, 1]);
+      drawer.setColor(rainbow);
+      drawer.line(100, 400, 700, 400, 12);
+      drawer.ellipse(400, 500, 300, 40);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawSmooth").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // The same shapes without and with anti-aliasing, side by side
+      for (const [offset, antialias] of [
+         [0, false],
+         [400, true],
+      ]) {
+         drawer.save();
+         drawer.translate(offset, 0);
+         drawer.antialias = antialias;
+
+         drawer.setColor(0.2, 0.4, 0.9, 1); // Blue
+         drawer.circle(100, 120, 60);
+         drawer.ellipse(270, 120, 90, 40, Math.PI / 6);
+
+         drawer.setColor(0.9, 0.5, 0.1, 1); // Orange
+         drawer.roundRect(40, 220, 300, 100, 30);
+
+         // Thin and thick lines at shallow angles show the difference most
+         drawer.setColor(0.1, 0.1, 0.1, 1); // Black
+         for (let i = 0; i < 6; i++) {
+            drawer.line(40, 360 + i * 20, 340, 380 + i * 30, 1 + i);
+         }
+         drawer.lineCap = "round";
+         drawer.setColor(0.8, 0.1, 0.3, 1); // Red
+         drawer.line(60, 560, 320, 520, 16);
+
+         drawer.restore();
+      }
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawBlend").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // Three overlapping circles over a striped backdrop in every mode
+      const modes = [
+         "source-over",
+         "lighter",
+         "multiply",
+         "screen",
+         "destination-out",
+         "copy",
+      ];
+      modes.forEach((mode, i) => {
+         const x = (i % 3) * 260 + 20;
+         const y = Math.floor(i / 3) * 290 + 20;
+
+         drawer.setColor(0.3, 0.3, 0.3, 1); // Dark gray
+         drawer.rect(x, y, 240, 120);
+         drawer.setColor(0.85, 0.85, 0.85, 1); // Light gray
+         drawer.rect(x, y + 120, 240, 120);
+
+         drawer.save();
+         drawer.setBlendMode(mode);
+         drawer.antialias = true;
+         drawer.setColor(0.9, 0.2, 0.2, 0.8); // Red
+         drawer.circle(x + 95, y + 95, 65);
+         drawer.setColor(0.2, 0.8, 0.2, 0.8); // Green
+         drawer.circle(x + 145, y + 95, 65);
+         drawer.setColor(0.2, 0.3, 0.9, 0.8); // Blue
+         drawer.circle(x + 120, y + 145, 65);
+         drawer.restore();
+
+         drawer.setColor(0, 0, 0, 1);
+         drawer.fillText(mode, x, y + 265);
+      });
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawClip").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // A scrolled list panel: rows outside the panel are cut off
+      drawer.setColor(0.9, 0.9, 0.95, 1); // Panel background
+      drawer.rect(40, 40, 300, 240);
+      drawer.save();
+      drawer.clipRect(40, 40, 300, 240);
+      const scroll = 35;
+      for (let i = 0; i < 10; i++) {
+         drawer.setColor(i % 2 ? 0.75 : 0.6, 0.8, 0.95, 1);
+         drawer.rect(40, 40 + i * 40 - scroll, 300, 40);
+         drawer.setColor(0.1, 0.1, 0.2, 1);
+         drawer.fillText(`Row ${i + 1}`, 55, 67 + i * 40 - scroll);
+      }
+      drawer.restore();
+
+      // A chart series masked to its plot area, which nests inside a star
+      const star = new WebGLPath();
+      for (let i = 0; i < 10; i++) {
+         const angle = (i * Math.PI) / 5 - Math.PI / 2;
+         const radius = i % 2 ? 90 : 200;
+         star.lineTo(
+            580 + Math.cos(angle) * radius,
+            300 + Math.sin(angle) * radius
+         );
+      }
+      star.closePath();
+
+      drawer.save();
+      drawer.clip(star);
+      drawer.setColor(0.95, 0.85, 0.6, 1); // Inside the star
+      drawer.rect(380, 100, 400, 400);
+
+      drawer.save();
+      drawer.clipRect(420, 200, 320, 200);
+      drawer.setColor(0.2, 0.5, 0.8, 1); // Inside the star and the plot area
+      const series = [];
+      for (let x = 380; x <= 780; x += 10) {
+         series.push({ x, y: 300 - Math.sin(x / 40) * 150 });
+      }
+      drawer.polyline(series, { lineWidth: 8 });
+      drawer.restore();
+
+      // Back to the star alone
+      drawer.setColor(0.8, 0.2, 0.2, 1);
+      drawer.circle(580, 120, 40);
+      drawer.restore();
+
+      // And no clipping at all
+      drawer.strokeRect(40, 40, 300, 240, 2);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   document.getElementById("drawDash").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      // Dotted gridlines
+      drawer.save();
+      drawer.setColor(0.6, 0.6, 0.6, 1); // Gray
+      drawer.lineCap = "round";
+      drawer.setLineDash([0, 8]);
+      for (let x = 50; x <= 750; x += 100) {
+         drawer.line(x, 50, x, 550, 2);
+      }
+      for (let y = 50; y <= 550; y += 100) {
+         drawer.line(50, y, 750, y, 2);
+      }
+      drawer.restore();
+
+      // A measured series, continued by a dashed projection
+      const series = [];
+      for (let i = 0; i <= 14; i++) {
+         series.push({ x: 50 + i * 50, y: 450 - i * 20 - Math.sin(i) * 40 });
+      }
+      drawer.setColor(0.2, 0.4, 0.8, 1); // Blue
+      drawer.polyline(series.slice(0, 9), { lineWidth: 4, lineJoin: "round" });
+      // An odd dash list repeats, so [12] is 12 on and 12 off
+      drawer.polyline(series.slice(8), {
+         lineWidth: 4,
+         lineJoin: "round",
+         lineDash: [12],
+      });
+
+      // Dashes run on through curves and corners
+      drawer.save();
+      drawer.setColor(0.8, 0.3, 0.1, 1); // Orange
+      drawer.setLineDash([20, 10, 5, 10]);
+      drawer.bezierCurve(100, 500, 250, 250, 450, 650, 700, 400, 3);
+      drawer.polygon(
+         [
+            { x: 120, y: 80 },
+            { x: 260, y: 120 },
+            { x: 200, y: 220 },
+         ],
+         false,
+         3
+      );
+      drawer.restore();
+
+      // A selection marquee with its dashes shifted along
+      drawer.save();
+      drawer.setColor(0, 0, 0, 1);
+      drawer.setLineDash([6, 6]);
+      drawer.lineDashOffset = 3;
+      drawer.strokeRect(480, 80, 220, 140, 1);
+      drawer.restore();
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   // A world far larger than the canvas, viewed through a camera that the
+   // mouse wheel zooms and dragging pans while it is shown
+   const worldButton = document.getElementById("drawWorld");
+   const camera = drawer.createCamera({ x: 0, y: 0, zoom: 0.5 });
+
+   const drawWorld = () => {
+      // Clear the canvas first
+      drawer.clear();
+      drawer.setCamera(camera);
+
+      // A grid of nodes linked to their neighbours
+      for (let row = -10; row <= 10; row++) {
+         for (let column = -10; column <= 10; column++) {
+            const x = column * 200;
+            const y = row * 200;
+            drawer.setColor(0.7, 0.7, 0.75, 1);
+            drawer.line(x, y, x + 200, y, 4);
+            drawer.line(x, y, x, y + 200, 4);
+            drawer.setColor(0.5 + row / 20, 0.4, 0.5 + column / 20, 1);
+            drawer.circle(x, y, 40);
+         }
+      }
+      drawer.setColor(0, 0, 0, 1);
+      drawer.fillText("Origin", 0, -60, { fontSize: 32, textAlign: "center" });
+
+      // Interface text stays put on top of the world
+      drawer.setCamera(null);
+      drawer.fillText(
+         `Zoom ${camera.zoom.toFixed(2)} - scroll to zoom, drag to pan`,
+         10,
+         24
+      );
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   };
+
+   worldButton.addEventListener("click", () => {
+      camera.enableControls();
+      drawWorld();
+   });
+   camera.addListener(() => {
+      if (lastButton === worldButton) {
+         drawWorld();
+      }
+   });
+
+   // Shapes that light up under the mouse, found with pickAt()
+   const pickButton = document.getElementById("drawPick");
+   let hovered = null;
+   drawer.picking = true;
+
+   const drawPick = () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      const shapes = [
+         { id: "square", color: [0.2, 0.4, 0.8] },
+         { id: "circle", color: [0.8, 0.3, 0.2] },
+         { id: "star", color: [0.9, 0.7, 0.1] },
+         { id: "clipped", color: [0.3, 0.7, 0.4] },
+      ];
+      const colorOf = (id) => {
+         const [r, g, b] = shapes.find((shape) => shape.id === id).color;
+         const light = id === hovered ? 0.3 : 0;
+         drawer.setColor(r + light, g + light, b + light, 1);
+      };
+
+      drawer.setPickId("square");
+      colorOf("square");
+      drawer.save();
+      drawer.translate(180, 200);
+      drawer.rotate(Math.PI / 8);
+      drawer.rect(-80, -80, 160, 160);
+      drawer.restore();
+
+      // Anti-aliased circles are hit inside their outline, not their quad
+      drawer.setPickId("circle");
+      colorOf("circle");
+      drawer.save();
+      drawer.antialias = true;
+      drawer.circle(400, 200, 90);
+      drawer.restore();
+
+      drawer.setPickId("star");
+      colorOf("star");
+      const star = [];
+      for (let i = 0; i < 10; i++) {
+         const angle = (i / 10) * Math.PI * 2 - Math.PI / 2;
+         const radius = i % 2 === 0 ? 100 : 40;
+         star.push({
+            x: 620 + radius * Math.cos(angle),
+            y: 200 + radius * Math.sin(angle),
+         });
+      }
+      drawer.polygon(star);
+
+      // Only the visible part of a clipped shape can be picked
+      drawer.setPickId("clipped");
+      colorOf("clipped");
+      drawer.save();
+      drawer.clipRect(250, 380, 300, 60);
+      drawer.circle(400, 420, 100);
+      drawer.restore();
+
+      drawer.setPickId(null);
+      drawer.setColor(0, 0, 0, 1);
+      drawer.fillText(`Under the mouse: ${hovered || "nothing"}`, 10, 24);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   };
+
+   pickButton.addEventListener("click", drawPick);
+   canvas.addEventListener("mousemove", (event) => {
+      if (lastButton !== pickButton) {
+         return;
+      }
+
+      const rect = canvas.getBoundingClientRect();
+      const id = drawer.pickAt(
+         event.clientX - rect.left - canvas.clientLeft,
+         event.clientY - rect.top - canvas.clientTop
+      );
+      if (id !== hovered) {
+         hovered = id;
+         drawPick();
+      }
+   });
+
+   // A tile drawn once into a render target, then reused like an image
+   const tile = drawer.createRenderTarget(120, 120);
+   document.getElementById("drawTarget").addEventListener("click", () => {
+      // Draw the tile offscreen, on a transparent background
+      drawer.setRenderTarget(tile);
+      drawer.clear();
+      drawer.setColor(0.2, 0.5, 0.8, 1);
+      drawer.roundRect(10, 10, 100, 100, 20);
+      drawer.setColor(1, 1, 1, 0.8);
+      drawer.circle(60, 60, 30);
+      drawer.setColor(0.9, 0.4, 0.2, 1);
+      drawer.polygon([
+         { x: 60, y: 35 },
+         { x: 85, y: 80 },
+         { x: 35, y: 80 },
+      ]);
+      drawer.setRenderTarget(null);
+
+      // Clear the canvas, then stamp the tile in a row of sizes and angles
+      drawer.clear();
+      drawer.setColor(1, 1, 1, 1);
+      for (let i = 0; i < 5; i++) {
+         drawer.save();
+         drawer.translate(100 + i * 150, 200);
+         drawer.rotate(i * 0.3);
+         drawer.scale(0.6 + i * 0.2);
+         drawer.drawImage(tile, -60, -60);
+         drawer.restore();
+      }
+
+      // Only part of the tile, and faded by the drawing color's alpha
+      drawer.setColor(1, 1, 1, 0.5);
+      drawer.drawImage(tile, 0, 0, 60, 60, 300, 380, 180, 180);
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   // Procedural fills from custom shaders, drawn on the usual shapes
+   const stripes = drawer.createMaterial(
+      `
+            precision mediump float;
+            uniform vec4 uStripeColor;
+            uniform float uStripeWidth;
+            varying vec2 vPosition;
+            varying vec4 vColor;
+
+            void main() {
+                // Diagonal stripes in world space, alternating with vColor
+                float band = mod(floor((vPosition.x + vPosition.y) / uStripeWidth), 2.0);
+                vec4 color = band < 1.0 ? vColor : uStripeColor;
+                gl_FragColor = vec4(color.rgb * color.a, color.a);
+            }
+      `,
+      { uniforms: { uStripeColor: [1, 1, 1, 1], uStripeWidth: 12 } }
+   );
+   const noise = drawer.createMaterial(
+      `
+            precision mediump float;
+            uniform float uScale;
+            varying vec2 vPosition;
+            varying vec4 vColor;
+
+            float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+            }
+
+            // Value noise, smoothly blending random values at grid corners
+            float valueNoise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                vec2 s = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(hash(i), hash(i + vec2(1.0, 0.0)), s.x),
+                    mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), s.x),
+                    s.y
+                );
+            }
+
+            void main() {
+                float shade = 0.5 + 0.5 * valueNoise(vPosition / uScale);
+                gl_FragColor = vec4(vColor.rgb * shade * vColor.a, vColor.a);
+            }
+      `,
+      { uniforms: { uScale: 16 } }
+   );
+
+   document.getElementById("drawMaterial").addEventListener("click", () => {
+      // Clear the canvas first
+      drawer.clear();
+
+      drawer.save();
+      drawer.setMaterial(stripes);
+      drawer.setColor(0.2, 0.4, 0.8, 1);
+      drawer.rect(60, 100, 250, 180);
+      drawer.setColor(0.8, 0.3, 0.2, 1);
+      drawer.circle(460, 190, 90);
+      drawer.restore();
+
+      drawer.save();
+      drawer.setMaterial(noise);
+      drawer.setColor(0.3, 0.7, 0.4, 1);
+      drawer.roundRect(60, 340, 250, 180, 30);
+      drawer.restore();
+
+      // Uniforms can change between shapes, each keeps its own values
+      drawer.save();
+      drawer.setMaterial(stripes);
+      drawer.setColor(0.9, 0.7, 0.1, 1);
+      stripes.setUniform("uStripeWidth", 4);
+      drawer.circle(460, 430, 90);
+      stripes.setUniform("uStripeWidth", 12);
+      drawer.restore();
+
+      // Send the batched shapes to the GPU
+      drawer.flush();
+   });
+
+   // Full-screen effects over the drawing: bloom, a custom shader that
+   // tints alternate rows, and a vignette
+   const postProcess = drawer.createPostProcess();
+   postProcess.add("bloom", { threshold: 0.5, radius: 10 });
+   postProcess.addShader(
+      `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform vec2 uTexelSize;
+            uniform float uDarken;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 color = texture2D(uSource, vTexCoord);
+                float row = mod(floor(vTexCoord.y / uTexelSize.y), 4.0);
+                gl_FragColor = row < 2.0 ? color : vec4(color.rgb * (1.0 - uDarken), color.a);
+            }
+      `,
+      { uDarken: 0.25 }
+   );
+   postProcess.add("vignette", { strength: 0.6 });
+
+   document.getElementById("drawPostProcess").addEventListener("click", () => {
+      // Everything up to end() is drawn offscreen, then through the passes
+      postProcess.begin();
+      drawer.clear();
+
+      drawer.setColor(0.05, 0.05, 0.15, 1);
+      drawer.rect(0, 0, drawer.size.width, drawer.size.height);
+      for (let i = 0; i < 6; i++) {
+         const light = i / 5;
+         drawer.setColor(1, 0.3 + light * 0.6, 0.2 + light * 0.3, 1);
+         drawer.circle(120 + i * 110, 250, 20 + i * 6);
+      }
+      drawer.setColor(0.4, 0.8, 1, 1);
+      drawer.fillText("Post-processing", 260, 420, { fontSize: 40 });
+
+      postProcess.end();
+   });
+
+   // A scene graph edited with the mouse: drag shapes to move them and
+   // double-click them to change their color; only changes are redrawn
+   const sceneButton = document.getElementById("drawScene");
+   const scene = new WebGLScene(drawer);
+
+   const star = new WebGLPath();
+   for (let i = 0; i < 10; i++) {
+      const angle = (i / 10) * Math.PI * 2 - Math.PI / 2;
+      const radius = i % 2 === 0 ? 70 : 30;
+      star.lineTo(radius * Math.cos(angle), radius * Math.sin(angle));
+   }
+   star.closePath();
+
+   const badge = new WebGLSceneGroup({ x: 600, y: 420, rotation: -0.2 });
+   badge.add(
+      new WebGLSceneCircle({ radius: 70, fill: "#2a9d8f" }),
+      new WebGLSceneText({
+         text: "Group",
+         fill: "white",
+         fontSize: 28,
+         textAlign: "center",
+         textBaseline: "middle",
+      })
+   );
+
+   const status = new WebGLSceneText({ x: 10, y: 24, pickable: false });
+   scene.add(
+      new WebGLSceneRect({
+         x: 80,
+         y: 120,
+         width: 220,
+         height: 140,
+         radius: 16,
+         fill: "#457b9d",
+      }),
+      new WebGLSceneCircle({ x: 420, y: 220, radius: 80, fill: "#e63946" }),
+      new WebGLScenePath({ x: 220, y: 420, path: star, fill: "#f4a261" }),
+      new WebGLSceneImage({
+         x: 360,
+         y: 360,
+         width: 128,
+         height: 128,
+         image: icon,
+      }),
+      badge,
+      status
+   );
+
+   // Groups are selected as a whole, the other nodes on their own
+   const colors = ["#457b9d", "#e63946", "#f4a261", "#2a9d8f", "#6a4c93"];
+   let selected = null;
+   let dragOffset = null;
+   let topZIndex = 0;
+
+   const shapesOf = (node) => node.children || [node];
+   const select = (node) => {
+      if (selected) {
+         for (const shape of shapesOf(selected)) {
+            shape.set({ stroke: null });
+         }
+      }
+      selected = node;
+      if (node) {
+         node.set({ zIndex: ++topZIndex });
+         for (const shape of shapesOf(node)) {
+            shape.set({ stroke: "#1d3557", lineWidth: 4 });
+         }
+      }
+      status.set({
+         text: node
+            ? `Selected ${node.constructor.name} - drag to move, double-click to recolor`
+            : "Click a shape to select it",
+      });
+   };
+   select(null);
+
+   // Event position in CSS pixels from the top-left of the canvas content
+   const scenePosition = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+         x: event.clientX - rect.left - canvas.clientLeft,
+         y: event.clientY - rect.top - canvas.clientTop,
+      };
+   };
+
+   sceneButton.addEventListener("click", () => scene.start());
+   canvas.addEventListener("pointerdown", (event) => {
+      if (lastButton !== sceneButton) {
+         return;
+      }
+
+      const point = scenePosition(event);
+      let node = scene.pickAt(point.x, point.y);
+      if (node && node.parent !== scene.root) {
+         node = node.parent;
+      }
+      select(node);
+      dragOffset = node && { x: point.x - node.x, y: point.y - node.y };
+   });
+   canvas.addEventListener("pointermove", (event) => {
+      if (lastButton === sceneButton && selected && dragOffset) {
+         const point = scenePosition(event);
+         selected.set({ x: point.x - dragOffset.x, y: point.y - dragOffset.y });
+      }
+   });
+   canvas.addEventListener("pointerup", () => {
+      dragOffset = null;
+   });
+   canvas.addEventListener("dblclick", () => {
+      if (lastButton !== sceneButton || !selected) {
+         return;
+      }
+
+      for (const shape of shapesOf(selected)) {
+         if (shape instanceof WebGLSceneText || !shape.fill) {
+            continue;
+         }
+         const next = (colors.indexOf(shape.fill) + 1) % colors.length;
+         shape.set({ fill: colors[next] });
+      }
    });
 
    document.getElementById("clear").addEventListener("click", () => {
@@ -154,10 +993,46 @@ document.addEventListener("DOMContentLoaded", () => {
       drawer.clear();
    });
 
+   // Remember the last drawing, to repeat it whenever the canvas is cleared
+   let lastButton = null;
+   document.querySelectorAll(".controls button").forEach((button) => {
+      button.addEventListener("click", () => {
+         lastButton = button;
+
+         // Keep the scene from redrawing over the other drawings
+         if (button !== sceneButton) {
+            scene.stop();
+         }
+
+         // Let the page scroll and the other demos drag over the canvas
+         if (button !== worldButton) {
+            camera.disableControls();
+         }
+      });
+   });
+
    // Draw a welcome message using our drawing functions
-   drawer.setColor(0.2, 0.2, 0.8, 1);
-   drawer.rect(250, 250, 300, 100);
+   const drawWelcome = () => {
+      drawer.setColor(0.2, 0.2, 0.8, 1);
+      drawer.rect(250, 250, 300, 100);
+
+      drawer.setColor(0.8, 0.2, 0.2, 1);
+      drawer.circle(400, 300, 40);
+
+      drawer.flush();
+   };
+
+   const redraw = () => {
+      if (lastButton) {
+         lastButton.click();
+      } else {
+         drawWelcome();
+      }
+   };
+
+   // The canvas is blank after a resize or a restored context loss
+   drawer.onResize(redraw);
+   drawer.onContextRestored(redraw);
 
-   drawer.setColor(0.8, 0.2, 0.2, 1);
-   drawer.circle(400, 300, 40);
+   drawWelcome();
 });
@@ -4,15 +4,16 @@
  */
 
 // Particle class to represent a single particle
+// Bounds is anything with a width and height, normally a renderer's CanvasSize
 class Particle {
-   constructor(x, y, canvas) {
+   constructor(x, y, bounds) {
       this.x = x;
       this.y = y;
       this.size = Math.random() * 4 + 1; // Random size between 1-5
       this.speedX = Math.random() * 3 - 1.5; // Random horizontal velocity
       this.speedY = Math.random() * 3 - 1.5; // Random vertical velocity
       this.color = `hsl(${Math.random() * 360}, 70%, 50%)`; // Random color
-      this.canvas = canvas;
+      this.bounds = bounds;
    }
 
    // Update particle position
@@ -22,10 +23,10 @@ class Particle {
       this.y += this.speedY;
 
       // Bounce off walls
-      if (this.x < 0 || this.x > this.canvas.width) {
+      if (this.x < 0 || this.x > this.bounds.width) {
          this.speedX *= -1;
       }
-      if (this.y < 0 || this.y > this.canvas.height) {
+      if (this.y < 0 || this.y > this.bounds.height) {
          this.speedY *= -1;
       }
    }
@@ -36,6 +37,9 @@ class Canvas2DRenderer {
    constructor(canvas) {
       this.canvas = canvas;
       this.ctx = canvas.getContext("2d");
+
+      // Coordinates are in CSS pixels, the backing store matches the screen
+      this.size = new CanvasSize(canvas);
       this.particles = [];
       this.stats = {
          fps: 0,
@@ -48,15 +52,18 @@ class Canvas2DRenderer {
    initParticles(count) {
       this.particles = [];
       for (let i = 0; i < count; i++) {
-         const x = Math.random() * this.canvas.width;
-         const y = Math.random() * this.canvas.height;
-         this.particles.push(new Particle(x, y, this.canvas));
+         const x = Math.random() * this.size.width;
+         const y = Math.random() * this.size.height;
+         this.particles.push(new Particle(x, y, this.size));
       }
    }
 
    // Clear the canvas
    clear() {
-      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      // Resizing resets the transform, so scale to CSS pixels every time
+      const ratio = this.size.pixelRatio;
+      this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      this.ctx.clearRect(0, 0, this.size.width, this.size.height);
    }
 
    // Render all particles
@@ -105,13 +112,19 @@ class WebGLParticleRenderer {
       };
    }
 
+   // Free the renderer's GL objects and canvas listeners
+   destroy() {
+      this.renderer.destroy();
+      this.particles = [];
+   }
+
    // Initialize particles
    initParticles(count) {
       this.particles = [];
       for (let i = 0; i < count; i++) {
-         const x = Math.random() * this.canvas.width;
-         const y = Math.random() * this.canvas.height;
-         this.particles.push(new Particle(x, y, this.canvas));
+         const x = Math.random() * this.renderer.size.width;
+         const y = Math.random() * this.renderer.size.height;
+         this.particles.push(new Particle(x, y, this.renderer.size));
       }
    }
 
@@ -169,8 +182,12 @@ document.addEventListener("DOMContentLoaded", () => {
    const startBtn = document.getElementById("startBtn");
    const stopBtn = document.getElementById("stopBtn");
    const resetBtn = document.getElementById("resetBtn");
+   const loseContextBtn = document.getElementById("loseContextBtn");
    const particleCountSlider = document.getElementById("particleCount");
    const particleCountValue = document.getElementById("particleCountValue");
+   const antialiasCheckbox = document.getElementById("antialias");
+   const blendModeSelect = document.getElementById("blendMode");
+   const bloomCheckbox = document.getElementById("bloom");
    const stats2d = document.getElementById("stats2d");
    const statsWebGL = document.getElementById("statsWebGL");
    const performanceResults = document.getElementById("performanceResults");
@@ -276,6 +293,9 @@ document.addEventListener("DOMContentLoaded", () => {
       let comparisonHTML = `
             <p><strong>Particles:</strong> ${particleCount}</p>
             <p><strong>Frames Analyzed:</strong> ${totalFrames}</p>
+            <p><strong>WebGL Backend:</strong> ${
+               rendererWebGL.renderer.backend?.name ?? "none"
+            }</p>
         `;
 
       if (renderingMode === 0) {
@@ -372,6 +392,57 @@ document.addEventListener("DOMContentLoaded", () => {
       }
    }
 
+   antialiasCheckbox.addEventListener("change", () => {
+      // Switch between circle meshes and smooth distance field particles
+      rendererWebGL.renderer.antialias = antialiasCheckbox.checked;
+   });
+
+   blendModeSelect.addEventListener("change", () => {
+      // Additive blending makes overlapping particles glow
+      renderer2d.ctx.globalCompositeOperation = blendModeSelect.value;
+      rendererWebGL.renderer.setBlendMode(blendModeSelect.value);
+   });
+
+   bloomCheckbox.addEventListener("change", () => {
+      // Make bright particles glow with a post-processing pass
+      const postProcess = rendererWebGL.postProcess;
+      if (!postProcess) {
+         return;
+      }
+      postProcess.remove();
+      if (bloomCheckbox.checked) {
+         postProcess.add("bloom", { threshold: 0.3, radius: 16 });
+      }
+   });
+
+   loseContextBtn.addEventListener("click", () => {
+      // Lose the WebGL context and get it back a second later; particles
+      // keep moving meanwhile and reappear once the renderer has recovered
+      const context = rendererWebGL.renderer.context;
+      if (context.simulateLoss()) {
+         loseContextBtn.disabled = true;
+         setTimeout(() => context.simulateRestore(), 1000);
+      }
+   });
+
+   rendererWebGL.renderer.onContextRestored(() => {
+      loseContextBtn.disabled = false;
+      rendererWebGL.render();
+   });
+
+   // Clicking a particle on the WebGL canvas turns it white
+   rendererWebGL.renderer.picking = true;
+   canvasWebGL.addEventListener("click", (event) => {
+      const rect = canvasWebGL.getBoundingClientRect();
+      const particle = rendererWebGL.renderer.pickAt(
+         event.clientX - rect.left - canvasWebGL.clientLeft,
+         event.clientY - rect.top - canvasWebGL.clientTop
+      );
+      if (particle) {
+         particle.color = "#fff";
+      }
+   });
+
    stopBtn.addEventListener("click", () => {
       isRunning = false;
       if (animationId) {
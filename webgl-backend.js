@@ -0,0 +1,201 @@
+/**
+ * WebGL Backend
+ * Creates a WebGL2 context where the browser has one, falling back to
+ * WebGL1, and hides the differences between them from the renderers
+ *
+ * Vertex array objects and instanced drawing are core in WebGL2 and come
+ * from extensions in WebGL1, where they may be missing. Shaders are written
+ * in GLSL ES 1.00 and translated to GLSL ES 3.00 for WebGL2.
+ */
+
+class WebGLBackend {
+   /**
+    * Get a context for a canvas, WebGL2 first unless disabled
+    * @param {HTMLCanvasElement} canvas - The canvas to draw on
+    * @param {Object} attributes - WebGL context attributes
+    * @returns {WebGLBackend|null} The backend, or null without WebGL
+    */
+   static create(canvas, attributes = {}) {
+      if (WebGLBackend.preferWebGL2) {
+         const gl = canvas.getContext("webgl2", attributes);
+         if (gl) {
+            return new WebGLBackend(gl, 2);
+         }
+      }
+
+      const gl =
+         canvas.getContext("webgl", attributes) ||
+         canvas.getContext("experimental-webgl", attributes);
+      return gl ? new WebGLBackend(gl, 1) : null;
+   }
+
+   /**
+    * Wrap a context, use WebGLBackend.create instead of calling this directly
+    * @param {WebGLRenderingContext} gl - The context
+    * @param {number} version - 2 for WebGL2, 1 for WebGL1
+    */
+   constructor(gl, version) {
+      this.gl = gl;
+      this.version = version;
+      this.name = version === 2 ? "webgl2" : "webgl";
+
+      // Live GL object counts for finding leaks, see WebGLResources
+      this.resources = WebGLResources.enabled ? new WebGLResources(gl) : null;
+
+      this.initExtensions();
+   }
+
+   /**
+    * Forget the objects a lost context took with it, renderers call this
+    * when their context is lost
+    */
+   contextLost() {
+      if (this.resources) {
+         this.resources.clear();
+      }
+   }
+
+   /**
+    * Look up the WebGL1 extensions standing in for WebGL2 features
+    * Extension objects die with the context, so this runs again after a
+    * lost context is restored
+    */
+   initExtensions() {
+      if (this.version === 2) {
+         this.vertexArrayExt = null;
+         this.instancedArraysExt = null;
+         this.derivatives = true;
+         return;
+      }
+
+      this.vertexArrayExt = this.gl.getExtension("OES_vertex_array_object");
+      this.instancedArraysExt = this.gl.getExtension("ANGLE_instanced_arrays");
+      this.derivatives = !!this.gl.getExtension("OES_standard_derivatives");
+   }
+
+   /**
+    * Whether vertex array objects are available
+    * @returns {boolean} True on WebGL2 and with OES_vertex_array_object
+    */
+   get vertexArrays() {
+      return this.version === 2 || !!this.vertexArrayExt;
+   }
+
+   /**
+    * Whether instanced drawing is available
+    * @returns {boolean} True on WebGL2 and with ANGLE_instanced_arrays
+    */
+   get instancing() {
+      return this.version === 2 || !!this.instancedArraysExt;
+   }
+
+   /**
+    * Create a vertex array object, check vertexArrays first
+    * @returns {WebGLVertexArrayObject} The new vertex array
+    */
+   createVertexArray() {
+      const vertexArray =
+         this.version === 2
+            ? this.gl.createVertexArray()
+            : this.vertexArrayExt.createVertexArrayOES();
+      if (this.resources) {
+         this.resources.add("vertexArray", vertexArray);
+      }
+      return vertexArray;
+   }
+
+   /**
+    * Bind a vertex array object, or null for the default attribute state
+    * @param {WebGLVertexArrayObject|null} vertexArray - Vertex array to bind
+    */
+   bindVertexArray(vertexArray) {
+      if (this.version === 2) {
+         this.gl.bindVertexArray(vertexArray);
+      } else if (this.vertexArrayExt) {
+         this.vertexArrayExt.bindVertexArrayOES(vertexArray);
+      }
+   }
+
+   /**
+    * Delete a vertex array object
+    * @param {WebGLVertexArrayObject} vertexArray - Vertex array to delete
+    */
+   deleteVertexArray(vertexArray) {
+      if (this.resources) {
+         this.resources.remove("vertexArray", vertexArray);
+      }
+      if (this.version === 2) {
+         this.gl.deleteVertexArray(vertexArray);
+      } else if (this.vertexArrayExt) {
+         this.vertexArrayExt.deleteVertexArrayOES(vertexArray);
+      }
+   }
+
+   /**
+    * Set how often an attribute advances, check instancing first
+    * @param {number} index - Attribute location
+    * @param {number} divisor - 0 for every vertex, 1 for every instance
+    */
+   vertexAttribDivisor(index, divisor) {
+      if (this.version === 2) {
+         this.gl.vertexAttribDivisor(index, divisor);
+      } else {
+         this.instancedArraysExt.vertexAttribDivisorANGLE(index, divisor);
+      }
+   }
+
+   /**
+    * Draw many instances of the same vertices, check instancing first
+    * @param {number} mode - Primitive type, e.g. gl.TRIANGLE_FAN
+    * @param {number} first - First vertex
+    * @param {number} count - Number of vertices per instance
+    * @param {number} instances - Number of instances
+    */
+   drawArraysInstanced(mode, first, count, instances) {
+      if (this.version === 2) {
+         this.gl.drawArraysInstanced(mode, first, count, instances);
+      } else {
+         this.instancedArraysExt.drawArraysInstancedANGLE(
+            mode,
+            first,
+            count,
+            instances
+         );
+      }
+   }
+
+   /**
+    * Prepare GLSL ES 1.00 shader source for this context
+    * WebGL2 gets it translated to GLSL ES 3.00: attributes and varyings
+    * become inputs and outputs, texture2D becomes texture, gl_FragColor
+    * becomes an output variable, and derivatives need no extension
+    * @param {string} source - GLSL ES 1.00 source
+    * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+    * @returns {string} Source to compile
+    */
+   shaderSource(source, type) {
+      if (this.version !== 2) {
+         return source;
+      }
+
+      const fragment = type === this.gl.FRAGMENT_SHADER;
+      const translated = source
+         .replace(/^\s*#extension GL_OES_standard_derivatives.*$/gm, "")
+         .replace(/#ifdef GL_OES_standard_derivatives/g, "#if 1")
+         .replace(/\battribute\b/g, "in")
+         .replace(/\bvarying\b/g, fragment ? "in" : "out")
+         .replace(/\btexture2D\b/g, "texture")
+         .replace(/\bgl_FragColor\b/g, "fragColor");
+
+      // The version directive must come first, before any blank line
+      return (
+         "#version 300 es\n" +
+         (fragment ? "out mediump vec4 fragColor;\n" : "") +
+         translated
+      );
+   }
+}
+
+// Use WebGL2 where available; set to false before creating a renderer to
+// test the WebGL1 path
+WebGLBackend.preferWebGL2 = true;
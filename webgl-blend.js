@@ -0,0 +1,74 @@
+/**
+ * WebGL Blend Modes
+ * Blend functions matching Canvas 2D globalCompositeOperation values, shared
+ * by WebGLDraw, WebGLRenderer and OptimizedWebGLRenderer
+ *
+ * The shaders output premultiplied colors, as Canvas 2D composites them, so
+ * every mode is a plain weighted sum of the source and the destination.
+ * Canvas 2D also clears the destination outside the shape for modes like
+ * copy; here only the pixels a shape covers are affected.
+ */
+
+class BlendModes {
+   /**
+    * Set the blend function for a mode on a context
+    * @param {WebGLRenderingContext} gl - The context to configure
+    * @param {string} mode - A key of BlendModes.modes
+    * @returns {boolean} Whether the mode is supported, unknown modes leave
+    *    the blend function unchanged
+    */
+   static apply(gl, mode) {
+      const factors = BlendModes.modes[mode];
+      if (!factors) {
+         console.warn(`Unsupported blend mode "${mode}"`);
+         return false;
+      }
+
+      const [srcColor, dstColor, srcAlpha, dstAlpha] = factors;
+      gl.blendFuncSeparate(
+         gl[srcColor],
+         gl[dstColor],
+         gl[srcAlpha],
+         gl[dstAlpha]
+      );
+      return true;
+   }
+}
+
+// Source and destination factors for the color and alpha channels, as
+// WebGL constant names
+BlendModes.modes = {
+   // Draw over what is already there
+   "source-over": ["ONE", "ONE_MINUS_SRC_ALPHA", "ONE", "ONE_MINUS_SRC_ALPHA"],
+
+   // Draw behind what is already there
+   "destination-over": [
+      "ONE_MINUS_DST_ALPHA",
+      "ONE",
+      "ONE_MINUS_DST_ALPHA",
+      "ONE",
+   ],
+
+   // Draw only where there is already something
+   "source-atop": ["DST_ALPHA", "ONE_MINUS_SRC_ALPHA", "ZERO", "ONE"],
+
+   // Erase what is already there, by the source alpha
+   "destination-out": [
+      "ZERO",
+      "ONE_MINUS_SRC_ALPHA",
+      "ZERO",
+      "ONE_MINUS_SRC_ALPHA",
+   ],
+
+   // Replace what is already there
+   copy: ["ONE", "ZERO", "ONE", "ZERO"],
+
+   // Add colors together, for glows and light effects
+   lighter: ["ONE", "ONE", "ONE", "ONE"],
+
+   // Darken by multiplying, exact over opaque destinations
+   multiply: ["DST_COLOR", "ONE_MINUS_SRC_ALPHA", "ONE", "ONE_MINUS_SRC_ALPHA"],
+
+   // Lighten by multiplying the inverses
+   screen: ["ONE", "ONE_MINUS_SRC_COLOR", "ONE", "ONE_MINUS_SRC_ALPHA"],
+};
@@ -0,0 +1,258 @@
+/**
+ * WebGL Camera
+ * A movable, zoomable and rotatable view onto an unbounded world, for
+ * WebGLDraw.setCamera()
+ *
+ * Shapes are drawn in world coordinates and the camera maps them onto the
+ * canvas in the shader, so drawing code stays the same however the view
+ * moves. The camera looks at the point (x, y), which appears at the center
+ * of the canvas.
+ */
+
+class WebGLCamera {
+   /**
+    * Create a camera, use WebGLDraw.createCamera instead of calling this
+    * directly
+    * @param {CanvasSize} size - Size of the canvas the camera views through
+    * @param {Object} options - Initial view
+    * @param {number} options.x - World X coordinate shown at the center,
+    *    half the canvas width by default so the world starts out matching
+    *    canvas pixels
+    * @param {number} options.y - World Y coordinate shown at the center
+    * @param {number} options.zoom - Screen pixels per world unit
+    * @param {number} options.rotation - Clockwise turn of the camera in
+    *    radians; the world appears turned the other way
+    * @param {number} options.minZoom - Smallest zoom allowed
+    * @param {number} options.maxZoom - Largest zoom allowed
+    */
+   constructor(size, options = {}) {
+      this.size = size;
+      this.x = options.x ?? size.width / 2;
+      this.y = options.y ?? size.height / 2;
+      this.minZoom = options.minZoom || 1e-6;
+      this.maxZoom = options.maxZoom || 1e6;
+      this.zoom = this.clampZoom(options.zoom || 1);
+      this.rotation = options.rotation || 0;
+
+      // Called with this camera after every change made through its methods
+      this.listeners = [];
+
+      // Event listeners added by enableControls(), keyed by event type
+      this.controls = null;
+   }
+
+   /**
+    * Register a function to call whenever the view changes, usually to
+    * redraw
+    * @param {Function} listener - Called with this camera
+    */
+   addListener(listener) {
+      this.listeners.push(listener);
+   }
+
+   /**
+    * Tell listeners that the view changed
+    */
+   changed() {
+      for (const listener of this.listeners) {
+         listener(this);
+      }
+   }
+
+   /**
+    * Look at a world point
+    * @param {number} x - World X coordinate to show at the center
+    * @param {number} y - World Y coordinate to show at the center
+    */
+   setPosition(x, y) {
+      this.x = x;
+      this.y = y;
+      this.changed();
+   }
+
+   /**
+    * Set the zoom, keeping the center of the view in place
+    * @param {number} zoom - Screen pixels per world unit
+    */
+   setZoom(zoom) {
+      this.zoom = this.clampZoom(zoom);
+      this.changed();
+   }
+
+   /**
+    * Set the rotation, around the center of the view
+    * @param {number} rotation - Clockwise turn of the camera in radians
+    */
+   setRotation(rotation) {
+      this.rotation = rotation;
+      this.changed();
+   }
+
+   /**
+    * Move the view by a distance on screen, as when dragging the world
+    * @param {number} dx - Horizontal distance in CSS pixels, positive moves
+    *    the world right
+    * @param {number} dy - Vertical distance in CSS pixels, positive moves
+    *    the world down
+    */
+   panBy(dx, dy) {
+      const cos = Math.cos(this.rotation);
+      const sin = Math.sin(this.rotation);
+      this.x -= (cos * dx - sin * dy) / this.zoom;
+      this.y -= (sin * dx + cos * dy) / this.zoom;
+      this.changed();
+   }
+
+   /**
+    * Zoom by a factor while keeping the world point under a screen point in
+    * place, as when zooming at the mouse position
+    * @param {number} screenX - X coordinate in CSS pixels
+    * @param {number} screenY - Y coordinate in CSS pixels
+    * @param {number} factor - Zoom multiplier, above 1 to zoom in
+    */
+   zoomAt(screenX, screenY, factor) {
+      const before = this.screenToWorld(screenX, screenY);
+      this.zoom = this.clampZoom(this.zoom * factor);
+      const after = this.screenToWorld(screenX, screenY);
+      this.x += before.x - after.x;
+      this.y += before.y - after.y;
+      this.changed();
+   }
+
+   /**
+    * Limit a zoom to the allowed range
+    */
+   clampZoom(zoom) {
+      return Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+   }
+
+   /**
+    * Get the transform from world coordinates to CSS pixels
+    * @returns {Array<number>} Matrix [a, b, c, d, e, f] in Canvas 2D order
+    */
+   getMatrix() {
+      const cos = Math.cos(this.rotation) * this.zoom;
+      const sin = Math.sin(this.rotation) * this.zoom;
+      return [
+         cos,
+         -sin,
+         sin,
+         cos,
+         this.size.width / 2 - cos * this.x - sin * this.y,
+         this.size.height / 2 + sin * this.x - cos * this.y,
+      ];
+   }
+
+   /**
+    * Convert a world point to CSS pixels on the canvas
+    * @param {number} x - World X coordinate
+    * @param {number} y - World Y coordinate
+    * @returns {Object} Screen point { x, y }
+    */
+   worldToScreen(x, y) {
+      const [a, b, c, d, e, f] = this.getMatrix();
+      return { x: a * x + c * y + e, y: b * x + d * y + f };
+   }
+
+   /**
+    * Convert CSS pixels on the canvas to a world point, e.g. to find what
+    * is under the mouse
+    * @param {number} x - X coordinate in CSS pixels
+    * @param {number} y - Y coordinate in CSS pixels
+    * @returns {Object} World point { x, y }
+    */
+   screenToWorld(x, y) {
+      const dx = x - this.size.width / 2;
+      const dy = y - this.size.height / 2;
+      const cos = Math.cos(this.rotation);
+      const sin = Math.sin(this.rotation);
+      return {
+         x: this.x + (cos * dx - sin * dy) / this.zoom,
+         y: this.y + (sin * dx + cos * dy) / this.zoom,
+      };
+   }
+
+   /**
+    * Let the user zoom with the mouse wheel and pan by dragging
+    * @param {Object} options - Which controls to enable
+    * @param {boolean} options.wheelZoom - Zoom at the mouse with the wheel
+    * @param {boolean} options.dragPan - Pan by dragging with the primary button
+    * @param {number} options.zoomSpeed - Zoom factor per pixel of wheel delta
+    */
+   enableControls(options = {}) {
+      const { wheelZoom = true, dragPan = true, zoomSpeed = 0.002 } = options;
+      const canvas = this.size.canvas;
+      this.disableControls();
+      this.controls = {};
+
+      // Event position in CSS pixels from the top-left of the canvas content
+      const position = (event) => {
+         const rect = canvas.getBoundingClientRect();
+         return {
+            x: event.clientX - rect.left - canvas.clientLeft,
+            y: event.clientY - rect.top - canvas.clientTop,
+         };
+      };
+
+      if (wheelZoom) {
+         this.controls.wheel = (event) => {
+            event.preventDefault();
+
+            // Lines and pages are roughly 16 and 400 pixels of scrolling
+            const scale = [1, 16, 400][event.deltaMode] || 1;
+            const { x, y } = position(event);
+            this.zoomAt(x, y, Math.exp(-event.deltaY * scale * zoomSpeed));
+         };
+      }
+
+      if (dragPan) {
+         let last = null;
+         this.controls.pointerdown = (event) => {
+            if (event.button === 0) {
+               canvas.setPointerCapture(event.pointerId);
+               last = position(event);
+            }
+         };
+         this.controls.pointermove = (event) => {
+            if (last) {
+               const point = position(event);
+               this.panBy(point.x - last.x, point.y - last.y);
+               last = point;
+            }
+         };
+         this.controls.pointerup = () => {
+            last = null;
+         };
+         this.controls.pointercancel = this.controls.pointerup;
+      }
+
+      for (const [type, listener] of Object.entries(this.controls)) {
+         canvas.addEventListener(type, listener, { passive: type !== "wheel" });
+      }
+   }
+
+   /**
+    * Remove the controls added by enableControls()
+    */
+   disableControls() {
+      if (!this.controls) {
+         return;
+      }
+
+      for (const [type, listener] of Object.entries(this.controls)) {
+         this.size.canvas.removeEventListener(type, listener);
+      }
+      this.controls = null;
+   }
+
+   /**
+    * Remove the controls and every listener
+    * WebGLDraw.destroy() does this for the cameras it created. Methods
+    * throw afterwards.
+    */
+   destroy() {
+      this.disableControls();
+      this.listeners = [];
+      WebGLResources.disable(this);
+   }
+}
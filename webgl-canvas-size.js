@@ -0,0 +1,162 @@
+/**
+ * WebGL Canvas Size
+ * Keeps a canvas backing store in step with its CSS size and the device
+ * pixel ratio, so renderers draw sharply on high density screens
+ *
+ * Renderers map their coordinates onto the CSS size and render into the
+ * backing store, which holds one pixel per device pixel. Callers keep
+ * drawing in CSS pixels whatever the screen density.
+ */
+
+class CanvasSize {
+   /**
+    * Start tracking a canvas, resizing its backing store right away
+    * @param {HTMLCanvasElement} canvas - The canvas to keep in sync
+    * @param {Object} options - Size settings
+    * @param {number} options.maxPixelRatio - Cap on the pixel ratio, to
+    *    bound the backing store size on very dense screens
+    */
+   constructor(canvas, options = {}) {
+      this.canvas = canvas;
+      this.maxPixelRatio = options.maxPixelRatio || Infinity;
+
+      // Size in CSS pixels, starting from the width and height attributes
+      // until the canvas has been laid out
+      this.width = canvas.width;
+      this.height = canvas.height;
+      this.pixelRatio = 1;
+
+      // Called with this object after every change
+      this.listeners = [];
+
+      this.pinSize();
+      this.update();
+
+      // Layout changes resize the element
+      if (typeof ResizeObserver !== "undefined") {
+         this.observer = new ResizeObserver(() => this.update());
+         this.observer.observe(canvas);
+      }
+
+      // Zooming or moving to another screen changes the pixel ratio only
+      this.handlePixelRatioChange = () => {
+         this.update();
+         this.watchPixelRatio();
+      };
+      this.watchPixelRatio();
+   }
+
+   /**
+    * Stop tracking the canvas and drop every listener
+    * The canvas keeps its current size. Methods throw afterwards.
+    */
+   destroy() {
+      if (this.observer) {
+         this.observer.disconnect();
+      }
+      if (this.pixelRatioQuery) {
+         this.pixelRatioQuery.removeEventListener(
+            "change",
+            this.handlePixelRatioChange
+         );
+      }
+      this.listeners = [];
+      WebGLResources.disable(this);
+   }
+
+   /**
+    * Give canvases sized only by their width and height attributes a fixed
+    * CSS size
+    * Their CSS size would otherwise follow the backing store, growing every
+    * time it is scaled up. Canvases sized by style sheets are left alone.
+    */
+   pinSize() {
+      const style = this.canvas.style;
+      if (!style.width && this.canvas.clientWidth === this.canvas.width) {
+         style.width = `${this.canvas.width}px`;
+      }
+      if (!style.height && this.canvas.clientHeight === this.canvas.height) {
+         style.height = `${this.canvas.height}px`;
+      }
+   }
+
+   /**
+    * Measure the canvas and resize its backing store if needed
+    * Resizing clears the canvas, so listeners are expected to redraw
+    * @returns {boolean} Whether the size or pixel ratio changed
+    */
+   update() {
+      const pixelRatio = Math.min(
+         window.devicePixelRatio || 1,
+         this.maxPixelRatio
+      );
+
+      // Canvases that are not laid out, like hidden ones, keep their size
+      const width = this.canvas.clientWidth || this.width;
+      const height = this.canvas.clientHeight || this.height;
+
+      const backingWidth = Math.max(1, Math.round(width * pixelRatio));
+      const backingHeight = Math.max(1, Math.round(height * pixelRatio));
+      if (
+         width === this.width &&
+         height === this.height &&
+         pixelRatio === this.pixelRatio &&
+         backingWidth === this.canvas.width &&
+         backingHeight === this.canvas.height
+      ) {
+         return false;
+      }
+
+      this.width = width;
+      this.height = height;
+      this.pixelRatio = pixelRatio;
+
+      // Assigning the same size still clears the canvas, so skip it
+      if (this.canvas.width !== backingWidth) {
+         this.canvas.width = backingWidth;
+      }
+      if (this.canvas.height !== backingHeight) {
+         this.canvas.height = backingHeight;
+      }
+
+      for (const listener of this.listeners) {
+         listener(this);
+      }
+      return true;
+   }
+
+   /**
+    * Register a function to call whenever the size or pixel ratio changes
+    * @param {Function} listener - Called with this CanvasSize
+    */
+   addListener(listener) {
+      this.listeners.push(listener);
+   }
+
+   /**
+    * Stop calling a function registered with addListener()
+    * @param {Function} listener - The function to remove
+    */
+   removeListener(listener) {
+      this.listeners = this.listeners.filter((other) => other !== listener);
+   }
+
+   /**
+    * Update when the device pixel ratio moves away from its current value
+    * A resolution media query only matches one ratio, so a new one is set
+    * up after every change
+    */
+   watchPixelRatio() {
+      if (typeof matchMedia === "undefined") {
+         return;
+      }
+
+      const ratio = window.devicePixelRatio || 1;
+      this.pixelRatioQuery = matchMedia(`(resolution: ${ratio}dppx)`);
+      this.pixelRatioQuery.addEventListener(
+         "change",
+         this.handlePixelRatioChange,
+         { once: true }
+      );
+   }
+}
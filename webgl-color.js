@@ -0,0 +1,687 @@
+/**
+ * WebGL Color
+ * Parses CSS color strings into normalized RGBA arrays for every renderer
+ *
+ * Follows CSS Color Level 4: named colors, hex notation, rgb(), hsl(),
+ * hwb(), lab(), lch(), oklab(), oklch() and color() in both the legacy
+ * comma-separated and the modern space-separated syntax. Colors outside
+ * the sRGB gamut are clamped. Results are memoized, so parsing the same
+ * string every frame costs a single lookup.
+ */
+
+class WebGLColor {
+   /**
+    * Parse a CSS color string
+    * The returned array is shared with every other caller that parses the
+    * same string, so it must not be modified.
+    * @param {string} color - Any color Canvas 2D accepts
+    * @returns {Array<number>|null} RGBA components (0-1), or null when the
+    *    string is not a valid color
+    */
+   static parse(color) {
+      let rgba = WebGLColor.cache.get(color);
+      if (rgba !== undefined) {
+         return rgba;
+      }
+
+      rgba =
+         typeof color === "string"
+            ? WebGLColor.parseUncached(color.trim().toLowerCase())
+            : null;
+      if (rgba) {
+         Object.freeze(rgba);
+      } else {
+         // Invalid strings are cached too, so this only warns once
+         console.warn(`Ignoring invalid color "${color}"`);
+      }
+
+      // Keep the cache bounded when colors are generated on the fly
+      if (WebGLColor.cache.size >= WebGLColor.cacheSize) {
+         WebGLColor.cache.clear();
+      }
+      WebGLColor.cache.set(color, rgba);
+      return rgba;
+   }
+
+   /**
+    * Parse a trimmed, lowercase CSS color string without the cache
+    * @param {string} text - The color string
+    * @returns {Array<number>|null} RGBA components (0-1), or null
+    */
+   static parseUncached(text) {
+      if (text[0] === "#") {
+         return WebGLColor.parseHex(text.slice(1));
+      }
+
+      if (text === "transparent") {
+         return [0, 0, 0, 0];
+      }
+
+      // There is no element to inherit from, so use the initial color
+      if (text === "currentcolor") {
+         return [0, 0, 0, 1];
+      }
+
+      const named = WebGLColor.names[text];
+      if (named !== undefined) {
+         return [
+            ((named >> 16) & 255) / 255,
+            ((named >> 8) & 255) / 255,
+            (named & 255) / 255,
+            1,
+         ];
+      }
+
+      const match = /^([a-z]+)\((.*)\)$/.exec(text);
+      if (!match) {
+         return null;
+      }
+
+      const [, name, body] = match;
+      if (name === "color") {
+         return WebGLColor.parseColorFunction(body);
+      }
+
+      const args = WebGLColor.splitArguments(body);
+      if (!args) {
+         return null;
+      }
+
+      let rgb = null;
+      if (name === "rgb" || name === "rgba") {
+         rgb = WebGLColor.parseRGB(args);
+      } else if (name === "hsl" || name === "hsla") {
+         rgb = WebGLColor.parseHSL(args);
+      } else if (!args.legacy) {
+         // The remaining functions only have the modern syntax
+         if (name === "hwb") {
+            rgb = WebGLColor.parseHWB(args.channels);
+         } else if (name === "lab" || name === "lch") {
+            rgb = WebGLColor.parseLab(args.channels, name === "lch");
+         } else if (name === "oklab" || name === "oklch") {
+            rgb = WebGLColor.parseOklab(args.channels, name === "oklch");
+         }
+      }
+
+      const alpha = WebGLColor.parseAlpha(args.alpha);
+      if (!rgb || alpha === null) {
+         return null;
+      }
+      return [...rgb.map(WebGLColor.clamp), alpha];
+   }
+
+   /**
+    * Parse hex notation with 3, 4, 6 or 8 digits
+    * @param {string} hex - The digits after the "#"
+    * @returns {Array<number>|null} RGBA components (0-1), or null
+    */
+   static parseHex(hex) {
+      if (!/^[0-9a-f]+$/.test(hex)) {
+         return null;
+      }
+
+      // Short forms repeat every digit
+      if (hex.length === 3 || hex.length === 4) {
+         hex = hex.replace(/./g, "$&$&");
+      }
+      if (hex.length === 6) {
+         hex += "ff";
+      }
+      if (hex.length !== 8) {
+         return null;
+      }
+
+      const rgba = [];
+      for (let i = 0; i < 8; i += 2) {
+         rgba.push(parseInt(hex.slice(i, i + 2), 16) / 255);
+      }
+      return rgba;
+   }
+
+   /**
+    * Split the arguments of a color function
+    * Legacy syntax separates all values with commas, modern syntax uses
+    * spaces and puts the alpha after a slash
+    * @param {string} body - Everything between the parentheses
+    * @returns {Object|null} { legacy, channels, alpha } with the three
+    *    channel tokens and the alpha token, if any, or null
+    */
+   static splitArguments(body) {
+      if (body.includes(",")) {
+         const parts = body.split(",").map((part) => part.trim());
+         if (
+            (parts.length !== 3 && parts.length !== 4) ||
+            parts.some((part) => !/^\S+$/.test(part) || part === "none")
+         ) {
+            return null;
+         }
+         return { legacy: true, channels: parts.slice(0, 3), alpha: parts[3] };
+      }
+
+      const [channelText, alpha, extra] = body.split("/");
+      const channels = channelText.trim().split(/\s+/);
+      if (
+         channels.length !== 3 ||
+         extra !== undefined ||
+         (alpha !== undefined && !/^\S+$/.test(alpha.trim()))
+      ) {
+         return null;
+      }
+      return {
+         legacy: false,
+         channels,
+         alpha: alpha === undefined ? undefined : alpha.trim(),
+      };
+   }
+
+   /**
+    * Parse a numeric token
+    * @param {string} token - A number, percentage, angle or "none"
+    * @returns {Object|null} { value, unit } with unit "", "%", "deg",
+    *    "rad", "grad" or "turn"; "none" is 0 without a unit
+    */
+   static parseToken(token) {
+      if (token === "none") {
+         return { value: 0, unit: "" };
+      }
+
+      const match =
+         /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/.exec(
+            token
+         );
+      if (!match) {
+         return null;
+      }
+      return { value: parseFloat(match[1]), unit: match[2] || "" };
+   }
+
+   /**
+    * Parse a token that may be a number or a percentage
+    * @param {string} token - The token
+    * @param {number} percentScale - Value that 100% stands for
+    * @returns {number|null} The value, or null for any other token
+    */
+   static parseNumber(token, percentScale) {
+      const parsed = WebGLColor.parseToken(token);
+      if (!parsed || (parsed.unit !== "" && parsed.unit !== "%")) {
+         return null;
+      }
+      return parsed.unit === "%"
+         ? (parsed.value / 100) * percentScale
+         : parsed.value;
+   }
+
+   /**
+    * Parse a hue given as a plain number of degrees or an angle
+    * @param {string} token - The token
+    * @returns {number|null} Hue in degrees, or null
+    */
+   static parseHue(token) {
+      const parsed = WebGLColor.parseToken(token);
+      if (!parsed || parsed.unit === "%") {
+         return null;
+      }
+      const degrees = {
+         "": 1,
+         deg: 1,
+         rad: 180 / Math.PI,
+         grad: 0.9,
+         turn: 360,
+      };
+      return parsed.value * degrees[parsed.unit];
+   }
+
+   /**
+    * Parse an optional alpha token
+    * @param {string} token - A number, a percentage or undefined
+    * @returns {number|null} Alpha (0-1), 1 when missing, or null
+    */
+   static parseAlpha(token) {
+      if (token === undefined) {
+         return 1;
+      }
+      const alpha = WebGLColor.parseNumber(token, 1);
+      return alpha === null ? null : WebGLColor.clamp(alpha);
+   }
+
+   /**
+    * Parse the channels of rgb() and rgba()
+    * @returns {Array<number>|null} RGB components (0-1), or null
+    */
+   static parseRGB({ legacy, channels }) {
+      // Legacy syntax does not allow mixing numbers and percentages
+      if (legacy) {
+         const percents = channels.filter((token) => token.endsWith("%"));
+         if (percents.length !== 0 && percents.length !== 3) {
+            return null;
+         }
+      }
+
+      const rgb = channels.map((token) => WebGLColor.parseNumber(token, 255));
+      return rgb.includes(null) ? null : rgb.map((value) => value / 255);
+   }
+
+   /**
+    * Parse the channels of hsl() and hsla()
+    * @returns {Array<number>|null} RGB components (0-1), or null
+    */
+   static parseHSL({ legacy, channels }) {
+      const hue = WebGLColor.parseHue(channels[0]);
+
+      // Legacy syntax requires percentages for saturation and lightness
+      if (legacy && !(channels[1].endsWith("%") && channels[2].endsWith("%"))) {
+         return null;
+      }
+      const saturation = WebGLColor.parseNumber(channels[1], 100);
+      const lightness = WebGLColor.parseNumber(channels[2], 100);
+      if (hue === null || saturation === null || lightness === null) {
+         return null;
+      }
+
+      return WebGLColor.hslToRGB(
+         hue,
+         WebGLColor.clamp(saturation / 100),
+         WebGLColor.clamp(lightness / 100)
+      );
+   }
+
+   /**
+    * Convert HSL to RGB
+    * @param {number} hue - Hue in degrees
+    * @param {number} saturation - Saturation (0-1)
+    * @param {number} lightness - Lightness (0-1)
+    * @returns {Array<number>} RGB components (0-1)
+    */
+   static hslToRGB(hue, saturation, lightness) {
+      const h = (((hue % 360) + 360) % 360) / 30;
+      const a = saturation * Math.min(lightness, 1 - lightness);
+      return [0, 8, 4].map((n) => {
+         const k = (n + h) % 12;
+         return lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      });
+   }
+
+   /**
+    * Parse the channels of hwb()
+    * @returns {Array<number>|null} RGB components (0-1), or null
+    */
+   static parseHWB(channels) {
+      const hue = WebGLColor.parseHue(channels[0]);
+      let white = WebGLColor.parseNumber(channels[1], 100);
+      let black = WebGLColor.parseNumber(channels[2], 100);
+      if (hue === null || white === null || black === null) {
+         return null;
+      }
+
+      white = WebGLColor.clamp(white / 100);
+      black = WebGLColor.clamp(black / 100);
+
+      // Too much white and black together makes a gray
+      if (white + black >= 1) {
+         const gray = white / (white + black);
+         return [gray, gray, gray];
+      }
+
+      return WebGLColor.hslToRGB(hue, 1, 0.5).map(
+         (value) => value * (1 - white - black) + white
+      );
+   }
+
+   /**
+    * Parse the channels of lab() or lch()
+    * @param {Array<string>} channels - The channel tokens
+    * @param {boolean} polar - Whether the channels are lch() ones
+    * @returns {Array<number>|null} RGB components (0-1), or null
+    */
+   static parseLab(channels, polar) {
+      const lightness = WebGLColor.parseNumber(channels[0], 100);
+      let a, b;
+      if (polar) {
+         const chroma = WebGLColor.parseNumber(channels[1], 150);
+         const hue = WebGLColor.parseHue(channels[2]);
+         if (chroma === null || hue === null) {
+            return null;
+         }
+         a = Math.max(chroma, 0) * Math.cos((hue * Math.PI) / 180);
+         b = Math.max(chroma, 0) * Math.sin((hue * Math.PI) / 180);
+      } else {
+         a = WebGLColor.parseNumber(channels[1], 125);
+         b = WebGLColor.parseNumber(channels[2], 125);
+      }
+      if (lightness === null || a === null || b === null) {
+         return null;
+      }
+
+      // CIE Lab to XYZ relative to the D50 white point
+      const L = Math.max(lightness, 0);
+      const kappa = 24389 / 27;
+      const epsilon = 216 / 24389;
+      const f1 = (L + 16) / 116;
+      const f0 = a / 500 + f1;
+      const f2 = f1 - b / 200;
+      const xyz = [
+         f0 ** 3 > epsilon ? f0 ** 3 : (116 * f0 - 16) / kappa,
+         L > kappa * epsilon ? f1 ** 3 : L / kappa,
+         f2 ** 3 > epsilon ? f2 ** 3 : (116 * f2 - 16) / kappa,
+      ].map((value, i) => value * WebGLColor.whiteD50[i]);
+
+      return WebGLColor.xyzD50ToRGB(xyz);
+   }
+
+   /**
+    * Parse the channels of oklab() or oklch()
+    * @param {Array<string>} channels - The channel tokens
+    * @param {boolean} polar - Whether the channels are oklch() ones
+    * @returns {Array<number>|null} RGB components (0-1), or null
+    */
+   static parseOklab(channels, polar) {
+      const lightness = WebGLColor.parseNumber(channels[0], 1);
+      let a, b;
+      if (polar) {
+         const chroma = WebGLColor.parseNumber(channels[1], 0.4);
+         const hue = WebGLColor.parseHue(channels[2]);
+         if (chroma === null || hue === null) {
+            return null;
+         }
+         a = Math.max(chroma, 0) * Math.cos((hue * Math.PI) / 180);
+         b = Math.max(chroma, 0) * Math.sin((hue * Math.PI) / 180);
+      } else {
+         a = WebGLColor.parseNumber(channels[1], 0.4);
+         b = WebGLColor.parseNumber(channels[2], 0.4);
+      }
+      if (lightness === null || a === null || b === null) {
+         return null;
+      }
+
+      // Oklab to linear sRGB through the cone responses
+      const L = Math.max(lightness, 0);
+      const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+      const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+      const s = (L - 0.0894841775 * a - 1.291485548 * b) ** 3;
+      return [
+         4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+         -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+         -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+      ].map(WebGLColor.encodeSRGB);
+   }
+
+   /**
+    * Parse the arguments of color(), which start with a color space name
+    * @param {string} body - Everything between the parentheses
+    * @returns {Array<number>|null} RGBA components (0-1), or null
+    */
+   static parseColorFunction(body) {
+      const match = /^\s*([a-z0-9-]+)\s+(.*)$/.exec(body);
+      const args = match && WebGLColor.splitArguments(match[2]);
+      if (!args || args.legacy) {
+         return null;
+      }
+
+      const values = args.channels.map((token) =>
+         WebGLColor.parseNumber(token, 1)
+      );
+      const alpha = WebGLColor.parseAlpha(args.alpha);
+      if (values.includes(null) || alpha === null) {
+         return null;
+      }
+
+      let rgb;
+      switch (match[1]) {
+         case "srgb":
+            rgb = values;
+            break;
+         case "srgb-linear":
+            rgb = values.map(WebGLColor.encodeSRGB);
+            break;
+         case "display-p3":
+            rgb = WebGLColor.xyzD65ToRGB(
+               WebGLColor.multiply(
+                  WebGLColor.displayP3ToXYZ,
+                  values.map(WebGLColor.decodeSRGB)
+               )
+            );
+            break;
+         case "xyz":
+         case "xyz-d65":
+            rgb = WebGLColor.xyzD65ToRGB(values);
+            break;
+         case "xyz-d50":
+            rgb = WebGLColor.xyzD50ToRGB(values);
+            break;
+         default:
+            return null;
+      }
+
+      return [...rgb.map(WebGLColor.clamp), alpha];
+   }
+
+   /**
+    * Convert XYZ relative to D50 to gamma encoded sRGB
+    */
+   static xyzD50ToRGB(xyz) {
+      return WebGLColor.xyzD65ToRGB(
+         WebGLColor.multiply(WebGLColor.d50ToD65, xyz)
+      );
+   }
+
+   /**
+    * Convert XYZ relative to D65 to gamma encoded sRGB
+    */
+   static xyzD65ToRGB(xyz) {
+      return WebGLColor.multiply(WebGLColor.xyzToLinearSRGB, xyz).map(
+         WebGLColor.encodeSRGB
+      );
+   }
+
+   /**
+    * Apply the sRGB transfer function to a linear component
+    */
+   static encodeSRGB(value) {
+      const magnitude = Math.abs(value);
+      if (magnitude <= 0.0031308) {
+         return value * 12.92;
+      }
+      return Math.sign(value) * (1.055 * magnitude ** (1 / 2.4) - 0.055);
+   }
+
+   /**
+    * Undo the sRGB transfer function, giving a linear component
+    */
+   static decodeSRGB(value) {
+      const magnitude = Math.abs(value);
+      if (magnitude <= 0.04045) {
+         return value / 12.92;
+      }
+      return Math.sign(value) * ((magnitude + 0.055) / 1.055) ** 2.4;
+   }
+
+   /**
+    * Multiply a 3x3 matrix, given as rows, by a vector
+    */
+   static multiply(matrix, vector) {
+      return matrix.map(
+         (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+      );
+   }
+
+   /**
+    * Clamp a component to the 0-1 range
+    */
+   static clamp(value) {
+      return Math.max(0, Math.min(1, value));
+   }
+}
+
+// Parsed colors by input string, and the number kept before starting over
+WebGLColor.cache = new Map();
+WebGLColor.cacheSize = 65536;
+
+// Color space conversion matrices from the CSS Color Level 4 sample code
+WebGLColor.whiteD50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+WebGLColor.d50ToD65 = [
+   [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+   [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+   [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+];
+WebGLColor.xyzToLinearSRGB = [
+   [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+   [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+   [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+WebGLColor.displayP3ToXYZ = [
+   [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+   [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+   [0, 0.04511338185890264, 1.043944368900976],
+];
+
+// Named colors as 0xRRGGBB
+WebGLColor.names = {
+   aliceblue: 0xf0f8ff,
+   antiquewhite: 0xfaebd7,
+   aqua: 0x00ffff,
+   aquamarine: 0x7fffd4,
+   azure: 0xf0ffff,
+   beige: 0xf5f5dc,
+   bisque: 0xffe4c4,
+   black: 0x000000,
+   blanchedalmond: 0xffebcd,
+   blue: 0x0000ff,
+   blueviolet: 0x8a2be2,
+   brown: 0xa52a2a,
+   burlywood: 0xdeb887,
+   cadetblue: 0x5f9ea0,
+   chartreuse: 0x7fff00,
+   chocolate: 0xd2691e,
+   coral: 0xff7f50,
+   cornflowerblue: 0x6495ed,
+   cornsilk: 0xfff8dc,
+   crimson: 0xdc143c,
+   cyan: 0x00ffff,
+   darkblue: 0x00008b,
+   darkcyan: 0x008b8b,
+   darkgoldenrod: 0xb8860b,
+   darkgray: 0xa9a9a9,
+   darkgreen: 0x006400,
+   darkgrey: 0xa9a9a9,
+   darkkhaki: 0xbdb76b,
+   darkmagenta: 0x8b008b,
+   darkolivegreen: 0x556b2f,
+   darkorange: 0xff8c00,
+   darkorchid: 0x9932cc,
+   darkred: 0x8b0000,
+   darksalmon: 0xe9967a,
+   darkseagreen: 0x8fbc8f,
+   darkslateblue: 0x483d8b,
+   darkslategray: 0x2f4f4f,
+   darkslategrey: 0x2f4f4f,
+   darkturquoise: 0x00ced1,
+   darkviolet: 0x9400d3,
+   deeppink: 0xff1493,
+   deepskyblue: 0x00bfff,
+   dimgray: 0x696969,
+   dimgrey: 0x696969,
+   dodgerblue: 0x1e90ff,
+   firebrick: 0xb22222,
+   floralwhite: 0xfffaf0,
+   forestgreen: 0x228b22,
+   fuchsia: 0xff00ff,
+   gainsboro: 0xdcdcdc,
+   ghostwhite: 0xf8f8ff,
+   gold: 0xffd700,
+   goldenrod: 0xdaa520,
+   gray: 0x808080,
+   green: 0x008000,
+   greenyellow: 0xadff2f,
+   grey: 0x808080,
+   honeydew: 0xf0fff0,
+   hotpink: 0xff69b4,
+   indianred: 0xcd5c5c,
+   indigo: 0x4b0082,
+   ivory: 0xfffff0,
+   khaki: 0xf0e68c,
+   lavender: 0xe6e6fa,
+   lavenderblush: 0xfff0f5,
+   lawngreen: 0x7cfc00,
+   lemonchiffon: 0xfffacd,
+   lightblue: 0xadd8e6,
+   lightcoral: 0xf08080,
+   lightcyan: 0xe0ffff,
+   lightgoldenrodyellow: 0xfafad2,
+   lightgray: 0xd3d3d3,
+   lightgreen: 0x90ee90,
+   lightgrey: 0xd3d3d3,
+   lightpink: 0xffb6c1,
+   lightsalmon: 0xffa07a,
+   lightseagreen: 0x20b2aa,
+   lightskyblue: 0x87cefa,
+   lightslategray: 0x778899,
+   lightslategrey: 0x778899,
+   lightsteelblue: 0xb0c4de,
+   lightyellow: 0xffffe0,
+   lime: 0x00ff00,
+   limegreen: 0x32cd32,
+   linen: 0xfaf0e6,
+   magenta: 0xff00ff,
+   maroon: 0x800000,
+   mediumaquamarine: 0x66cdaa,
+   mediumblue: 0x0000cd,
+   mediumorchid: 0xba55d3,
+   mediumpurple: 0x9370db,
+   mediumseagreen: 0x3cb371,
+   mediumslateblue: 0x7b68ee,
+   mediumspringgreen: 0x00fa9a,
+   mediumturquoise: 0x48d1cc,
+   mediumvioletred: 0xc71585,
+   midnightblue: 0x191970,
+   mintcream: 0xf5fffa,
+   mistyrose: 0xffe4e1,
+   moccasin: 0xffe4b5,
+   navajowhite: 0xffdead,
+   navy: 0x000080,
+   oldlace: 0xfdf5e6,
+   olive: 0x808000,
+   olivedrab: 0x6b8e23,
+   orange: 0xffa500,
+   orangered: 0xff4500,
+   orchid: 0xda70d6,
+   palegoldenrod: 0xeee8aa,
+   palegreen: 0x98fb98,
+   paleturquoise: 0xafeeee,
+   palevioletred: 0xdb7093,
+   papayawhip: 0xffefd5,
+   peachpuff: 0xffdab9,
+   peru: 0xcd853f,
+   pink: 0xffc0cb,
+   plum: 0xdda0dd,
+   powderblue: 0xb0e0e6,
+   purple: 0x800080,
+   rebeccapurple: 0x663399,
+   red: 0xff0000,
+   rosybrown: 0xbc8f8f,
+   royalblue: 0x4169e1,
+   saddlebrown: 0x8b4513,
+   salmon: 0xfa8072,
+   sandybrown: 0xf4a460,
+   seagreen: 0x2e8b57,
+   seashell: 0xfff5ee,
+   sienna: 0xa0522d,
+   silver: 0xc0c0c0,
+   skyblue: 0x87ceeb,
+   slateblue: 0x6a5acd,
+   slategray: 0x708090,
+   slategrey: 0x708090,
+   snow: 0xfffafa,
+   springgreen: 0x00ff7f,
+   steelblue: 0x4682b4,
+   tan: 0xd2b48c,
+   teal: 0x008080,
+   thistle: 0xd8bfd8,
+   tomato: 0xff6347,
+   turquoise: 0x40e0d0,
+   violet: 0xee82ee,
+   wheat: 0xf5deb3,
+   white: 0xffffff,
+   whitesmoke: 0xf5f5f5,
+   yellow: 0xffff00,
+   yellowgreen: 0x9acd32,
+};
@@ -0,0 +1,121 @@
+/**
+ * WebGL Context Monitor
+ * Follows a canvas through WebGL context loss and restoration, for
+ * WebGLDraw, WebGLRenderer and OptimizedWebGLRenderer
+ *
+ * Losing the context, e.g. after a GPU reset, destroys every shader, buffer
+ * and texture. The renderer stops drawing until the browser restores the
+ * context, rebuilds its resources, and then tells the app to redraw.
+ */
+
+class WebGLContextMonitor {
+   /**
+    * Start listening for context events on a canvas
+    * @param {HTMLCanvasElement} canvas - Canvas the context belongs to
+    * @param {WebGLRenderingContext} gl - The context to follow
+    * @param {Object} handlers - Renderer callbacks, run before the listeners
+    * @param {Function} handlers.lost - Called when the context is lost
+    * @param {Function} handlers.restored - Called to recreate GPU resources
+    */
+   constructor(canvas, gl, handlers = {}) {
+      this.canvas = canvas;
+      this.gl = gl;
+      this.handlers = handlers;
+      this.lost = gl.isContextLost();
+
+      // App callbacks for each event type
+      this.listeners = { lost: [], restored: [] };
+
+      // Only available while the context is alive, so fetched up front
+      this.loseContextExtension = gl.getExtension("WEBGL_lose_context");
+
+      this.handleLost = (event) => {
+         // The browser only restores contexts whose loss was cancelled
+         event.preventDefault();
+         this.lost = true;
+         this.handlers.lost?.();
+         this.emit("lost");
+      };
+      this.handleRestored = () => {
+         this.lost = false;
+         this.handlers.restored?.();
+         this.emit("restored");
+      };
+
+      canvas.addEventListener("webglcontextlost", this.handleLost);
+      canvas.addEventListener("webglcontextrestored", this.handleRestored);
+   }
+
+   /**
+    * Register a function to call when the context is lost or restored
+    * Restored listeners run once every resource has been recreated, so they
+    * can redraw right away
+    * @param {string} type - "lost" or "restored"
+    * @param {Function} listener - Called without arguments
+    */
+   addListener(type, listener) {
+      this.listeners[type].push(listener);
+   }
+
+   /**
+    * Stop calling a function registered with addListener()
+    * @param {string} type - "lost" or "restored"
+    * @param {Function} listener - The function to remove
+    */
+   removeListener(type, listener) {
+      this.listeners[type] = this.listeners[type].filter(
+         (other) => other !== listener
+      );
+   }
+
+   /**
+    * Call every listener for an event type
+    */
+   emit(type) {
+      for (const listener of this.listeners[type]) {
+         listener();
+      }
+   }
+
+   /**
+    * Stop listening to the canvas and drop every listener
+    * Methods throw afterwards.
+    */
+   destroy() {
+      this.canvas.removeEventListener("webglcontextlost", this.handleLost);
+      this.canvas.removeEventListener(
+         "webglcontextrestored",
+         this.handleRestored
+      );
+      this.listeners = { lost: [], restored: [] };
+      WebGLResources.disable(this);
+   }
+
+   /**
+    * Lose the context on purpose, to test recovery
+    * The lost event arrives asynchronously, like a real loss
+    * @returns {boolean} Whether the loss could be simulated
+    */
+   simulateLoss() {
+      if (!this.loseContextExtension) {
+         console.warn("WEBGL_lose_context not supported");
+         return false;
+      }
+
+      this.loseContextExtension.loseContext();
+      return true;
+   }
+
+   /**
+    * Restore a context lost with simulateLoss()
+    * @returns {boolean} Whether the restore could be simulated
+    */
+   simulateRestore() {
+      if (!this.loseContextExtension || !this.gl.isContextLost()) {
+         return false;
+      }
+
+      this.loseContextExtension.restoreContext();
+      return true;
+   }
+}
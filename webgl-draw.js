@@ -10,278 +10,2084 @@ class WebGLDraw {
     */
    constructor(canvas) {
       this.canvas = canvas;
-      this.gl =
-         canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+
+      // Coordinates are in CSS pixels, the backing store matches the screen
+      this.size = new CanvasSize(canvas);
+
+      // WebGL2 where available, WebGL1 otherwise; clipping regions are drawn
+      // into the stencil buffer
+      this.backend = WebGLBackend.create(canvas, { stencil: true });
+      this.gl = this.backend && this.backend.gl;
 
       if (!this.gl) {
          console.error("WebGL not supported");
          return;
       }
 
+      // The attributes are null while the context is lost
+      if (this.gl.getContextAttributes()?.stencil === false) {
+         console.warn("No stencil buffer, clipping will have no effect");
+      }
+
+      // Render into the whole backing store whenever it is resized
+      this.size.addListener(() => this.resize());
+
+      // Stop drawing while the context is lost and rebuild when it is back
+      this.context = new WebGLContextMonitor(canvas, this.gl, {
+         lost: () => {
+            this.backend.contextLost();
+            this.discardBatch();
+         },
+         restored: () => this.restoreContext(),
+      });
+
       // Initialize shaders and buffers
       this.initShaders();
       this.initBuffers();
 
-      // Set clear color to white
-      this.gl.clearColor(1.0, 1.0, 1.0, 1.0);
-      this.gl.enable(this.gl.BLEND);
-      this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+      // White background and blending, see initContextState()
+      this.blendMode = "source-over";
+      this.initContextState();
 
       // Default drawing color
       this.setColor(0, 0, 0, 1);
+
+      // Default stroke style, matching Canvas 2D
+      this.lineJoin = "miter";
+      this.lineCap = "butt";
+      this.miterLimit = 10;
+      this.lineDash = [];
+      this.lineDashOffset = 0;
+
+      // Image filtering, matching Canvas 2D: linear when true, nearest when false
+      this.imageSmoothingEnabled = true;
+
+      // Draw circles, ellipses, rectangles, rounded rectangles and lines as
+      // anti-aliased distance field quads instead of plain triangles
+      this.antialias = false;
+
+      // Default text style, fillText options override these per call
+      this.fontFamily = "sans-serif";
+      this.fontSize = 16;
+      this.fontWeight = "normal";
+      this.textAlign = "start";
+      this.textBaseline = "alphabetic";
+
+      // View onto the world, none draws in canvas pixels, see setCamera()
+      this.camera = null;
+
+      // Shapes drawn with a pick ID while picking is enabled are recorded
+      // for pickAt(), see setPickId()
+      this.picking = false;
+      this.pickId = null;
+      this.picker = new WebGLPicker();
+
+      // Clipping regions, innermost last, see clip()
+      this.clips = [];
+
+      // Offscreen surface drawn on instead of the canvas, see
+      // setRenderTarget(), and every target still in use
+      this.renderTarget = null;
+      this.renderTargets = new Set();
+
+      // Custom shaders shapes are drawn with instead of the built-in one,
+      // see setMaterial(), and every material still in use
+      this.material = null;
+      this.materials = new Set();
+
+      // Cameras and post-processing chains made by this renderer, which
+      // destroy() takes down with it
+      this.cameras = new Set();
+      this.postProcesses = new Set();
+
+      // Current transform and the stack used by save()/restore()
+      this.resetTransform();
+      this.stateStack = [];
+   }
+
+   /**
+    * Set up the clear color and blending, which a new context resets
+    */
+   initContextState() {
+      this.gl.clearColor(1.0, 1.0, 1.0, 1.0);
+      this.gl.enable(this.gl.BLEND);
+      BlendModes.apply(this.gl, this.blendMode);
+   }
+
+   /**
+    * Recreate every GPU resource once a lost context has been restored
+    * Images, gradients and glyphs are uploaded again as they are drawn.
+    * Render targets come back empty.
+    */
+   restoreContext() {
+      this.backend.initExtensions();
+      this.initShaders();
+      this.initBuffers();
+      this.initContextState();
+      for (const target of this.renderTargets) {
+         target.create();
+      }
+      for (const material of this.materials) {
+         material.create();
+      }
+      this.bindSurface();
+   }
+
+   /**
+    * Drop the shapes batched so far, which a lost context cannot draw
+    */
+   discardBatch() {
+      this.vertexCount = 0;
+   }
+
+   /**
+    * Register a function to call when the context is lost
+    * Drawing does nothing until the context is restored
+    * @param {Function} listener - Called without arguments
+    */
+   onContextLost(listener) {
+      this.context.addListener("lost", listener);
+   }
+
+   /**
+    * Register a function to call once a lost context has been restored and
+    * every resource recreated
+    * The canvas is blank again by then, so this is where to redraw
+    * @param {Function} listener - Called without arguments
+    */
+   onContextRestored(listener) {
+      this.context.addListener("restored", listener);
+   }
+
+   /**
+    * Free every GL object and stop listening to the canvas, its size and
+    * its context
+    * Shapes not yet flushed are dropped. Cameras and post-processing chains
+    * made by this renderer are destroyed too, and so are its render targets
+    * and materials. Every method throws afterwards, and
+    * WebGLResources can confirm that nothing was left behind.
+    */
+   destroy() {
+      if (this.gl) {
+         this.discardBatch();
+         for (const postProcess of this.postProcesses) {
+            postProcess.destroy();
+         }
+         for (const target of this.renderTargets) {
+            target.release();
+         }
+         for (const material of this.materials) {
+            material.release();
+         }
+         for (const camera of this.cameras) {
+            camera.destroy();
+         }
+
+         this.gl.deleteProgram(this.shaderProgram);
+         this.gl.deleteBuffer(this.positionBuffer);
+         if (this.vertexArray) {
+            this.backend.deleteVertexArray(this.vertexArray);
+         }
+         for (const texture of this.createdTextures) {
+            this.gl.deleteTexture(texture);
+         }
+         this.context.destroy();
+      }
+
+      this.size.destroy();
+      WebGLResources.disable(this);
    }
 
    /**
     * Initialize WebGL shaders
     */
    initShaders() {
-      // Vertex shader program
-      const vsSource = `
-            attribute vec4 aVertexPosition;
-            uniform mat4 uModelViewMatrix;
-            uniform mat4 uProjectionMatrix;
-            
-            void main() {
-                gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
-            }
-        `;
+      // Screen-space derivatives let text edges stay one pixel wide at any
+      // scale; without them text falls back to plain coverage glyphs
+      this.distanceFieldText = this.backend.derivatives;
 
-      // Fragment shader program
+      // Fragment shader program, fed by WebGLDraw.vertexShader
       const fsSource = `
+            #ifdef GL_OES_standard_derivatives
+            #extension GL_OES_standard_derivatives : enable
+            #endif
+
+            // Gradients need full precision for canvas pixel positions
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
             precision mediump float;
-            uniform vec4 uColor;
-            
+            #endif
+
+            uniform sampler2D uSampler;
+
+            // 0 texture, 1 distance field glyphs, 2 linear or 3 radial
+            // gradient, 4 premultiplied texture
+            uniform int uPaintMode;
+
+            // Gradient geometry, and the map from canvas pixels into the
+            // user space it was defined in
+            uniform mat3 uGradientMatrix;
+            uniform vec4 uGradientPoints;
+            uniform vec2 uGradientRadii;
+
+            varying vec2 vPosition;
+            varying vec2 vTextureCoord;
+            varying vec4 vColor;
+            varying vec4 vShape;
+
+            ${SDFShapes.glsl}
+
+            // Position t along a linear gradient, 0 at the start point;
+            // false when the start and end points are the same
+            bool linearOffset(vec2 p, out float t) {
+                vec2 start = uGradientPoints.xy;
+                vec2 direction = uGradientPoints.zw - start;
+                float lengthSquared = dot(direction, direction);
+                t = dot(p - start, direction) / max(lengthSquared, 1e-6);
+                return lengthSquared > 0.0;
+            }
+
+            // Largest t for which p lies on the circle interpolated between
+            // the start and end circles with a radius of at least 0,
+            // following the Canvas 2D definition; false when there is none
+            bool radialOffset(vec2 p, out float t) {
+                vec2 center = uGradientPoints.xy;
+                vec2 centerDelta = uGradientPoints.zw - center;
+                float r0 = uGradientRadii.x;
+                float radiusDelta = uGradientRadii.y - r0;
+                vec2 fromCenter = p - center;
+
+                float a = dot(centerDelta, centerDelta) - radiusDelta * radiusDelta;
+                float b = dot(fromCenter, centerDelta) + r0 * radiusDelta;
+                float c = dot(fromCenter, fromCenter) - r0 * r0;
+
+                if (abs(a) < 1e-6) {
+                    t = c / (2.0 * b);
+                    return r0 + t * radiusDelta >= 0.0;
+                }
+
+                float discriminant = b * b - a * c;
+                if (discriminant < 0.0) {
+                    return false;
+                }
+
+                // Try the larger root first, a may be negative
+                float root1 = (b + sqrt(discriminant)) / a;
+                float root2 = (b - sqrt(discriminant)) / a;
+                t = max(root1, root2);
+                if (r0 + t * radiusDelta < 0.0) {
+                    t = min(root1, root2);
+                }
+                return r0 + t * radiusDelta >= 0.0;
+            }
+
             void main() {
-                gl_FragColor = uColor;
+                vec4 color;
+
+                if (uPaintMode == 2 || uPaintMode == 3) {
+                    vec2 p = (uGradientMatrix * vec3(vPosition, 1.0)).xy;
+                    // Degenerate gradients and pixels outside every circle of
+                    // a radial one are left empty, as in Canvas 2D
+                    float t;
+                    bool inside = uPaintMode == 2 ? linearOffset(p, t) : radialOffset(p, t);
+                    if (!inside) {
+                        discard;
+                    }
+
+                    // Colors past either end continue the end colors
+                    float u = (clamp(t, 0.0, 1.0) * 255.0 + 0.5) / 256.0;
+                    color = texture2D(uSampler, vec2(u, 0.5)) * vColor;
+                } else {
+                    // Shapes sample a white texel, so this is just vColor for them
+                    vec4 texel = texture2D(uSampler, vTextureCoord);
+                    color = texel * vColor;
+
+            #ifdef GL_OES_standard_derivatives
+                    // Glyph alpha is the distance to the outline, 0.5 on it
+                    if (uPaintMode == 1) {
+                        float smoothing = fwidth(texel.a) * 0.7;
+                        float coverage = smoothstep(0.5 - smoothing, 0.5 + smoothing, texel.a);
+                        color = vec4(vColor.rgb, vColor.a * coverage);
+                    }
+            #endif
+                }
+
+                // Anti-aliased shapes fade out across their outline, their
+                // texture coordinates are positions in the shape's frame
+                float coverage = shapeCoverage(vTextureCoord, vShape);
+
+                // Premultiplied, as the blend modes expect; render targets
+                // only need the color's own alpha applied
+                if (uPaintMode == 4) {
+                    gl_FragColor = vec4(color.rgb * vColor.a, color.a) * coverage;
+                } else {
+                    color.a *= coverage;
+                    gl_FragColor = vec4(color.rgb * color.a, color.a);
+                }
             }
         `;
 
-      // Create shader program
-      const vertexShader = this.compileShader(this.gl.VERTEX_SHADER, vsSource);
-      const fragmentShader = this.compileShader(
-         this.gl.FRAGMENT_SHADER,
-         fsSource
+      // Create the shader program and look up its uniforms
+      const material = new WebGLMaterial(
+         this.backend,
+         { vertex: WebGLDraw.vertexShader, fragment: fsSource },
+         WebGLDraw.programLayout
+      );
+      this.shaderProgram = material.program;
+      this.programInfo = material.programInfo;
+   }
+
+   /**
+    * Initialize WebGL buffers and the CPU-side vertex batch
+    */
+   initBuffers() {
+      // Create a buffer for the batched vertices
+      this.positionBuffer = this.gl.createBuffer();
+
+      // Each vertex is x, y in canvas pixels, u, v texture coordinates,
+      // r, g, b, a and the SDFShapes shape it belongs to, if any
+      this.vertexSize = 12;
+
+      // Batch capacity in vertices, always a whole number of triangles
+      this.maxVertices = 3 * 10922;
+      this.vertexData = new Float32Array(this.maxVertices * this.vertexSize);
+      this.vertexCount = 0;
+
+      // Record the attribute setup once where vertex arrays are available,
+      // instead of repeating it on every flush
+      this.vertexArray = null;
+      if (this.backend.vertexArrays) {
+         this.vertexArray = this.backend.createVertexArray();
+         this.backend.bindVertexArray(this.vertexArray);
+         this.setAttributes();
+         this.backend.bindVertexArray(null);
+      }
+
+      // Matrices are reused by every flush instead of being rebuilt per shape
+      this.projectionMatrix = mat4.create();
+      this.modelViewMatrix = mat4.create();
+
+      // Textures uploaded for each image source, created on first use, and
+      // every texture created, which the weak cache cannot list
+      this.textures = new WeakMap();
+      this.createdTextures = new Set();
+
+      // Shapes are drawn with a single white texel so they share the shader
+      // with images; a batch only ever uses one texture
+      this.whiteTexture = this.createTexture();
+      this.uploadTexture(this.whiteTexture, {
+         width: 1,
+         height: 1,
+         data: [255, 255, 255, 255],
+      });
+      this.batchTexture = this.whiteTexture;
+      this.batchPaint = "texture";
+
+      // Gradient of the batch and the transform it was filled with
+      this.batchGradient = null;
+      this.batchGradientTransform = null;
+      this.gradientMatrix = new Float32Array(9);
+
+      // Glyph atlas for fillText, created the first time text is drawn
+      this.glyphAtlas = null;
+   }
+
+   /**
+    * Point the interleaved position, texture coordinate, color and shape
+    * attributes at the vertex buffer
+    */
+   setAttributes() {
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
+      const stride = this.vertexSize * Float32Array.BYTES_PER_ELEMENT;
+      this.gl.vertexAttribPointer(
+         this.programInfo.attribLocations.vertexPosition,
+         2, // 2 components per vertex
+         this.gl.FLOAT,
+         false,
+         stride,
+         0
+      );
+      this.gl.enableVertexAttribArray(
+         this.programInfo.attribLocations.vertexPosition
+      );
+      this.gl.vertexAttribPointer(
+         this.programInfo.attribLocations.textureCoord,
+         2, // 2 components per texture coordinate
+         this.gl.FLOAT,
+         false,
+         stride,
+         2 * Float32Array.BYTES_PER_ELEMENT
+      );
+      this.gl.enableVertexAttribArray(
+         this.programInfo.attribLocations.textureCoord
+      );
+      this.gl.vertexAttribPointer(
+         this.programInfo.attribLocations.vertexColor,
+         4, // 4 components per color (RGBA)
+         this.gl.FLOAT,
+         false,
+         stride,
+         4 * Float32Array.BYTES_PER_ELEMENT
+      );
+      this.gl.enableVertexAttribArray(
+         this.programInfo.attribLocations.vertexColor
+      );
+      this.gl.vertexAttribPointer(
+         this.programInfo.attribLocations.shape,
+         4, // kind, width, height and radius
+         this.gl.FLOAT,
+         false,
+         stride,
+         8 * Float32Array.BYTES_PER_ELEMENT
+      );
+      this.gl.enableVertexAttribArray(this.programInfo.attribLocations.shape);
+   }
+
+   /**
+    * Create a texture that is safe for any image size
+    * WebGL 1 only supports clamping and no mipmaps for non-power-of-two sizes
+    * @returns {WebGLTexture} The new texture
+    */
+   createTexture() {
+      const texture = this.gl.createTexture();
+      this.createdTextures.add(texture);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+      this.gl.texParameteri(
+         this.gl.TEXTURE_2D,
+         this.gl.TEXTURE_WRAP_S,
+         this.gl.CLAMP_TO_EDGE
+      );
+      this.gl.texParameteri(
+         this.gl.TEXTURE_2D,
+         this.gl.TEXTURE_WRAP_T,
+         this.gl.CLAMP_TO_EDGE
       );
+      this.setTextureFilter(texture, true);
+      return texture;
+   }
 
-      this.shaderProgram = this.gl.createProgram();
-      this.gl.attachShader(this.shaderProgram, vertexShader);
-      this.gl.attachShader(this.shaderProgram, fragmentShader);
-      this.gl.linkProgram(this.shaderProgram);
+   /**
+    * Set the minification and magnification filter of a texture
+    * @param {WebGLTexture} texture - The texture to change
+    * @param {boolean} smooth - Linear filtering when true, nearest when false
+    */
+   setTextureFilter(texture, smooth) {
+      const filter = smooth ? this.gl.LINEAR : this.gl.NEAREST;
+      this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+      this.gl.texParameteri(
+         this.gl.TEXTURE_2D,
+         this.gl.TEXTURE_MIN_FILTER,
+         filter
+      );
+      this.gl.texParameteri(
+         this.gl.TEXTURE_2D,
+         this.gl.TEXTURE_MAG_FILTER,
+         filter
+      );
+   }
 
-      if (
-         !this.gl.getProgramParameter(this.shaderProgram, this.gl.LINK_STATUS)
-      ) {
-         console.error(
-            "Unable to initialize the shader program: " +
-               this.gl.getProgramInfoLog(this.shaderProgram)
+   /**
+    * Copy the pixels of an image source into a texture
+    * @param {WebGLTexture} texture - The texture to fill
+    * @param {Object} image - An image, bitmap, canvas or video element, or
+    *    raw RGBA pixels as { width, height, data } such as ImageData
+    */
+   uploadTexture(texture, image) {
+      this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+
+      if (image.data) {
+         // Raw pixels, four bytes per pixel in rows from the top
+         const data = ArrayBuffer.isView(image.data)
+            ? new Uint8Array(
+                 image.data.buffer,
+                 image.data.byteOffset,
+                 image.data.byteLength
+              )
+            : new Uint8Array(image.data);
+         this.gl.texImage2D(
+            this.gl.TEXTURE_2D,
+            0,
+            this.gl.RGBA,
+            image.width,
+            image.height,
+            0,
+            this.gl.RGBA,
+            this.gl.UNSIGNED_BYTE,
+            data
+         );
+      } else {
+         this.gl.texImage2D(
+            this.gl.TEXTURE_2D,
+            0,
+            this.gl.RGBA,
+            this.gl.RGBA,
+            this.gl.UNSIGNED_BYTE,
+            image
          );
+      }
+   }
+
+   /**
+    * Get the cached texture for an image source, uploading it on first use
+    * @param {Object} image - Any source accepted by drawImage
+    * @returns {Object} Cache entry { texture, width, height, smooth }, or
+    *    the render target itself
+    */
+   getTexture(image) {
+      // Render targets are textures already
+      if (image instanceof WebGLRenderTarget) {
+         return image;
+      }
+
+      let entry = this.textures.get(image);
+      if (!entry) {
+         entry = {
+            texture: this.createTexture(),
+            width: 0,
+            height: 0,
+            smooth: true,
+         };
+         this.textures.set(image, entry);
+         this.updateImage(image);
+      }
+      return entry;
+   }
+
+   /**
+    * Upload the pixels of an image again after they changed
+    * Textures are cached per source, so a canvas or pixel array that is
+    * drawn on after its first use must be updated before it is drawn again
+    * @param {Object} image - Any source accepted by drawImage
+    */
+   updateImage(image) {
+      const entry = this.textures.get(image);
+      if (!entry) {
          return;
       }
 
-      // Get shader attributes and uniforms
-      this.programInfo = {
-         program: this.shaderProgram,
-         attribLocations: {
-            vertexPosition: this.gl.getAttribLocation(
-               this.shaderProgram,
-               "aVertexPosition"
-            ),
-         },
-         uniformLocations: {
-            projectionMatrix: this.gl.getUniformLocation(
-               this.shaderProgram,
-               "uProjectionMatrix"
-            ),
-            modelViewMatrix: this.gl.getUniformLocation(
-               this.shaderProgram,
-               "uModelViewMatrix"
-            ),
-            color: this.gl.getUniformLocation(this.shaderProgram, "uColor"),
-         },
-      };
+      // The old pixels may still be needed by the pending batch
+      if (this.batchTexture === entry.texture) {
+         this.flush();
+      }
+
+      this.uploadTexture(entry.texture, image);
+      entry.width = image.naturalWidth || image.videoWidth || image.width;
+      entry.height = image.naturalHeight || image.videoHeight || image.height;
    }
 
    /**
-    * Compile a shader
-    * @param {number} type - The type of shader
-    * @param {string} source - The source code of the shader
-    * @returns {WebGLShader} The compiled shader
+    * Free the texture uploaded for an image source
+    * Textures stay cached for as long as the drawer lives, so release
+    * images that will not be drawn again; drawing one later uploads it
+    * anew. Render targets are freed with deleteRenderTarget() instead.
+    * @param {Object} image - Any source accepted by drawImage
     */
-   compileShader(type, source) {
-      const shader = this.gl.createShader(type);
-      this.gl.shaderSource(shader, source);
-      this.gl.compileShader(shader);
+   releaseImage(image) {
+      const entry = this.textures.get(image);
+      if (!entry) {
+         return;
+      }
 
-      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-         console.error(
-            "An error occurred compiling the shaders: " +
-               this.gl.getShaderInfoLog(shader)
-         );
-         this.gl.deleteShader(shader);
-         return null;
+      // The pending batch may still sample the texture
+      if (this.batchTexture === entry.texture) {
+         this.flush();
+         this.batchTexture = this.whiteTexture;
+         this.batchPaint = "texture";
       }
 
-      return shader;
+      this.gl.deleteTexture(entry.texture);
+      this.createdTextures.delete(entry.texture);
+      this.textures.delete(image);
    }
 
    /**
-    * Initialize WebGL buffers
+    * Make the given texture the one used by the batch
+    * The pending batch is flushed first if it was using another texture
+    * @param {WebGLTexture} texture - The texture for the following triangles
+    * @param {string} paint - How the texture is applied: "texture" for
+    *    colors, "distanceField" for glyphs, "linear" or "radial" for the
+    *    color ramp of a gradient, "premultiplied" for render targets
     */
-   initBuffers() {
-      // Create a buffer for the vertex positions
-      this.positionBuffer = this.gl.createBuffer();
+   useTexture(texture, paint = "texture") {
+      if (this.batchTexture !== texture || this.batchPaint !== paint) {
+         this.flush();
+         this.batchTexture = texture;
+         this.batchPaint = paint;
+      }
+   }
+
+   /**
+    * Make the given gradient fill the following triangles
+    * The gradient is defined in the user space of the current transform,
+    * so the batch is flushed when either changes
+    * @param {WebGLGradient} gradient - The gradient to fill with
+    */
+   useGradient(gradient) {
+      // Upload the color ramp again if stops were added since
+      const entry = this.getTexture(gradient.ramp);
+      if (entry.version !== gradient.version) {
+         this.updateImage(gradient.ramp);
+         entry.version = gradient.version;
+      }
+      this.useTexture(entry.texture, gradient.type);
+
+      const transform = this.batchGradientTransform;
+      if (
+         this.batchGradient !== gradient ||
+         !transform ||
+         transform.some((value, i) => value !== this.matrix[i])
+      ) {
+         this.flush();
+         this.batchGradient = gradient;
+         this.batchGradientTransform = this.matrix.slice();
+      }
+   }
+
+   /**
+    * Create a gradient along the line between two points
+    * Use it by passing it to setColor
+    * @param {number} x0 - X coordinate of the start point
+    * @param {number} y0 - Y coordinate of the start point
+    * @param {number} x1 - X coordinate of the end point
+    * @param {number} y1 - Y coordinate of the end point
+    * @returns {WebGLGradient} The gradient, without color stops
+    */
+   createLinearGradient(x0, y0, x1, y1) {
+      return new WebGLGradient("linear", [x0, y0, x1, y1]);
+   }
+
+   /**
+    * Create a gradient between two circles
+    * Use it by passing it to setColor
+    * @param {number} x0 - X coordinate of the start circle center
+    * @param {number} y0 - Y coordinate of the start circle center
+    * @param {number} r0 - Radius of the start circle
+    * @param {number} x1 - X coordinate of the end circle center
+    * @param {number} y1 - Y coordinate of the end circle center
+    * @param {number} r1 - Radius of the end circle
+    * @returns {WebGLGradient} The gradient, without color stops
+    */
+   createRadialGradient(x0, y0, r0, x1, y1, r1) {
+      if (r0 < 0 || r1 < 0) {
+         throw new RangeError("Gradient radii must not be negative");
+      }
+      return new WebGLGradient("radial", [x0, y0, x1, y1], [r0, r1]);
+   }
+
+   /**
+    * Create a camera looking at this canvas, which starts out showing the
+    * world exactly as drawn without one
+    * @param {Object} options - Initial view, see WebGLCamera
+    * @returns {WebGLCamera} The new camera, not yet in use
+    */
+   createCamera(options = {}) {
+      const camera = new WebGLCamera(this.size, options);
+      this.cameras.add(camera);
+      return camera;
+   }
+
+   /**
+    * View the world through a camera from the next flush on
+    * Shapes are then drawn in world coordinates. Setting no camera draws in
+    * canvas pixels again, e.g. for interface elements on top of the world.
+    * @param {WebGLCamera|null} camera - Camera to use, or null for none
+    */
+   setCamera(camera) {
+      if (camera !== this.camera) {
+         this.flush();
+         this.camera = camera;
+         this.picker.end();
+      }
+   }
+
+   /**
+    * Transform from user space to CSS pixels, the current transform
+    * followed by the camera
+    * @returns {Array<number>} Matrix [a, b, c, d, e, f]
+    */
+   getScreenTransform() {
+      if (!this.camera) {
+         return this.matrix;
+      }
+
+      const [a, b, c, d, e, f] = this.camera.getMatrix();
+      const m = this.matrix;
+      return [
+         a * m[0] + c * m[1],
+         b * m[0] + d * m[1],
+         a * m[2] + c * m[3],
+         b * m[2] + d * m[3],
+         a * m[4] + c * m[5] + e,
+         b * m[4] + d * m[5] + f,
+      ];
+   }
+
+   /**
+    * Set the ID recorded for shapes drawn from now on, while picking is
+    * enabled
+    * Turn picking on with `drawer.picking = true`; pickAt() then answers
+    * with the ID of the shape under a point until the canvas is cleared.
+    * @param {*} id - Any value other than null, e.g. a number or an
+    *    object; null stops recording
+    */
+   setPickId(id) {
+      if (id !== this.pickId) {
+         this.pickId = id;
+         this.picker.end();
+      }
+   }
+
+   /**
+    * Find the shape under a point, e.g. the mouse position
+    * Shapes are hit where they are drawn, within any clipping region they
+    * were drawn in. Images and text are hit anywhere in their rectangles.
+    * @param {number} x - X coordinate in CSS pixels from the canvas left
+    * @param {number} y - Y coordinate in CSS pixels from the canvas top
+    * @returns {*} Pick ID of the topmost shape there, or null if none
+    */
+   pickAt(x, y) {
+      return this.picker.pickAt(x, y);
    }
 
    /**
-    * Set the drawing color
-    * @param {number} r - Red component (0-1)
+    * Set the drawing color, or a gradient to fill with instead
+    * Invalid CSS color strings leave the color unchanged, as in Canvas 2D
+    * @param {number|string|WebGLGradient} r - Red component (0-1), a CSS
+    *    color string, or a gradient
     * @param {number} g - Green component (0-1)
     * @param {number} b - Blue component (0-1)
     * @param {number} a - Alpha component (0-1)
     */
    setColor(r, g, b, a = 1.0) {
+      // Gradients are multiplied by white, so they show their own colors
+      if (r instanceof WebGLGradient) {
+         this.gradient = r;
+         this.color = [1, 1, 1, 1];
+         return;
+      }
+
+      if (typeof r === "string") {
+         const rgba = WebGLColor.parse(r);
+         if (rgba) {
+            this.gradient = null;
+            this.color = rgba.slice();
+         }
+         return;
+      }
+
+      this.gradient = null;
       this.color = [r, g, b, a];
    }
 
    /**
-    * Clear the canvas
+    * Set the dash pattern for lines and outlines, like Canvas 2D
+    * An odd number of lengths is repeated to make it even, an empty list
+    * draws solid lines, and lists with negative or non-finite lengths are
+    * ignored. Lengths are in user units, measured along each whole stroke
+    * and starting lineDashOffset into the pattern.
+    * @param {Array<number>} segments - Alternating dash and gap lengths
     */
-   clear() {
-      this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+   setLineDash(segments) {
+      this.lineDash = Tessellator.normalizeDash(segments) || this.lineDash;
    }
 
    /**
-    * Draw a rectangle
-    * @param {number} x - X coordinate of the top-left corner
-    * @param {number} y - Y coordinate of the top-left corner
-    * @param {number} width - Width of the rectangle
-    * @param {number} height - Height of the rectangle
+    * Get the current dash pattern
+    * @returns {Array<number>} Copy of the dash and gap lengths
     */
-   rect(x, y, width, height) {
-      // Convert canvas coordinates to WebGL coordinates (0,0 at center, -1 to 1 range)
-      const x1 = (x / this.canvas.width) * 2 - 1;
-      const y1 = -((y / this.canvas.height) * 2 - 1); // Flip Y axis
-      const x2 = ((x + width) / this.canvas.width) * 2 - 1;
-      const y2 = -(((y + height) / this.canvas.height) * 2 - 1);
+   getLineDash() {
+      return this.lineDash.slice();
+   }
 
-      // Define vertices for the rectangle
-      const positions = [x1, y1, x2, y1, x1, y2, x2, y2];
+   /**
+    * Set how shapes drawn from now on combine with what is already drawn
+    * @param {string} mode - A Canvas 2D globalCompositeOperation value listed
+    *    in BlendModes.modes; unsupported values are ignored
+    */
+   setBlendMode(mode) {
+      if (mode === this.blendMode) {
+         return;
+      }
 
-      // Bind position buffer and set data
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
+      // Shapes already batched keep the mode they were drawn with
+      this.flush();
+      if (BlendModes.apply(this.gl, mode)) {
+         this.blendMode = mode;
+      }
+   }
+
+   /**
+    * Compile a material: a fragment shader, and optionally a vertex shader,
+    * that shapes, images and text are drawn with after setMaterial()
+    * Shaders are GLSL ES 1.00. The default vertex shader is
+    * WebGLDraw.vertexShader, which passes the fragment shader the world
+    * position vPosition, the texture coordinates vTextureCoord (positions
+    * in the shape's frame for anti-aliased shapes), the drawing color
+    * vColor and the anti-aliased shape vShape; SDFShapes.glsl has the
+    * matching coverage function. Images and text are sampled through
+    * uSampler, and uPaintMode tells how, as WebGLDraw.paintModes lists.
+    * The output is blended as premultiplied color.
+    * @param {string} fragmentSource - Fragment shader source
+    * @param {Object} options - Material settings
+    * @param {string} options.vertex - Vertex shader source reading the
+    *    attributes in WebGLDraw.programLayout
+    * @param {Object} options.uniforms - Initial uniform values, see
+    *    WebGLMaterial.setUniform()
+    * @returns {WebGLMaterial} The material
+    * @throws {TypeError} If options has keys other than vertex and uniforms
+    * @throws {Error} If the shaders do not compile or link
+    */
+   createMaterial(fragmentSource, options = {}) {
+      WebGLMaterial.checkOptions(options);
+      const material = new WebGLMaterial(
+         this.backend,
+         {
+            vertex: options.vertex || WebGLDraw.vertexShader,
+            fragment: fragmentSource,
+         },
+         WebGLDraw.programLayout
       );
 
-      // Set up shader program
-      this.gl.useProgram(this.programInfo.program);
+      // Shapes batched with the material keep the values they were drawn with
+      material.addListener(() => {
+         if (this.material === material) {
+            this.flush();
+         }
+      });
+      if (options.uniforms) {
+         material.setUniforms(options.uniforms);
+      }
 
-      // Set up vertex attribute
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
+      this.materials.add(material);
+      return material;
+   }
 
-      // Set up matrices
-      const projectionMatrix = mat4.create();
-      const modelViewMatrix = mat4.create();
+   /**
+    * Draw the following shapes, images and text with a material, or with
+    * the built-in shader again
+    * Clipping regions are always drawn with the built-in shader.
+    * @param {WebGLMaterial|null} material - Material from createMaterial(),
+    *    or null
+    */
+   setMaterial(material) {
+      if (material === this.material) {
+         return;
+      }
+      if (material && !this.materials.has(material)) {
+         throw new Error("Material was deleted or belongs to another renderer");
+      }
 
-      // Set uniforms
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.projectionMatrix,
-         false,
-         projectionMatrix
-      );
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.modelViewMatrix,
-         false,
-         modelViewMatrix
-      );
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, this.color);
+      // Shapes already batched keep the shader they were drawn with
+      this.flush();
+      this.material = material;
+   }
+
+   /**
+    * Free a material, which cannot be used afterwards
+    * @param {WebGLMaterial} material - Material from createMaterial()
+    */
+   deleteMaterial(material) {
+      if (!this.materials.delete(material)) {
+         return;
+      }
+
+      if (material === this.material) {
+         this.setMaterial(null);
+      }
+      material.release();
+   }
+
+   /**
+    * Push the current transform, color, blend mode, clipping region, stroke,
+    * image and text style, material and pick ID onto the state stack
+    */
+   save() {
+      this.stateStack.push({
+         matrix: this.matrix.slice(),
+         color: this.color.slice(),
+         gradient: this.gradient,
+         blendMode: this.blendMode,
+         clipCount: this.clips.length,
+         lineJoin: this.lineJoin,
+         lineCap: this.lineCap,
+         miterLimit: this.miterLimit,
+         lineDash: this.lineDash,
+         lineDashOffset: this.lineDashOffset,
+         imageSmoothingEnabled: this.imageSmoothingEnabled,
+         antialias: this.antialias,
+         fontFamily: this.fontFamily,
+         fontSize: this.fontSize,
+         fontWeight: this.fontWeight,
+         textAlign: this.textAlign,
+         textBaseline: this.textBaseline,
+         material: this.material,
+         pickId: this.pickId,
+      });
+   }
 
-      // Draw the rectangle
-      this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+   /**
+    * Pop the most recently saved state
+    */
+   restore() {
+      const state = this.stateStack.pop();
+      if (!state) {
+         return;
+      }
+
+      this.matrix = state.matrix;
+      this.color = state.color;
+      this.gradient = state.gradient;
+      this.setBlendMode(state.blendMode);
+      this.removeClips(state.clipCount);
+      this.lineJoin = state.lineJoin;
+      this.lineCap = state.lineCap;
+      this.miterLimit = state.miterLimit;
+      this.lineDash = state.lineDash;
+      this.lineDashOffset = state.lineDashOffset;
+      this.imageSmoothingEnabled = state.imageSmoothingEnabled;
+      this.antialias = state.antialias;
+      this.fontFamily = state.fontFamily;
+      this.fontSize = state.fontSize;
+      this.fontWeight = state.fontWeight;
+      this.textAlign = state.textAlign;
+      this.textBaseline = state.textBaseline;
+
+      // A material deleted since save() cannot come back
+      this.setMaterial(
+         this.materials.has(state.material) ? state.material : null
+      );
+      this.setPickId(state.pickId);
+   }
+
+   /**
+    * Restrict drawing to a rectangle, within any current clipping region
+    * @param {number} x - X coordinate of the top-left corner
+    * @param {number} y - Y coordinate of the top-left corner
+    * @param {number} width - Width of the rectangle
+    * @param {number} height - Height of the rectangle
+    */
+   clipRect(x, y, width, height) {
+      this.clip([
+         { x, y },
+         { x: x + width, y },
+         { x: x + width, y: y + height },
+         { x, y: y + height },
+      ]);
+   }
+
+   /**
+    * Restrict drawing to a shape, within any current clipping region
+    * The region uses the current transform and lasts until the matching
+    * restore(). Its edges are not anti-aliased.
+    * @param {WebGLPath|Array} shape - A path, or polygon points in the form
+    *    polygon() takes
+    * @param {string} fillRule - "nonzero" or "evenodd", like Canvas 2D clip()
+    */
+   clip(shape, fillRule = "nonzero") {
+      let rings;
+      if (shape instanceof WebGLPath) {
+         rings = shape
+            .toPolylines(this.curveTolerance())
+            .map((polyline) => polyline.points);
+      } else {
+         rings = (Array.isArray(shape[0]) ? shape : [shape]).map((ring) =>
+            this.flattenPoints(ring)
+         );
+      }
+
+      // Kept so the stencil buffer can be rebuilt after it is lost. Like
+      // Canvas 2D, the region stays where it is on screen when the camera
+      // moves.
+      const clip = {
+         matrix: this.getScreenTransform().slice(),
+         triangles: Tessellator.fillPolygon(rings, fillRule),
+      };
+
+      this.flush();
+      this.clips.push(clip);
+      this.picker.end();
+      this.drawClip(clip, this.clips.length - 1);
+      this.useClips();
+   }
+
+   /**
+    * Add a clipping region to the stencil buffer
+    * Pixels inside every enclosing region hold the nesting depth; those
+    * also inside this region are raised by one. Other pixels keep their value.
+    * @param {Object} clip - Region { matrix, triangles } from clip(), with
+    *    the matrix mapping straight to CSS pixels
+    * @param {number} depth - Number of enclosing regions
+    */
+   drawClip(clip, depth) {
+      const gl = this.gl;
+      gl.enable(gl.STENCIL_TEST);
+      gl.stencilFunc(gl.EQUAL, depth, 0xff);
+      gl.stencilOp(gl.KEEP, gl.KEEP, gl.INCR);
+      gl.colorMask(false, false, false, false);
+
+      // Gradients and materials may discard pixels, so the region is drawn
+      // in a plain color. It is not a shape of its own that could be picked.
+      const { matrix, gradient, antialias, camera, material, pickId } = this;
+      this.matrix = clip.matrix;
+      this.gradient = null;
+      this.antialias = false;
+      this.camera = null;
+      this.material = null;
+      this.pickId = null;
+      this.addTriangles(clip.triangles);
+      this.flush();
+      this.matrix = matrix;
+      this.gradient = gradient;
+      this.antialias = antialias;
+      this.camera = camera;
+      this.material = material;
+      this.pickId = pickId;
+
+      gl.colorMask(true, true, true, true);
+   }
+
+   /**
+    * Drop the innermost clipping regions
+    * Pixels left above the new depth are lowered back to it, which keeps
+    * every pixel at or below the depth as drawClip() expects
+    * @param {number} count - Number of regions to keep
+    */
+   removeClips(count) {
+      if (this.clips.length <= count) {
+         return;
+      }
+
+      this.flush();
+      this.clips.length = count;
+      this.picker.end();
+
+      const gl = this.gl;
+      gl.enable(gl.STENCIL_TEST);
+      gl.stencilFunc(gl.LESS, count, 0xff);
+      gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
+      gl.colorMask(false, false, false, false);
+
+      // The quad covers the surface whatever the camera shows
+      const { matrix, gradient, camera, material, pickId } = this;
+      this.resetTransform();
+      this.gradient = null;
+      this.camera = null;
+      this.material = null;
+      this.pickId = null;
+      this.addTriangleStrip([
+         0,
+         0,
+         this.surface.width,
+         0,
+         0,
+         this.surface.height,
+         this.surface.width,
+         this.surface.height,
+      ]);
+      this.flush();
+      this.matrix = matrix;
+      this.gradient = gradient;
+      this.camera = camera;
+      this.material = material;
+      this.pickId = pickId;
+
+      gl.colorMask(true, true, true, true);
+      this.useClips();
+   }
+
+   /**
+    * Rebuild the stencil buffer from the clipping regions, after a resize
+    * has cleared it
+    */
+   redrawClips() {
+      this.gl.clear(this.gl.STENCIL_BUFFER_BIT);
+      this.clips.forEach((clip, depth) => this.drawClip(clip, depth));
+      this.useClips();
+   }
+
+   /**
+    * Only let pixels inside every clipping region be drawn
+    */
+   useClips() {
+      const gl = this.gl;
+      if (this.clips.length === 0) {
+         gl.disable(gl.STENCIL_TEST);
+         return;
+      }
+
+      gl.enable(gl.STENCIL_TEST);
+      gl.stencilFunc(gl.EQUAL, this.clips.length, 0xff);
+      gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+   }
+
+   /**
+    * Multiply the current transform by the given matrix
+    * Matrix components follow the Canvas 2D order [a, b, c, d, e, f]
+    */
+   transform(a, b, c, d, e, f) {
+      const m = this.matrix;
+      this.matrix = [
+         m[0] * a + m[2] * b,
+         m[1] * a + m[3] * b,
+         m[0] * c + m[2] * d,
+         m[1] * c + m[3] * d,
+         m[0] * e + m[2] * f + m[4],
+         m[1] * e + m[3] * f + m[5],
+      ];
+   }
+
+   /**
+    * Move the origin of the current transform
+    * @param {number} x - Horizontal offset
+    * @param {number} y - Vertical offset
+    */
+   translate(x, y) {
+      this.transform(1, 0, 0, 1, x, y);
+   }
+
+   /**
+    * Rotate the current transform clockwise around the origin
+    * @param {number} angle - Rotation angle in radians
+    */
+   rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      this.transform(cos, sin, -sin, cos, 0, 0);
+   }
+
+   /**
+    * Scale the current transform
+    * @param {number} x - Horizontal scale factor
+    * @param {number} y - Vertical scale factor (defaults to x)
+    */
+   scale(x, y = x) {
+      this.transform(x, 0, 0, y, 0, 0);
+   }
+
+   /**
+    * Replace the current transform
+    * Matrix components follow the Canvas 2D order [a, b, c, d, e, f]
+    */
+   setTransform(a, b, c, d, e, f) {
+      this.matrix = [a, b, c, d, e, f];
+   }
+
+   /**
+    * Get a copy of the current transform
+    * @returns {Array<number>} Matrix components [a, b, c, d, e, f]
+    */
+   getTransform() {
+      return this.matrix.slice();
+   }
+
+   /**
+    * Reset the current transform to the identity
+    */
+   resetTransform() {
+      this.setTransform(1, 0, 0, 1, 0, 0);
+   }
+
+   /**
+    * Width of the drawing area in CSS pixels
+    * @returns {number} Width in the units shapes are drawn in
+    */
+   get width() {
+      return this.size.width;
+   }
+
+   /**
+    * Height of the drawing area in CSS pixels
+    * @returns {number} Height in the units shapes are drawn in
+    */
+   get height() {
+      return this.size.height;
+   }
+
+   /**
+    * Register a function to call after the canvas is resized
+    * Resizing clears the canvas, so this is where to redraw
+    * @param {Function} listener - Called with the CanvasSize
+    */
+   onResize(listener) {
+      this.size.addListener(listener);
+   }
+
+   /**
+    * Match the viewport to the resized backing store and restore the
+    * clipping regions it lost
+    * Shapes batched before the resize are drawn with the new size. While a
+    * render target is bound this waits until the canvas is bound again.
+    */
+   resize() {
+      if (!this.renderTarget) {
+         this.bindSurface();
+      }
+   }
+
+   /**
+    * Surface shapes are drawn on: the bound render target, or the canvas
+    * @returns {CanvasSize|WebGLRenderTarget} Its width, height and
+    *    pixelRatio
+    */
+   get surface() {
+      return this.renderTarget || this.size;
+   }
+
+   /**
+    * Create an offscreen surface to draw on with setRenderTarget() and to
+    * draw as an image with drawImage()
+    * Targets keep their pixels until they are drawn on again, so costly
+    * drawings such as static backgrounds only need to be drawn once.
+    * @param {number} width - Width in drawing units, like CSS pixels
+    * @param {number} height - Height in drawing units
+    * @param {Object} options - Target settings
+    * @param {number} options.pixelRatio - Texture pixels per drawing unit,
+    *    the canvas pixel ratio by default so the target is as sharp
+    * @returns {WebGLRenderTarget} The new, transparent target
+    */
+   createRenderTarget(width, height, options = {}) {
+      const target = new WebGLRenderTarget(
+         this.gl,
+         width,
+         height,
+         options.pixelRatio || this.size.pixelRatio
+      );
+      this.renderTargets.add(target);
+      return target;
+   }
+
+   /**
+    * Draw on a render target from now on, or on the canvas again
+    * Pending shapes are drawn first. Shapes on a target are drawn with the
+    * current transform, camera and clipping regions, as on the canvas, and
+    * are only recorded for pickAt() on the scene target of a post-processing
+    * chain. A target cannot be drawn as an image, or sampled by the
+    * current material, while it is bound; drawing it throws.
+    * @param {WebGLRenderTarget|null} target - Target from
+    *    createRenderTarget(), or null for the canvas
+    */
+   setRenderTarget(target) {
+      if (target === this.renderTarget) {
+         return;
+      }
+      if (target && !this.renderTargets.has(target)) {
+         throw new Error(
+            "Render target was deleted or belongs to another renderer"
+         );
+      }
+
+      this.flush();
+      this.renderTarget = target;
+      this.bindSurface();
+   }
+
+   /**
+    * Free a render target, which cannot be used afterwards
+    * @param {WebGLRenderTarget} target - Target from createRenderTarget()
+    */
+   deleteRenderTarget(target) {
+      if (!this.renderTargets.delete(target)) {
+         return;
+      }
+
+      if (target === this.renderTarget) {
+         this.setRenderTarget(null);
+      } else if (this.batchTexture === target.texture) {
+         this.flush();
+      }
+      target.release();
+   }
+
+   /**
+    * Create a chain of full-screen effects, such as blur or bloom, for
+    * everything drawn between its begin() and end()
+    * Shapes drawn in between are still recorded for pickAt().
+    * @returns {WebGLPostProcess} The chain, empty until passes are added
+    */
+   createPostProcess() {
+      const postProcess = new WebGLPostProcess(this);
+      this.postProcesses.add(postProcess);
+      return postProcess;
+   }
+
+   /**
+    * Bind the framebuffer and viewport of the current surface, and rebuild
+    * the clipping regions in its stencil buffer
+    */
+   bindSurface() {
+      const target = this.renderTarget;
+      this.gl.bindFramebuffer(
+         this.gl.FRAMEBUFFER,
+         target ? target.framebuffer : null
+      );
+      this.gl.viewport(
+         0,
+         0,
+         target ? target.pixelWidth : this.canvas.width,
+         target ? target.pixelHeight : this.canvas.height
+      );
+      this.redrawClips();
+   }
+
+   /**
+    * Flattening tolerance in user space for the current transform and camera
+    * Curves are split finely enough to stay within Tessellator.tolerance
+    * device pixels of the real shape once scaled onto the screen
+    * @returns {number} Maximum distance from the curve in user units
+    */
+   curveTolerance() {
+      // Largest singular value of the linear part, the most any direction
+      // is stretched, so non-uniform scales stay fine along their long axis
+      const [a, b, c, d] = this.getScreenTransform();
+      const half = (a * a + b * b + c * c + d * d) / 2;
+      const det = a * d - b * c;
+      const scale = Math.sqrt(
+         half + Math.sqrt(Math.max(half * half - det * det, 0))
+      );
+      return Tessellator.tolerance / (scale * this.surface.pixelRatio);
+   }
+
+   /**
+    * Clear the canvas, or the bound render target
+    * Pending shapes are flushed first so draw order is preserved. Clearing
+    * the canvas forgets the recorded pick shapes; render targets are
+    * cleared to transparent so they can be drawn over other shapes.
+    */
+   clear() {
+      this.flush();
+      if (this.renderTarget && !this.renderTarget.screen) {
+         this.gl.clearColor(0, 0, 0, 0);
+         this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+         this.gl.clearColor(1.0, 1.0, 1.0, 1.0);
+         return;
+      }
+
+      this.picker.clear();
+      this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+   }
+
+   /**
+    * Send all batched triangles to the GPU in a single draw call
+    */
+   flush() {
+      if (this.vertexCount === 0) {
+         return;
+      }
+      if (this.context.lost) {
+         this.discardBatch();
+         return;
+      }
+
+      // Reading the target being drawn on is a feedback loop WebGL rejects
+      if (this.material && this.material.samples(this.renderTarget)) {
+         this.discardBatch();
+         throw new Error("Material samples the render target being drawn on");
+      }
+
+      // Upload only the used part of the batch
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
+      this.gl.bufferData(
+         this.gl.ARRAY_BUFFER,
+         this.vertexData.subarray(0, this.vertexCount * this.vertexSize),
+         this.gl.DYNAMIC_DRAW
+      );
+
+      // Set up the shader program, the material's if one is set
+      const programInfo = this.material
+         ? this.material.programInfo
+         : this.programInfo;
+      this.gl.useProgram(programInfo.program);
+
+      // The vertex array already holds the attribute setup
+      if (this.vertexArray) {
+         this.backend.bindVertexArray(this.vertexArray);
+      } else {
+         this.setAttributes();
+      }
+
+      // Map CSS pixels (0,0 at top-left) to clip space
+      mat4.ortho(
+         this.projectionMatrix,
+         0,
+         this.surface.width,
+         this.surface.height,
+         0,
+         -1,
+         1
+      );
+
+      // Map world coordinates to CSS pixels through the camera
+      const [a, b, c, d, e, f] = this.camera
+         ? this.camera.getMatrix()
+         : [1, 0, 0, 1, 0, 0];
+      this.modelViewMatrix.set([
+         a,
+         b,
+         0,
+         0,
+         c,
+         d,
+         0,
+         0,
+         0,
+         0,
+         1,
+         0,
+         e,
+         f,
+         0,
+         1,
+      ]);
+
+      // Set uniforms
+      this.gl.uniformMatrix4fv(
+         programInfo.uniformLocations.projectionMatrix,
+         false,
+         this.projectionMatrix
+      );
+      this.gl.uniformMatrix4fv(
+         programInfo.uniformLocations.modelViewMatrix,
+         false,
+         this.modelViewMatrix
+      );
+
+      // Bind the batch texture to unit 0
+      this.gl.activeTexture(this.gl.TEXTURE0);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, this.batchTexture);
+      this.gl.uniform1i(programInfo.uniformLocations.sampler, 0);
+      this.gl.uniform1i(
+         programInfo.uniformLocations.paintMode,
+         WebGLDraw.paintModes[this.batchPaint]
+      );
+
+      // Gradient geometry and the map from canvas pixels into its space
+      if (this.batchGradient) {
+         this.setGradientUniforms(programInfo);
+      }
+
+      // Values and textures of the material's own uniforms
+      if (this.material) {
+         this.material.apply();
+      }
+
+      // Draw every batched triangle at once
+      this.gl.drawArrays(this.gl.TRIANGLES, 0, this.vertexCount);
+      if (this.vertexArray) {
+         this.backend.bindVertexArray(null);
+      }
+
+      this.vertexCount = 0;
+   }
+
+   /**
+    * Upload the geometry of the batch gradient
+    * @param {Object} programInfo - Program and uniform locations to use
+    */
+   setGradientUniforms(programInfo) {
+      const gradient = this.batchGradient;
+
+      // Invert the transform the gradient was filled with, a singular one
+      // draws nothing anyway
+      const [a, b, c, d, e, f] = this.batchGradientTransform;
+      const det = a * d - b * c || 1;
+      const m = this.gradientMatrix;
+      m[0] = d / det;
+      m[1] = -b / det;
+      m[2] = 0;
+      m[3] = -c / det;
+      m[4] = a / det;
+      m[5] = 0;
+      m[6] = (c * f - d * e) / det;
+      m[7] = (b * e - a * f) / det;
+      m[8] = 1;
+
+      this.gl.uniformMatrix3fv(
+         programInfo.uniformLocations.gradientMatrix,
+         false,
+         m
+      );
+      this.gl.uniform4fv(
+         programInfo.uniformLocations.gradientPoints,
+         gradient.points
+      );
+      this.gl.uniform2fv(
+         programInfo.uniformLocations.gradientRadii,
+         gradient.radii
+      );
+   }
+
+   /**
+    * Append a vertex with the current color to the batch
+    * The current transform is applied here rather than through
+    * uModelViewMatrix so shapes with different transforms share a draw
+    * call; the shader only applies the camera
+    * @param {number} x - X coordinate in user space
+    * @param {number} y - Y coordinate in user space
+    * @param {number} u - Horizontal texture coordinate (0-1)
+    * @param {number} v - Vertical texture coordinate (0-1, 0 is the top row)
+    * @param {Array<number>} shape - SDFShapes shape, for anti-aliased shapes
+    */
+   pushVertex(x, y, u = 0, v = 0, shape = null) {
+      const m = this.matrix;
+      const worldX = m[0] * x + m[2] * y + m[4];
+      const worldY = m[1] * x + m[3] * y + m[5];
+      if (
+         this.picking &&
+         this.pickId !== null &&
+         (!this.renderTarget || this.renderTarget.screen)
+      ) {
+         this.recordPick(worldX, worldY, u, v, shape);
+      }
+
+      let offset = this.vertexCount * this.vertexSize;
+      this.vertexData[offset++] = worldX;
+      this.vertexData[offset++] = worldY;
+      this.vertexData[offset++] = u;
+      this.vertexData[offset++] = v;
+      this.vertexData[offset++] = this.color[0];
+      this.vertexData[offset++] = this.color[1];
+      this.vertexData[offset++] = this.color[2];
+      this.vertexData[offset++] = this.color[3];
+      for (let i = 0; i < 4; i++) {
+         this.vertexData[offset++] = shape ? shape[i] : 0;
+      }
+      this.vertexCount++;
+   }
+
+   /**
+    * Record a vertex for pickAt() under the current pick ID
+    * @param {number} x - X coordinate in world space
+    * @param {number} y - Y coordinate in world space
+    * @param {number} u - X coordinate in the shape's frame
+    * @param {number} v - Y coordinate in the shape's frame
+    * @param {Array<number>} shape - SDFShapes shape, if any
+    */
+   recordPick(x, y, u, v, shape) {
+      if (!this.picker.current) {
+         this.picker.begin(
+            this.pickId,
+            this.camera ? this.camera.getMatrix() : null,
+            this.clips.slice()
+         );
+      }
+      this.picker.addVertex(x, y, u, v, shape);
+   }
+
+   /**
+    * Append a triangle in the current color or gradient to the batch,
+    * flushing first if the batch is full or was drawing something else
+    */
+   pushTriangle(x1, y1, x2, y2, x3, y3) {
+      this.usePaint();
+      if (this.vertexCount + 3 > this.maxVertices) {
+         this.flush();
+      }
+
+      this.pushVertex(x1, y1);
+      this.pushVertex(x2, y2);
+      this.pushVertex(x3, y3);
+   }
+
+   /**
+    * Set up the batch for shapes in the current color or gradient
+    */
+   usePaint() {
+      if (this.gradient) {
+         this.useGradient(this.gradient);
+      } else {
+         this.useTexture(this.whiteTexture);
+      }
+   }
+
+   /**
+    * Append an anti-aliased shape to the batch as a quad around it
+    * @param {Array<number>} shape - SDFShapes shape [kind, width, height, radius]
+    * @param {number} x - X coordinate of the shape center
+    * @param {number} y - Y coordinate of the shape center
+    * @param {number} axisX - X component of the unit vector along the shape's x axis
+    * @param {number} axisY - Y component of the unit vector along the shape's x axis
+    * @param {number} halfWidth - Half the extent of the shape along its x axis
+    * @param {number} halfHeight - Half the extent of the shape along its y axis
+    */
+   pushShape(shape, x, y, axisX, axisY, halfWidth, halfHeight) {
+      this.usePaint();
+      if (this.vertexCount + 6 > this.maxVertices) {
+         this.flush();
+      }
+
+      // Leave a device pixel around the shape for its soft edge
+      const padding =
+         SDFShapes.pixelSize(this.getScreenTransform()) /
+         this.surface.pixelRatio;
+      const u = halfWidth + padding;
+      const v = halfHeight + padding;
+
+      // Corners of the quad, with their positions in the shape's frame
+      const corner = (su, sv) => [
+         x + axisX * su - axisY * sv,
+         y + axisY * su + axisX * sv,
+         su,
+         sv,
+         shape,
+      ];
+      const topLeft = corner(-u, -v);
+      const topRight = corner(u, -v);
+      const bottomLeft = corner(-u, v);
+      const bottomRight = corner(u, v);
+
+      this.pushVertex(...topLeft);
+      this.pushVertex(...topRight);
+      this.pushVertex(...bottomLeft);
+      this.pushVertex(...topRight);
+      this.pushVertex(...bottomRight);
+      this.pushVertex(...bottomLeft);
+   }
+
+   /**
+    * Append a triangle fan to the batch
+    * @param {Array<number>} positions - Flat [x, y, ...] list, first point is the hub
+    */
+   addTriangleFan(positions) {
+      for (let i = 2; i + 3 < positions.length; i += 2) {
+         this.pushTriangle(
+            positions[0],
+            positions[1],
+            positions[i],
+            positions[i + 1],
+            positions[i + 2],
+            positions[i + 3]
+         );
+      }
+   }
+
+   /**
+    * Append a triangle strip to the batch
+    * @param {Array<number>} positions - Flat [x, y, ...] list in strip order
+    */
+   addTriangleStrip(positions) {
+      for (let i = 0; i + 5 < positions.length; i += 2) {
+         this.pushTriangle(
+            positions[i],
+            positions[i + 1],
+            positions[i + 2],
+            positions[i + 3],
+            positions[i + 4],
+            positions[i + 5]
+         );
+      }
+   }
+
+   /**
+    * Append a triangle list to the batch
+    * @param {Array<number>} positions - Flat [x, y, ...] list, three points per triangle
+    */
+   addTriangles(positions) {
+      for (let i = 0; i + 5 < positions.length; i += 6) {
+         this.pushTriangle(
+            positions[i],
+            positions[i + 1],
+            positions[i + 2],
+            positions[i + 3],
+            positions[i + 4],
+            positions[i + 5]
+         );
+      }
+   }
+
+   /**
+    * Draw an image, or part of it, like Canvas 2D drawImage
+    * Accepts (image, dx, dy), (image, dx, dy, dw, dh) or
+    * (image, sx, sy, sw, sh, dx, dy, dw, dh). The image is multiplied by the
+    * current color, so set the color to opaque white to draw it unchanged.
+    * @param {Object} image - An image, bitmap, canvas or video element, a
+    *    render target, or raw RGBA pixels as { width, height, data } such
+    *    as ImageData
+    * @param {...number} args - Source and destination rectangles in pixels
+    * @throws {TypeError} If not called with 3, 5 or 9 arguments
+    */
+   drawImage(image, ...args) {
+      if (args.length !== 2 && args.length !== 4 && args.length !== 8) {
+         throw new TypeError(
+            `drawImage takes 3, 5 or 9 arguments, not ${args.length + 1}`
+         );
+      }
+
+      // Images that have not finished loading draw nothing, as in Canvas 2D
+      if (image.complete === false) {
+         return;
+      }
+
+      const entry = this.getTexture(image);
+      if (entry.width === 0 || entry.height === 0) {
+         return;
+      }
+
+      // Expand the shorter forms into source and destination rectangles
+      let sx = 0;
+      let sy = 0;
+      let sw = entry.width;
+      let sh = entry.height;
+      let dx, dy, dw, dh;
+      if (args.length === 8) {
+         [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+      } else {
+         [dx, dy, dw = sw, dh = sh] = args;
+      }
+
+      // Render targets hold premultiplied colors with the bottom row first
+      const target = image instanceof WebGLRenderTarget;
+      if (target && !this.renderTargets.has(image)) {
+         throw new Error(
+            "Render target was deleted or belongs to another renderer"
+         );
+      }
+      if (image === this.renderTarget) {
+         throw new Error("Render target cannot be drawn while it is bound");
+      }
+      const v = (y) => (target ? 1 - y / entry.height : y / entry.height);
+
+      // Switch textures, then apply the filter once the old batch is drawn
+      this.useTexture(entry.texture, target ? "premultiplied" : "texture");
+      if (entry.smooth !== this.imageSmoothingEnabled) {
+         this.flush();
+         this.setTextureFilter(entry.texture, this.imageSmoothingEnabled);
+         entry.smooth = this.imageSmoothingEnabled;
+      }
+
+      // Texture coordinates of the source rectangle
+      this.pushQuad(
+         dx,
+         dy,
+         dw,
+         dh,
+         sx / entry.width,
+         v(sy),
+         (sx + sw) / entry.width,
+         v(sy + sh)
+      );
+   }
+
+   /**
+    * Append a textured rectangle to the batch as two triangles
+    * @param {number} x - X coordinate of the top-left corner
+    * @param {number} y - Y coordinate of the top-left corner
+    * @param {number} width - Width of the rectangle
+    * @param {number} height - Height of the rectangle
+    * @param {number} u1 - Texture coordinate of the left edge
+    * @param {number} v1 - Texture coordinate of the top edge
+    * @param {number} u2 - Texture coordinate of the right edge
+    * @param {number} v2 - Texture coordinate of the bottom edge
+    */
+   pushQuad(x, y, width, height, u1, v1, u2, v2) {
+      if (this.vertexCount + 6 > this.maxVertices) {
+         this.flush();
+      }
+
+      this.pushVertex(x, y, u1, v1);
+      this.pushVertex(x + width, y, u2, v1);
+      this.pushVertex(x, y + height, u1, v2);
+      this.pushVertex(x + width, y, u2, v1);
+      this.pushVertex(x + width, y + height, u2, v2);
+      this.pushVertex(x, y + height, u1, v2);
+   }
+
+   /**
+    * Draw a line of text in the current color, like Canvas 2D fillText
+    * @param {string} text - Text to draw
+    * @param {number} x - X coordinate of the alignment point
+    * @param {number} y - Y coordinate of the baseline point
+    * @param {Object} options - Text style overriding the current one
+    * @param {string} options.fontFamily - CSS font family
+    * @param {number} options.fontSize - Font size in pixels
+    * @param {string} options.fontWeight - CSS font weight
+    * @param {string} options.textAlign - "start", "end", "left", "right" or "center"
+    * @param {string} options.textBaseline - "alphabetic", "top", "hanging",
+    *    "middle", "ideographic" or "bottom"
+    */
+   fillText(text, x, y, options = {}) {
+      const layout = this.layoutText(text, options);
+      const atlas = this.glyphAtlas;
+
+      // Upload glyphs added by the layout before drawing with them
+      if (atlas.dirty) {
+         this.updateImage(atlas.image);
+         atlas.dirty = false;
+      }
+      const entry = this.getTexture(atlas.image);
+      this.useTexture(
+         entry.texture,
+         atlas.distanceField ? "distanceField" : "texture"
+      );
+
+      const { width, height } = atlas.image;
+      const scale = layout.scale;
+      for (const { glyph, x: penX } of layout.glyphs) {
+         const cell = glyph.cell;
+         if (!cell) {
+            continue;
+         }
+
+         this.pushQuad(
+            x + layout.x + (penX + cell.left) * scale,
+            y + layout.y + cell.top * scale,
+            cell.width * scale,
+            cell.height * scale,
+            cell.x / width,
+            cell.y / height,
+            (cell.x + cell.width) / width,
+            (cell.y + cell.height) / height
+         );
+      }
+   }
+
+   /**
+    * Measure a line of text, like Canvas 2D measureText
+    * Bounding box distances are measured from the alignment point and the
+    * baseline selected by the text style, as in Canvas 2D
+    * @param {string} text - Text to measure
+    * @param {Object} options - Text style overriding the current one, see fillText
+    * @returns {Object} { width, actualBoundingBoxLeft, actualBoundingBoxRight,
+    *    actualBoundingBoxAscent, actualBoundingBoxDescent } in pixels
+    */
+   measureText(text, options = {}) {
+      const layout = this.layoutText(text, options);
+      const scale = layout.scale;
+
+      // Ink extents in atlas pixels relative to the start of the baseline
+      let left = Infinity;
+      let right = -Infinity;
+      let ascent = -Infinity;
+      let descent = -Infinity;
+      for (const { glyph, x } of layout.glyphs) {
+         left = Math.min(left, x - glyph.left);
+         right = Math.max(right, x + glyph.right);
+         ascent = Math.max(ascent, glyph.ascent);
+         descent = Math.max(descent, glyph.descent);
+      }
+      if (layout.glyphs.length === 0) {
+         left = right = ascent = descent = 0;
+      }
+
+      return {
+         width: layout.width,
+         actualBoundingBoxLeft: -(layout.x + left * scale),
+         actualBoundingBoxRight: layout.x + right * scale,
+         actualBoundingBoxAscent: ascent * scale - layout.y,
+         actualBoundingBoxDescent: descent * scale + layout.y,
+      };
+   }
+
+   /**
+    * Look up the glyphs of a line of text and work out where it starts
+    * @param {string} text - Text to lay out
+    * @param {Object} options - Text style overriding the current one
+    * @param {boolean} retried - Whether the atlas was just emptied for this text
+    * @returns {Object} { glyphs, scale, width, x, y } where glyphs holds
+    *    { glyph, x } with pen positions in atlas pixels, and x, y is the
+    *    offset from the alignment point to the start of the baseline
+    */
+   layoutText(text, options, retried = false) {
+      const fontFamily = options.fontFamily || this.fontFamily;
+      const fontSize = options.fontSize || this.fontSize;
+      const fontWeight = options.fontWeight || this.fontWeight;
+      const textAlign = options.textAlign || this.textAlign;
+      const textBaseline = options.textBaseline || this.textBaseline;
+
+      if (!this.glyphAtlas) {
+         this.glyphAtlas = new GlyphAtlas({
+            distanceField: this.distanceFieldText,
+         });
+      }
+      const atlas = this.glyphAtlas;
+      const scale = fontSize / atlas.fontSize;
+
+      const glyphs = [];
+      let advance = 0;
+      for (const char of String(text)) {
+         const glyph = atlas.getGlyph(char, fontFamily, fontWeight);
+
+         // Start over with an empty atlas once the pending text is drawn,
+         // glyphs that do not fit even then are left out
+         if (!glyph) {
+            if (retried) {
+               continue;
+            }
+            this.flush();
+            atlas.clear();
+            return this.layoutText(text, options, true);
+         }
+
+         glyphs.push({ glyph, x: advance });
+         advance += glyph.advance;
+      }
+      const width = advance * scale;
+
+      // Horizontal offset of the baseline start from the alignment point,
+      // "start" and "end" assume left-to-right text
+      let x = 0;
+      if (textAlign === "center") {
+         x = -width / 2;
+      } else if (textAlign === "right" || textAlign === "end") {
+         x = -width;
+      }
+
+      // Vertical offset of the alphabetic baseline from the given one
+      const { ascent, descent } = atlas.getFontMetrics(fontFamily, fontWeight);
+      let y = 0;
+      if (textBaseline === "top") {
+         y = ascent * scale;
+      } else if (textBaseline === "hanging") {
+         y = ascent * 0.8 * scale;
+      } else if (textBaseline === "middle") {
+         y = ((ascent - descent) / 2) * scale;
+      } else if (textBaseline === "bottom" || textBaseline === "ideographic") {
+         y = -descent * scale;
+      }
+
+      return { glyphs, scale, width, x, y };
+   }
+
+   /**
+    * Draw a rectangle
+    * @param {number} x - X coordinate of the top-left corner
+    * @param {number} y - Y coordinate of the top-left corner
+    * @param {number} width - Width of the rectangle
+    * @param {number} height - Height of the rectangle
+    */
+   rect(x, y, width, height) {
+      if (this.antialias) {
+         this.roundRect(x, y, width, height, 0);
+         return;
+      }
+
+      // Define vertices for the rectangle
+      const positions = [
+         x,
+         y,
+         x + width,
+         y,
+         x,
+         y + height,
+         x + width,
+         y + height,
+      ];
+
+      // Add the rectangle to the batch as a triangle strip
+      this.addTriangleStrip(positions);
+   }
+
+   /**
+    * Draw a rectangle with rounded corners
+    * @param {number} x - X coordinate of the top-left corner
+    * @param {number} y - Y coordinate of the top-left corner
+    * @param {number} width - Width of the rectangle
+    * @param {number} height - Height of the rectangle
+    * @param {number} radius - Corner radius, limited to half the shorter side
+    */
+   roundRect(x, y, width, height, radius) {
+      // Normalize negative sizes so the corners are simple to place
+      if (width < 0) {
+         x += width;
+         width = -width;
+      }
+      if (height < 0) {
+         y += height;
+         height = -height;
+      }
+      radius = Math.max(0, Math.min(radius, width / 2, height / 2));
+
+      if (this.antialias) {
+         this.pushShape(
+            [SDFShapes.kinds.box, width / 2, height / 2, radius],
+            x + width / 2,
+            y + height / 2,
+            1,
+            0,
+            width / 2,
+            height / 2
+         );
+         return;
+      }
+
+      // Quarter circle at each corner, clockwise from the top-left
+      const tolerance = this.curveTolerance();
+      const corners = [
+         [x + radius, y + radius, Math.PI],
+         [x + width - radius, y + radius, Math.PI * 1.5],
+         [x + width - radius, y + height - radius, 0],
+         [x + radius, y + height - radius, Math.PI / 2],
+      ];
+      const outline = [];
+      for (const [cx, cy, start] of corners) {
+         if (radius > 0) {
+            outline.push(
+               ...Tessellator.arcPoints(
+                  cx,
+                  cy,
+                  radius,
+                  start,
+                  start + Math.PI / 2,
+                  false,
+                  tolerance
+               )
+            );
+         } else {
+            outline.push(cx, cy);
+         }
+      }
+
+      // The outline is convex, so a fan around its center fills it
+      this.addTriangleFan([
+         x + width / 2,
+         y + height / 2,
+         ...outline,
+         ...outline.slice(0, 2),
+      ]);
+   }
+
+   /**
+    * Draw the outline of a rectangle
+    * @param {number} x - X coordinate of the top-left corner
+    * @param {number} y - Y coordinate of the top-left corner
+    * @param {number} width - Width of the rectangle
+    * @param {number} height - Height of the rectangle
+    * @param {number} lineWidth - Width of the outline
+    */
+   strokeRect(x, y, width, height, lineWidth = 1) {
+      const corners = [
+         x,
+         y,
+         x + width,
+         y,
+         x + width,
+         y + height,
+         x,
+         y + height,
+      ];
+
+      this.strokePoints(corners, true, lineWidth);
+   }
+
+   /**
+    * Draw a circle
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {number} radius - Radius of the circle
+    */
+   circle(x, y, radius) {
+      this.ellipse(x, y, radius, radius);
    }
 
    /**
-    * Draw a circle
+    * Draw the outline of a circle
     * @param {number} x - X coordinate of the center
     * @param {number} y - Y coordinate of the center
     * @param {number} radius - Radius of the circle
+    * @param {number} lineWidth - Width of the outline
     */
-   circle(x, y, radius) {
-      const segments = 36; // Number of segments to approximate the circle
-      const positions = [];
-
-      // Convert canvas coordinates to WebGL coordinates
-      const centerX = (x / this.canvas.width) * 2 - 1;
-      const centerY = -((y / this.canvas.height) * 2 - 1); // Flip Y axis
-      const radiusX = (radius / this.canvas.width) * 2;
-      const radiusY = (radius / this.canvas.height) * 2;
-
-      // Add center point
-      positions.push(centerX, centerY);
-
-      // Generate vertices for the circle
-      for (let i = 0; i <= segments; i++) {
-         const theta = (i / segments) * Math.PI * 2;
-         const vertX = centerX + Math.cos(theta) * radiusX;
-         const vertY = centerY + Math.sin(theta) * radiusY;
-         positions.push(vertX, vertY);
-      }
-
-      // Bind position buffer and set data
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Set up shader program
-      this.gl.useProgram(this.programInfo.program);
-
-      // Set up vertex attribute
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-
-      // Set up matrices
-      const projectionMatrix = mat4.create();
-      const modelViewMatrix = mat4.create();
-
-      // Set uniforms
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.projectionMatrix,
-         false,
-         projectionMatrix
-      );
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.modelViewMatrix,
-         false,
-         modelViewMatrix
-      );
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, this.color);
-
-      // Draw the circle as a triangle fan
-      this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, segments + 2);
+   strokeCircle(x, y, radius, lineWidth = 1) {
+      this.strokeEllipse(x, y, radius, radius, 0, lineWidth);
    }
 
    /**
@@ -293,84 +2099,120 @@ class WebGLDraw {
     * @param {number} lineWidth - Width of the line
     */
    line(x1, y1, x2, y2, lineWidth = 1) {
-      // Convert canvas coordinates to WebGL coordinates
-      const glX1 = (x1 / this.canvas.width) * 2 - 1;
-      const glY1 = -((y1 / this.canvas.height) * 2 - 1); // Flip Y axis
-      const glX2 = (x2 / this.canvas.width) * 2 - 1;
-      const glY2 = -((y2 / this.canvas.height) * 2 - 1);
-
-      // Calculate the direction vector of the line
-      const dirX = glX2 - glX1;
-      const dirY = glY2 - glY1;
-
-      // Normalize the direction vector
-      const length = Math.sqrt(dirX * dirX + dirY * dirY);
-      const normDirX = dirX / length;
-      const normDirY = dirY / length;
-
-      // Calculate the perpendicular vector
-      const perpX = -normDirY;
-      const perpY = normDirX;
-
-      // Calculate the half width in WebGL coordinates
-      const halfWidth =
-         (lineWidth / 2 / Math.min(this.canvas.width, this.canvas.height)) * 2;
-
-      // Calculate the four corners of the line segment
-      const positions = [
-         glX1 + perpX * halfWidth,
-         glY1 + perpY * halfWidth,
-         glX1 - perpX * halfWidth,
-         glY1 - perpY * halfWidth,
-         glX2 + perpX * halfWidth,
-         glY2 + perpY * halfWidth,
-         glX2 - perpX * halfWidth,
-         glY2 - perpY * halfWidth,
-      ];
+      if (this.antialias && this.isDashed()) {
+         for (const dash of Tessellator.dashPolyline(
+            [x1, y1, x2, y2],
+            false,
+            this.lineDash,
+            this.lineDashOffset
+         )) {
+            const [startX, startY, endX = startX, endY = startY] = dash.points;
+            this.antialiasedLine(startX, startY, endX, endY, lineWidth, dash);
+         }
+         return;
+      }
 
-      // Bind position buffer and set data
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
+      if (this.antialias) {
+         this.antialiasedLine(x1, y1, x2, y2, lineWidth);
+         return;
+      }
 
-      // Set up shader program
-      this.gl.useProgram(this.programInfo.program);
+      this.strokePoints([x1, y1, x2, y2], false, lineWidth);
+   }
 
-      // Set up vertex attribute
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
+   /**
+    * Draw a line as an anti-aliased box or capsule with the current line cap
+    * @param {Object} axis - Direction { dirX, dirY } for lines of zero length
+    */
+   antialiasedLine(x1, y1, x2, y2, lineWidth, axis = { dirX: 1, dirY: 0 }) {
+      const length = Math.hypot(x2 - x1, y2 - y1);
+      const halfWidth = lineWidth / 2;
 
-      // Set up matrices
-      const projectionMatrix = mat4.create();
-      const modelViewMatrix = mat4.create();
+      // Zero-length lines only show their caps, as in Canvas 2D
+      if (lineWidth <= 0 || (length === 0 && this.lineCap === "butt")) {
+         return;
+      }
 
-      // Set uniforms
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.projectionMatrix,
-         false,
-         projectionMatrix
+      const axisX = length > 0 ? (x2 - x1) / length : axis.dirX;
+      const axisY = length > 0 ? (y2 - y1) / length : axis.dirY;
+
+      // Square and round caps reach half the width past both ends
+      const halfLength = length / 2 + (this.lineCap === "butt" ? 0 : halfWidth);
+      const radius = this.lineCap === "round" ? halfWidth : 0;
+
+      this.pushShape(
+         [SDFShapes.kinds.box, halfLength, halfWidth, radius],
+         (x1 + x2) / 2,
+         (y1 + y2) / 2,
+         axisX,
+         axisY,
+         halfLength,
+         halfWidth
       );
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.modelViewMatrix,
-         false,
-         modelViewMatrix
+   }
+
+   /**
+    * Draw connected line segments
+    * @param {Array} points - Array of {x, y} points along the line
+    * @param {Object} options - Stroke options
+    * @param {number} options.lineWidth - Width of the line
+    * @param {string} options.lineJoin - "miter", "round" or "bevel" (defaults to this.lineJoin)
+    * @param {string} options.lineCap - "butt", "round" or "square" (defaults to this.lineCap)
+    * @param {number} options.miterLimit - Miter limit (defaults to this.miterLimit)
+    * @param {Array<number>} options.lineDash - Dash pattern (defaults to this.lineDash)
+    * @param {number} options.lineDashOffset - Dash offset (defaults to this.lineDashOffset)
+    * @param {boolean} options.closed - Whether to connect the last point to the first
+    */
+   polyline(points, options = {}) {
+      const { lineWidth = 1, closed = false } = options;
+      this.strokePoints(this.flattenPoints(points), closed, lineWidth, options);
+   }
+
+   /**
+    * Stroke a flat list of points with the current stroke style
+    * @param {Array<number>} positions - Flat [x, y, ...] list of points
+    * @param {boolean} closed - Whether to connect the last point to the first
+    * @param {number} lineWidth - Width of the stroke
+    * @param {Object} options - Overrides for lineJoin, lineCap, miterLimit,
+    *    lineDash and lineDashOffset; dash patterns are checked as by
+    *    setLineDash(), and invalid ones leave the current pattern
+    */
+   strokePoints(positions, closed, lineWidth, options = {}) {
+      const {
+         lineJoin = this.lineJoin,
+         lineCap = this.lineCap,
+         miterLimit = this.miterLimit,
+         lineDashOffset = this.lineDashOffset,
+      } = options;
+      const lineDash =
+         (options.lineDash && Tessellator.normalizeDash(options.lineDash)) ||
+         this.lineDash;
+
+      const stroke = {
+         lineWidth,
+         lineJoin,
+         lineCap,
+         miterLimit,
+         closed,
+         tolerance: this.curveTolerance(),
+         lineDash,
+         lineDashOffset,
+      };
+      this.addTriangles(
+         this.isDashed(lineDash)
+            ? Tessellator.strokeDashes(positions, stroke)
+            : Tessellator.strokePolyline(positions, stroke)
       );
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, this.color);
+   }
 
-      // Draw the line as a triangle strip
-      this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+   /**
+    * Whether a dash pattern breaks lines up, all zero lengths draw solid
+    * lines as in Canvas 2D
+    * @param {Array<number>} lineDash - Dash pattern, the current one by default
+    * @returns {boolean} True when strokes are dashed
+    */
+   isDashed(lineDash = this.lineDash) {
+      return lineDash.some((length) => length > 0);
    }
 
    /**
@@ -383,86 +2225,56 @@ class WebGLDraw {
     * @param {boolean} counterclockwise - Whether to draw counterclockwise
     */
    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
-      // Ensure proper angle direction
-      if (counterclockwise) {
-         if (startAngle < endAngle) {
-            startAngle += Math.PI * 2;
-         }
-      } else {
-         if (endAngle < startAngle) {
-            endAngle += Math.PI * 2;
-         }
-      }
-
-      const segments = 36; // Number of segments to approximate the arc
-      const angleRange = Math.abs(endAngle - startAngle);
-      const segmentCount = Math.max(
-         2,
-         Math.floor((angleRange / (Math.PI * 2)) * segments)
-      );
-      const positions = [];
-
-      // Convert canvas coordinates to WebGL coordinates
-      const centerX = (x / this.canvas.width) * 2 - 1;
-      const centerY = -((y / this.canvas.height) * 2 - 1); // Flip Y axis
-      const radiusX = (radius / this.canvas.width) * 2;
-      const radiusY = (radius / this.canvas.height) * 2;
-
-      // Add center point
-      positions.push(centerX, centerY);
-
-      // Generate vertices for the arc
-      for (let i = 0; i <= segmentCount; i++) {
-         const theta =
-            startAngle + (i / segmentCount) * (endAngle - startAngle);
-         const vertX = centerX + Math.cos(theta) * radiusX;
-         const vertY = centerY + Math.sin(theta) * radiusY;
-         positions.push(vertX, vertY);
-      }
-
-      // Bind position buffer and set data
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Set up shader program
-      this.gl.useProgram(this.programInfo.program);
-
-      // Set up vertex attribute
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
+      const positions = [x, y]; // Center point
+
+      // Add the arc to the batch as a triangle fan
+      this.addTriangleFan(
+         positions.concat(
+            Tessellator.arcPoints(
+               x,
+               y,
+               radius,
+               startAngle,
+               endAngle,
+               counterclockwise,
+               this.curveTolerance()
+            )
+         )
       );
+   }
 
-      // Set up matrices
-      const projectionMatrix = mat4.create();
-      const modelViewMatrix = mat4.create();
-
-      // Set uniforms
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.projectionMatrix,
-         false,
-         projectionMatrix
-      );
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.modelViewMatrix,
+   /**
+    * Draw the curved outline of an arc
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {number} radius - Radius of the arc
+    * @param {number} startAngle - Starting angle in radians
+    * @param {number} endAngle - Ending angle in radians
+    * @param {boolean} counterclockwise - Whether to draw counterclockwise
+    * @param {number} lineWidth - Width of the outline
+    */
+   strokeArc(
+      x,
+      y,
+      radius,
+      startAngle,
+      endAngle,
+      counterclockwise = false,
+      lineWidth = 1
+   ) {
+      this.strokePoints(
+         Tessellator.arcPoints(
+            x,
+            y,
+            radius,
+            startAngle,
+            endAngle,
+            counterclockwise,
+            this.curveTolerance()
+         ),
          false,
-         modelViewMatrix
+         lineWidth
       );
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, this.color);
-
-      // Draw the arc as a triangle fan
-      this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, segmentCount + 2);
    }
 
    /**
@@ -476,215 +2288,107 @@ class WebGLDraw {
     * @param {number} x2 - X coordinate of the end point
     * @param {number} y2 - Y coordinate of the end point
     * @param {number} lineWidth - Width of the curve
+    * @param {Object} options - Overrides for lineJoin, lineCap, miterLimit,
+    *    lineDash and lineDashOffset
     */
-   bezierCurve(x1, y1, cpx1, cpy1, cpx2, cpy2, x2, y2, lineWidth = 1) {
-      const segments = 30; // Number of segments to approximate the curve
-      const positions = [];
-
+   bezierCurve(
+      x1,
+      y1,
+      cpx1,
+      cpy1,
+      cpx2,
+      cpy2,
+      x2,
+      y2,
+      lineWidth = 1,
+      options = {}
+   ) {
       // Calculate points along the bezier curve
-      const points = [];
-      for (let i = 0; i <= segments; i++) {
-         const t = i / segments;
-         const u = 1 - t;
-         const tt = t * t;
-         const uu = u * u;
-         const uuu = uu * u;
-         const ttt = tt * t;
-
-         // Cubic Bezier formula
-         const x = uuu * x1 + 3 * uu * t * cpx1 + 3 * u * tt * cpx2 + ttt * x2;
-         const y = uuu * y1 + 3 * uu * t * cpy1 + 3 * u * tt * cpy2 + ttt * y2;
-
-         points.push({ x, y });
-      }
-
-      // Create a line strip with width from the bezier points
-      for (let i = 0; i < points.length - 1; i++) {
-         const p1 = points[i];
-         const p2 = points[i + 1];
-
-         // Convert canvas coordinates to WebGL coordinates
-         const glX1 = (p1.x / this.canvas.width) * 2 - 1;
-         const glY1 = -((p1.y / this.canvas.height) * 2 - 1); // Flip Y axis
-         const glX2 = (p2.x / this.canvas.width) * 2 - 1;
-         const glY2 = -((p2.y / this.canvas.height) * 2 - 1);
-
-         // Calculate the direction vector of the line segment
-         const dirX = glX2 - glX1;
-         const dirY = glY2 - glY1;
-
-         // Normalize the direction vector
-         const length = Math.sqrt(dirX * dirX + dirY * dirY);
-         const normDirX = dirX / length;
-         const normDirY = dirY / length;
-
-         // Calculate the perpendicular vector
-         const perpX = -normDirY;
-         const perpY = normDirX;
-
-         // Calculate the half width in WebGL coordinates
-         const halfWidth =
-            (lineWidth / 2 / Math.min(this.canvas.width, this.canvas.height)) *
-            2;
-
-         // Add the four corners of this line segment
-         if (i === 0) {
-            positions.push(
-               glX1 + perpX * halfWidth,
-               glY1 + perpY * halfWidth,
-               glX1 - perpX * halfWidth,
-               glY1 - perpY * halfWidth
-            );
-         }
-
-         positions.push(
-            glX2 + perpX * halfWidth,
-            glY2 + perpY * halfWidth,
-            glX2 - perpX * halfWidth,
-            glY2 - perpY * halfWidth
-         );
-      }
-
-      // Bind position buffer and set data
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Set up shader program
-      this.gl.useProgram(this.programInfo.program);
-
-      // Set up vertex attribute
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-
-      // Set up matrices
-      const projectionMatrix = mat4.create();
-      const modelViewMatrix = mat4.create();
-
-      // Set uniforms
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.projectionMatrix,
-         false,
-         projectionMatrix
+      const positions = Tessellator.cubicPoints(
+         x1,
+         y1,
+         cpx1,
+         cpy1,
+         cpx2,
+         cpy2,
+         x2,
+         y2,
+         this.curveTolerance()
       );
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.modelViewMatrix,
-         false,
-         modelViewMatrix
-      );
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, this.color);
 
-      // Draw the curve as a triangle strip
-      this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, positions.length / 2);
+      // Stroke the flattened curve so sharp bends get proper joins
+      this.strokePoints(positions, false, lineWidth, options);
    }
 
    /**
     * Draw a polygon
-    * @param {Array} points - Array of {x, y} points defining the polygon
+    * @param {Array} points - Array of {x, y} points defining the polygon, or an
+    *    array of such rings (e.g. an outline followed by its holes)
     * @param {boolean} fill - Whether to fill the polygon (true) or draw outline (false)
     * @param {number} lineWidth - Width of the outline if fill is false
+    * @param {string} fillRule - "nonzero" or "evenodd", like Canvas 2D fill().
+    *    With "nonzero" a hole must wind opposite to its outline
     */
-   polygon(points, fill = true, lineWidth = 1) {
-      if (points.length < 3) {
+   polygon(points, fill = true, lineWidth = 1, fillRule = "nonzero") {
+      const rings = Array.isArray(points[0]) ? points : [points];
+      if (rings[0].length < 3) {
          console.error("Polygon requires at least 3 points");
          return;
       }
 
       if (fill) {
-         // For filled polygon, use triangle fan
-         const positions = [];
-
-         // Calculate center point (average of all points)
-         let centerX = 0;
-         let centerY = 0;
-         for (const point of points) {
-            centerX += point.x;
-            centerY += point.y;
-         }
-         centerX /= points.length;
-         centerY /= points.length;
-
-         // Convert center to WebGL coordinates
-         const glCenterX = (centerX / this.canvas.width) * 2 - 1;
-         const glCenterY = -((centerY / this.canvas.height) * 2 - 1); // Flip Y axis
-
-         // Add center point
-         positions.push(glCenterX, glCenterY);
-
-         // Add all vertices
-         for (let i = 0; i <= points.length; i++) {
-            const point = points[i % points.length];
-            const glX = (point.x / this.canvas.width) * 2 - 1;
-            const glY = -((point.y / this.canvas.height) * 2 - 1); // Flip Y axis
-            positions.push(glX, glY);
+         // Triangulate the rings so concave and self-intersecting outlines stay inside their edges
+         const outlines = rings.map((ring) => this.flattenPoints(ring));
+         this.addTriangles(Tessellator.fillPolygon(outlines, fillRule));
+      } else {
+         // For outline, stroke every ring as a closed polyline
+         for (const ring of rings) {
+            this.strokePoints(this.flattenPoints(ring), true, lineWidth);
          }
+      }
+   }
 
-         // Bind position buffer and set data
-         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-         this.gl.bufferData(
-            this.gl.ARRAY_BUFFER,
-            new Float32Array(positions),
-            this.gl.STATIC_DRAW
-         );
-
-         // Set up shader program
-         this.gl.useProgram(this.programInfo.program);
-
-         // Set up vertex attribute
-         this.gl.vertexAttribPointer(
-            this.programInfo.attribLocations.vertexPosition,
-            2, // 2 components per vertex
-            this.gl.FLOAT,
-            false,
-            0,
-            0
-         );
-         this.gl.enableVertexAttribArray(
-            this.programInfo.attribLocations.vertexPosition
-         );
-
-         // Set up matrices
-         const projectionMatrix = mat4.create();
-         const modelViewMatrix = mat4.create();
+   /**
+    * Fill a path
+    * @param {WebGLPath} path - The path to fill, open subpaths are closed implicitly
+    * @param {string} fillRule - "nonzero" or "evenodd", like Canvas 2D fill()
+    */
+   fill(path, fillRule = "nonzero") {
+      const rings = path
+         .toPolylines(this.curveTolerance())
+         .map((polyline) => polyline.points);
+      this.addTriangles(Tessellator.fillPolygon(rings, fillRule));
+   }
 
-         // Set uniforms
-         this.gl.uniformMatrix4fv(
-            this.programInfo.uniformLocations.projectionMatrix,
-            false,
-            projectionMatrix
-         );
-         this.gl.uniformMatrix4fv(
-            this.programInfo.uniformLocations.modelViewMatrix,
-            false,
-            modelViewMatrix
-         );
-         this.gl.uniform4fv(
-            this.programInfo.uniformLocations.color,
-            this.color
+   /**
+    * Stroke every subpath of a path
+    * @param {WebGLPath} path - The path to stroke
+    * @param {number} lineWidth - Width of the stroke
+    * @param {Object} options - Overrides for lineJoin, lineCap, miterLimit,
+    *    lineDash and lineDashOffset
+    */
+   stroke(path, lineWidth = 1, options = {}) {
+      for (const polyline of path.toPolylines(this.curveTolerance())) {
+         this.strokePoints(
+            polyline.points,
+            polyline.closed,
+            lineWidth,
+            options
          );
+      }
+   }
 
-         // Draw the polygon as a triangle fan
-         this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, positions.length / 2);
-      } else {
-         // For outline, draw lines between each pair of points
-         for (let i = 0; i < points.length; i++) {
-            const p1 = points[i];
-            const p2 = points[(i + 1) % points.length];
-            this.line(p1.x, p1.y, p2.x, p2.y, lineWidth);
-         }
+   /**
+    * Convert {x, y} points into the flat list used by the tessellator
+    * @param {Array} points - Array of {x, y} points
+    * @returns {Array<number>} Flat [x, y, ...] list
+    */
+   flattenPoints(points) {
+      const positions = [];
+      for (const point of points) {
+         positions.push(point.x, point.y);
       }
+      return positions;
    }
 
    /**
@@ -696,89 +2400,131 @@ class WebGLDraw {
     * @param {number} rotation - Rotation angle in radians
     */
    ellipse(x, y, radiusX, radiusY, rotation = 0) {
-      const segments = 36; // Number of segments to approximate the ellipse
-      const positions = [];
-
-      // Convert canvas coordinates to WebGL coordinates
-      const centerX = (x / this.canvas.width) * 2 - 1;
-      const centerY = -((y / this.canvas.height) * 2 - 1); // Flip Y axis
-      const glRadiusX = (radiusX / this.canvas.width) * 2;
-      const glRadiusY = (radiusY / this.canvas.height) * 2;
-
-      // Add center point
-      positions.push(centerX, centerY);
-
-      // Calculate sin and cos of rotation once
-      const cosRotation = Math.cos(rotation);
-      const sinRotation = Math.sin(rotation);
-
-      // Generate vertices for the ellipse
-      for (let i = 0; i <= segments; i++) {
-         const theta = (i / segments) * Math.PI * 2;
-         const cosTheta = Math.cos(theta);
-         const sinTheta = Math.sin(theta);
-
-         // Calculate point on unrotated ellipse
-         const x = cosTheta * glRadiusX;
-         const y = sinTheta * glRadiusY;
-
-         // Apply rotation
-         const rotatedX = x * cosRotation - y * sinRotation;
-         const rotatedY = x * sinRotation + y * cosRotation;
-
-         // Translate to center
-         const vertX = centerX + rotatedX;
-         const vertY = centerY + rotatedY;
-
-         positions.push(vertX, vertY);
+      if (this.antialias) {
+         if (radiusX > 0 && radiusY > 0) {
+            this.pushShape(
+               [SDFShapes.kinds.ellipse, radiusX, radiusY, 0],
+               x,
+               y,
+               Math.cos(rotation),
+               Math.sin(rotation),
+               radiusX,
+               radiusY
+            );
+         }
+         return;
       }
 
-      // Bind position buffer and set data
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Set up shader program
-      this.gl.useProgram(this.programInfo.program);
-
-      // Set up vertex attribute
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
+      const segments = Tessellator.segmentsForRadius(
+         Math.max(radiusX, radiusY),
+         this.curveTolerance()
       );
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
+      const positions = [x, y]; // Center point
+
+      // Add the ellipse to the batch as a triangle fan
+      this.addTriangleFan(
+         positions.concat(
+            Tessellator.ellipsePoints(
+               x,
+               y,
+               radiusX,
+               radiusY,
+               rotation,
+               0,
+               Math.PI * 2,
+               segments
+            )
+         )
       );
+   }
 
-      // Set up matrices
-      const projectionMatrix = mat4.create();
-      const modelViewMatrix = mat4.create();
-
-      // Set uniforms
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.projectionMatrix,
-         false,
-         projectionMatrix
-      );
-      this.gl.uniformMatrix4fv(
-         this.programInfo.uniformLocations.modelViewMatrix,
-         false,
-         modelViewMatrix
+   /**
+    * Draw the outline of an ellipse
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {number} radiusX - Horizontal radius
+    * @param {number} radiusY - Vertical radius
+    * @param {number} rotation - Rotation angle in radians
+    * @param {number} lineWidth - Width of the outline
+    */
+   strokeEllipse(x, y, radiusX, radiusY, rotation = 0, lineWidth = 1) {
+      const segments = Tessellator.segmentsForRadius(
+         Math.max(radiusX, radiusY),
+         this.curveTolerance()
       );
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, this.color);
 
-      // Draw the ellipse as a triangle fan
-      this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, segments + 2);
+      this.strokePoints(
+         Tessellator.ellipsePoints(
+            x,
+            y,
+            radiusX,
+            radiusY,
+            rotation,
+            0,
+            Math.PI * 2,
+            segments
+         ),
+         true,
+         lineWidth
+      );
    }
 }
 
+// Vertex shader of the built-in program, and the default for materials:
+// positions arrive in world coordinates, the current transform already
+// applied, and vPosition keeps them for the fragment shader
+WebGLDraw.vertexShader = `
+            attribute vec4 aVertexPosition;
+            attribute vec2 aTextureCoord;
+            attribute vec4 aVertexColor;
+            attribute vec4 aShape;
+            uniform mat4 uModelViewMatrix;
+            uniform mat4 uProjectionMatrix;
+
+            varying vec2 vPosition;
+            varying vec2 vTextureCoord;
+            varying vec4 vColor;
+            varying vec4 vShape;
+
+            void main() {
+                gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
+                vPosition = aVertexPosition.xy;
+                vTextureCoord = aTextureCoord;
+                vColor = aVertexColor;
+                vShape = aShape;
+            }
+`;
+
+// Attributes and renderer-set uniforms shared by the built-in program and
+// every material; attributes are bound to fixed locations so one vertex
+// array serves every program
+WebGLDraw.programLayout = {
+   attributes: {
+      vertexPosition: ["aVertexPosition", 0],
+      textureCoord: ["aTextureCoord", 1],
+      vertexColor: ["aVertexColor", 2],
+      shape: ["aShape", 3],
+   },
+   uniforms: {
+      projectionMatrix: "uProjectionMatrix",
+      modelViewMatrix: "uModelViewMatrix",
+      sampler: "uSampler",
+      paintMode: "uPaintMode",
+      gradientMatrix: "uGradientMatrix",
+      gradientPoints: "uGradientPoints",
+      gradientRadii: "uGradientRadii",
+   },
+};
+
+// Values of the uPaintMode shader uniform for each kind of batch
+WebGLDraw.paintModes = {
+   texture: 0,
+   distanceField: 1,
+   linear: 2,
+   radial: 3,
+   premultiplied: 4,
+};
+
 // Add gl-matrix library for matrix operations
 // Source: https://github.com/toji/gl-matrix
 (function () {
@@ -849,6 +2595,41 @@ class WebGLDraw {
          return out;
       };
 
+      /**
+       * Generates a orthogonal projection matrix with the given bounds
+       *
+       * @param {mat4} out mat4 frustum matrix will be written into
+       * @param {number} left Left bound of the frustum
+       * @param {number} right Right bound of the frustum
+       * @param {number} bottom Bottom bound of the frustum
+       * @param {number} top Top bound of the frustum
+       * @param {number} near Near bound of the frustum
+       * @param {number} far Far bound of the frustum
+       * @returns {mat4} out
+       */
+      mat4.ortho = function (out, left, right, bottom, top, near, far) {
+         var lr = 1 / (left - right);
+         var bt = 1 / (bottom - top);
+         var nf = 1 / (near - far);
+         out[0] = -2 * lr;
+         out[1] = 0;
+         out[2] = 0;
+         out[3] = 0;
+         out[4] = 0;
+         out[5] = -2 * bt;
+         out[6] = 0;
+         out[7] = 0;
+         out[8] = 0;
+         out[9] = 0;
+         out[10] = 2 * nf;
+         out[11] = 0;
+         out[12] = (left + right) * lr;
+         out[13] = (top + bottom) * bt;
+         out[14] = (far + near) * nf;
+         out[15] = 1;
+         return out;
+      };
+
       // Export to global
       window.mat4 = mat4;
       window.glMatrix = glMatrix;
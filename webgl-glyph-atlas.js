@@ -0,0 +1,325 @@
+/**
+ * WebGL Glyph Atlas
+ * Rasterizes glyphs with Canvas 2D and packs them into one RGBA pixel
+ * buffer that WebGLDraw uploads as a texture
+ *
+ * Glyphs are rendered once per font at a fixed size and scaled when drawn.
+ * With distance fields enabled the alpha channel stores the distance to the
+ * glyph outline instead of coverage, so text stays sharp at any scale.
+ */
+
+class GlyphAtlas {
+   /**
+    * Create an empty atlas
+    * @param {Object} options - Atlas settings
+    * @param {number} options.width - Atlas width in pixels
+    * @param {number} options.height - Atlas height in pixels
+    * @param {number} options.fontSize - Size glyphs are rasterized at
+    * @param {number} options.padding - Empty border around each glyph, also
+    *    the distance in pixels covered by the distance field
+    * @param {boolean} options.distanceField - Store signed distances rather
+    *    than coverage in the alpha channel
+    */
+   constructor(options = {}) {
+      this.fontSize = options.fontSize || 48;
+      this.padding = options.padding || 8;
+      this.distanceField = options.distanceField !== false;
+
+      // Raw RGBA pixels in the { width, height, data } shape drawImage takes
+      const width = options.width || 1024;
+      const height = options.height || 1024;
+      this.image = { width, height, data: new Uint8Array(width * height * 4) };
+
+      // Scratch canvas each glyph is drawn on before being copied in
+      this.canvas = document.createElement("canvas");
+      this.context = this.canvas.getContext("2d");
+
+      // Glyphs and font metrics keyed by font, created on first use
+      this.glyphs = new Map();
+      this.fonts = new Map();
+
+      this.clear();
+   }
+
+   /**
+    * Remove every glyph, freeing the whole atlas
+    */
+   clear() {
+      this.image.data.fill(0);
+      this.glyphs.clear();
+
+      // Glyphs are packed left to right on shelves as tall as their tallest
+      this.shelfX = 0;
+      this.shelfY = 0;
+      this.shelfHeight = 0;
+
+      // Set whenever the pixels change and need to be uploaded again
+      this.dirty = true;
+   }
+
+   /**
+    * Get the CSS font used to rasterize glyphs
+    * @param {string} fontFamily - CSS font family
+    * @param {string} fontWeight - CSS font weight
+    * @returns {string} CSS font shorthand at the atlas font size
+    */
+   getFont(fontFamily, fontWeight) {
+      return `${fontWeight} ${this.fontSize}px ${fontFamily}`;
+   }
+
+   /**
+    * Get the ascent and descent of a font at the atlas font size
+    * @param {string} fontFamily - CSS font family
+    * @param {string} fontWeight - CSS font weight
+    * @returns {Object} { ascent, descent } in pixels
+    */
+   getFontMetrics(fontFamily, fontWeight) {
+      const font = this.getFont(fontFamily, fontWeight);
+      let metrics = this.fonts.get(font);
+      if (metrics) {
+         return metrics;
+      }
+
+      // Prefer the font's own box, older browsers only measure the ink
+      this.context.font = font;
+      const measured = this.context.measureText("Mg");
+      metrics = {
+         ascent:
+            measured.fontBoundingBoxAscent ?? measured.actualBoundingBoxAscent,
+         descent:
+            measured.fontBoundingBoxDescent ??
+            measured.actualBoundingBoxDescent,
+      };
+      this.fonts.set(font, metrics);
+      return metrics;
+   }
+
+   /**
+    * Get a glyph, rasterizing it into the atlas on first use
+    * Sizes and offsets are in pixels at the atlas font size, relative to
+    * the pen position on the baseline
+    * @param {string} char - A single character
+    * @param {string} fontFamily - CSS font family
+    * @param {string} fontWeight - CSS font weight
+    * @returns {Object|null} Glyph { advance, left, right, ascent, descent,
+    *    cell } or null when the atlas is full
+    */
+   getGlyph(char, fontFamily, fontWeight) {
+      const font = this.getFont(fontFamily, fontWeight);
+      const key = font + "\n" + char;
+      let glyph = this.glyphs.get(key);
+      if (glyph) {
+         return glyph;
+      }
+
+      this.context.font = font;
+      const measured = this.context.measureText(char);
+      glyph = {
+         advance: measured.width,
+         left: measured.actualBoundingBoxLeft,
+         right: measured.actualBoundingBoxRight,
+         ascent: measured.actualBoundingBoxAscent,
+         descent: measured.actualBoundingBoxDescent,
+         cell: null,
+      };
+
+      // Glyphs without ink, like spaces, only move the pen
+      const inkWidth = Math.ceil(glyph.left + glyph.right);
+      const inkHeight = Math.ceil(glyph.ascent + glyph.descent);
+      if (inkWidth > 0 && inkHeight > 0) {
+         glyph.cell = this.addCell(char, font, glyph, inkWidth, inkHeight);
+         if (!glyph.cell) {
+            return null;
+         }
+      }
+
+      this.glyphs.set(key, glyph);
+      return glyph;
+   }
+
+   /**
+    * Rasterize a glyph and copy it into a free cell of the atlas
+    * @returns {Object|null} Cell { x, y, width, height } in atlas pixels
+    *    with the glyph offset { left, top } from the pen, or null when full
+    */
+   addCell(char, font, glyph, inkWidth, inkHeight) {
+      const width = inkWidth + this.padding * 2;
+      const height = inkHeight + this.padding * 2;
+      const position = this.allocate(width, height);
+      if (!position) {
+         return null;
+      }
+
+      // Resizing resets the context, so the font is set afterwards
+      this.canvas.width = width;
+      this.canvas.height = height;
+      this.context.font = font;
+      this.context.textAlign = "left";
+      this.context.textBaseline = "alphabetic";
+      this.context.fillStyle = "white";
+      this.context.fillText(
+         char,
+         this.padding + glyph.left,
+         this.padding + glyph.ascent
+      );
+
+      // Coverage of every pixel, 0 to 1
+      const pixels = this.context.getImageData(0, 0, width, height).data;
+      const coverage = new Float64Array(width * height);
+      for (let i = 0; i < coverage.length; i++) {
+         coverage[i] = pixels[i * 4 + 3] / 255;
+      }
+
+      const alpha = this.distanceField
+         ? GlyphAtlas.distanceField(coverage, width, height, this.padding)
+         : coverage;
+
+      // Glyphs are white, drawing multiplies them by the current color
+      const data = this.image.data;
+      for (let row = 0; row < height; row++) {
+         for (let column = 0; column < width; column++) {
+            const offset =
+               ((position.y + row) * this.image.width + position.x + column) *
+               4;
+            data[offset] = 255;
+            data[offset + 1] = 255;
+            data[offset + 2] = 255;
+            data[offset + 3] = Math.round(alpha[row * width + column] * 255);
+         }
+      }
+      this.dirty = true;
+
+      return {
+         x: position.x,
+         y: position.y,
+         width,
+         height,
+         left: -glyph.left - this.padding,
+         top: -glyph.ascent - this.padding,
+      };
+   }
+
+   /**
+    * Find room for a cell, starting a new shelf when the current one is full
+    * @returns {Object|null} Top-left corner { x, y }, or null when full
+    */
+   allocate(width, height) {
+      if (this.shelfX + width > this.image.width) {
+         this.shelfX = 0;
+         this.shelfY += this.shelfHeight;
+         this.shelfHeight = 0;
+      }
+
+      if (
+         width > this.image.width ||
+         this.shelfY + height > this.image.height
+      ) {
+         return null;
+      }
+
+      const position = { x: this.shelfX, y: this.shelfY };
+      this.shelfX += width;
+      this.shelfHeight = Math.max(this.shelfHeight, height);
+      return position;
+   }
+
+   /**
+    * Turn glyph coverage into a signed distance field
+    * Anti-aliased pixels are treated as lying partly across the outline,
+    * which keeps the edge position accurate to a fraction of a pixel
+    * @param {Float64Array} coverage - Coverage of each pixel, 0 to 1
+    * @param {number} width - Width in pixels
+    * @param {number} height - Height in pixels
+    * @param {number} radius - Distance in pixels mapped onto the 0-1 range
+    * @returns {Float64Array} 0.5 on the outline, higher inside, lower outside
+    */
+   static distanceField(coverage, width, height, radius) {
+      // Squared distances to the nearest pixel outside and inside the glyph
+      const outside = new Float64Array(width * height);
+      const inside = new Float64Array(width * height);
+      for (let i = 0; i < coverage.length; i++) {
+         const a = coverage[i];
+         if (a === 1) {
+            outside[i] = 0;
+            inside[i] = GlyphAtlas.INF;
+         } else if (a === 0) {
+            outside[i] = GlyphAtlas.INF;
+            inside[i] = 0;
+         } else {
+            const d = 0.5 - a;
+            outside[i] = d > 0 ? d * d : 0;
+            inside[i] = d < 0 ? d * d : 0;
+         }
+      }
+
+      GlyphAtlas.distanceTransform(outside, width, height);
+      GlyphAtlas.distanceTransform(inside, width, height);
+
+      const field = new Float64Array(width * height);
+      for (let i = 0; i < field.length; i++) {
+         const distance = Math.sqrt(outside[i]) - Math.sqrt(inside[i]);
+         field[i] = Math.max(0, Math.min(1, 0.5 - distance / (radius * 2)));
+      }
+      return field;
+   }
+
+   /**
+    * Replace every value of a grid with the smallest squared distance to
+    * any cell plus that cell's value, in place
+    * Separable exact transform: columns first, then rows
+    */
+   static distanceTransform(grid, width, height) {
+      const size = Math.max(width, height);
+      const f = new Float64Array(size);
+      const v = new Uint16Array(size);
+      const z = new Float64Array(size + 1);
+
+      for (let x = 0; x < width; x++) {
+         GlyphAtlas.distanceTransform1D(grid, x, width, height, f, v, z);
+      }
+      for (let y = 0; y < height; y++) {
+         GlyphAtlas.distanceTransform1D(grid, y * width, 1, width, f, v, z);
+      }
+   }
+
+   /**
+    * One-dimensional squared distance transform over a strided line of a
+    * grid, using the lower envelope of parabolas (Felzenszwalb & Huttenlocher)
+    */
+   static distanceTransform1D(grid, offset, stride, length, f, v, z) {
+      for (let q = 0; q < length; q++) {
+         f[q] = grid[offset + q * stride];
+      }
+
+      // Build the lower envelope of the parabolas rooted at every cell
+      let k = 0;
+      v[0] = 0;
+      z[0] = -GlyphAtlas.INF;
+      z[1] = GlyphAtlas.INF;
+      for (let q = 1; q < length; q++) {
+         let s;
+         do {
+            const r = v[k];
+            s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+         } while (s <= z[k] && --k > -1);
+
+         k++;
+         v[k] = q;
+         z[k] = s;
+         z[k + 1] = GlyphAtlas.INF;
+      }
+
+      // Read the envelope back at every cell
+      k = 0;
+      for (let q = 0; q < length; q++) {
+         while (z[k + 1] < q) {
+            k++;
+         }
+         const r = v[k];
+         grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+      }
+   }
+}
+
+// Stand-in for infinity that keeps the parabola arithmetic finite
+GlyphAtlas.INF = 1e20;
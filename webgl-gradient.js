@@ -0,0 +1,109 @@
+/**
+ * WebGL Gradient
+ * Linear and radial gradients with color stops, like Canvas 2D CanvasGradient
+ *
+ * The stops are baked into a one pixel tall color ramp that WebGLDraw
+ * uploads as a texture; the gradient geometry is evaluated per pixel in the
+ * fragment shader.
+ */
+
+class WebGLGradient {
+   /**
+    * Create a gradient, use WebGLDraw.createLinearGradient or
+    * WebGLDraw.createRadialGradient instead of calling this directly
+    * @param {string} type - "linear" or "radial"
+    * @param {Array<number>} points - Start and end points [x0, y0, x1, y1]
+    * @param {Array<number>} radii - Start and end radii [r0, r1], radial only
+    */
+   constructor(type, points, radii = [0, 0]) {
+      this.type = type;
+      this.points = points;
+      this.radii = radii;
+
+      // Stops as { offset, color } sorted by offset
+      this.stops = [];
+
+      // Color ramp in the { width, height, data } shape drawImage takes,
+      // and a counter bumped whenever it changes
+      this.ramp = {
+         width: WebGLGradient.rampSize,
+         height: 1,
+         data: new Uint8Array(WebGLGradient.rampSize * 4),
+      };
+      this.version = 0;
+   }
+
+   /**
+    * Add a color at a position along the gradient
+    * Stops at the same offset are kept in the order they were added, which
+    * makes a hard edge between them
+    * @param {number} offset - Position between 0 (start) and 1 (end)
+    * @param {string|Array<number>} color - A CSS color string, or RGB or
+    *    RGBA components (0-1)
+    */
+   addColorStop(offset, color) {
+      if (!(offset >= 0 && offset <= 1)) {
+         throw new RangeError("Color stop offset must be between 0 and 1");
+      }
+
+      // Insert after every stop with the same or a smaller offset
+      let index = this.stops.length;
+      while (index > 0 && this.stops[index - 1].offset > offset) {
+         index--;
+      }
+      const rgba = typeof color === "string" ? WebGLColor.parse(color) : color;
+      if (!rgba) {
+         throw new SyntaxError(`Invalid color stop color "${color}"`);
+      }
+
+      const [r, g, b, a = 1] = rgba;
+      this.stops.splice(index, 0, { offset, color: [r, g, b, a] });
+
+      this.updateRamp();
+   }
+
+   /**
+    * Bake the color stops into the ramp
+    * Without stops the gradient is transparent, as in Canvas 2D
+    */
+   updateRamp() {
+      const data = this.ramp.data;
+      const stops = this.stops;
+      const last = WebGLGradient.rampSize - 1;
+      let next = 0;
+
+      for (let i = 0; i <= last; i++) {
+         const t = i / last;
+
+         // First stop beyond t, the pixel lies between it and the one before
+         while (next < stops.length && stops[next].offset <= t) {
+            next++;
+         }
+
+         let color = [0, 0, 0, 0];
+         if (stops.length > 0) {
+            if (next === 0) {
+               color = stops[0].color;
+            } else if (next === stops.length) {
+               color = stops[stops.length - 1].color;
+            } else {
+               const from = stops[next - 1];
+               const to = stops[next];
+               const f = (t - from.offset) / (to.offset - from.offset);
+               color = from.color.map(
+                  (component, c) => component + (to.color[c] - component) * f
+               );
+            }
+         }
+
+         for (let c = 0; c < 4; c++) {
+            data[i * 4 + c] = Math.round(color[c] * 255);
+         }
+      }
+
+      this.version++;
+   }
+}
+
+// Number of pixels in each color ramp
+WebGLGradient.rampSize = 256;
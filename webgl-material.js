@@ -0,0 +1,465 @@
+/**
+ * WebGL Material
+ * A shader program with its own uniform values and textures, for
+ * WebGLDraw.createMaterial(), WebGLRenderer.createMaterial() and
+ * OptimizedWebGLRenderer.createMaterial()
+ *
+ * A renderer feeds every material the same attributes and its own uniforms,
+ * such as the resolution, so a material drawn with setMaterial() changes how
+ * the existing shapes are colored without changing how they are built. The
+ * attributes and uniforms a program uses are read back from it after
+ * linking, so values are checked against the types the shader declares.
+ */
+
+class WebGLMaterial {
+   /**
+    * Compile a material, use a renderer's createMaterial instead of calling
+    * this directly; the renderers also build their own program with it
+    * @param {WebGLBackend} backend - Backend of the context to compile for
+    * @param {Object} source - GLSL ES 1.00 sources { vertex, fragment }
+    * @param {Object} layout - What the renderer supplies
+    * @param {Object} layout.attributes - Attribute name and location by
+    *    key, e.g. { vertexPosition: ["aVertexPosition", 0] }
+    * @param {Object} layout.uniforms - Name of each uniform the renderer
+    *    sets by key, e.g. { resolution: "uResolution" }
+    */
+   constructor(backend, source, layout) {
+      this.backend = backend;
+      this.gl = backend.gl;
+      this.source = source;
+      this.layout = layout;
+
+      // Values given to setUniform() by name, kept to set them again after
+      // a lost context, and the ones the program has not received yet
+      this.values = new Map();
+      this.changed = new Set();
+
+      // Functions called before a value changes, see addListener()
+      this.listeners = [];
+
+      this.create();
+   }
+
+   /**
+    * Compile and link the program and read back what it uses
+    * A lost context takes the program and textures with it, so renderers
+    * call this again once it is restored; values set before are kept.
+    * @throws {Error} If the shaders do not compile or link, or use an
+    *    attribute the renderer does not supply
+    */
+   create() {
+      const gl = this.gl;
+      const vertexShader = this.compileShader(
+         gl.VERTEX_SHADER,
+         this.source.vertex
+      );
+      let fragmentShader;
+      try {
+         fragmentShader = this.compileShader(
+            gl.FRAGMENT_SHADER,
+            this.source.fragment
+         );
+      } catch (error) {
+         gl.deleteShader(vertexShader);
+         throw error;
+      }
+
+      // Every program of a renderer reads its attributes from the same
+      // locations, so one attribute setup serves them all
+      this.program = gl.createProgram();
+      gl.attachShader(this.program, vertexShader);
+      gl.attachShader(this.program, fragmentShader);
+      for (const [name, location] of Object.values(this.layout.attributes)) {
+         gl.bindAttribLocation(this.program, location, name);
+      }
+      gl.linkProgram(this.program);
+      gl.deleteShader(vertexShader);
+      gl.deleteShader(fragmentShader);
+
+      if (
+         !gl.getProgramParameter(this.program, gl.LINK_STATUS) &&
+         !gl.isContextLost()
+      ) {
+         const log = gl.getProgramInfoLog(this.program);
+         gl.deleteProgram(this.program);
+         this.program = null;
+         throw new Error(`Unable to link the material: ${log}`);
+      }
+
+      this.reflect();
+
+      // Locations in the form the renderers use for their own program
+      const attribLocations = {};
+      for (const [key, [, location]] of Object.entries(
+         this.layout.attributes
+      )) {
+         attribLocations[key] = location;
+      }
+      const uniformLocations = {};
+      for (const [key, name] of Object.entries(this.layout.uniforms)) {
+         uniformLocations[key] = gl.getUniformLocation(this.program, name);
+      }
+      this.programInfo = {
+         program: this.program,
+         attribLocations,
+         uniformLocations,
+      };
+
+      // The new program has no values yet, and textures of images are
+      // uploaded again when next drawn
+      this.textures = new Map();
+      this.changed = new Set(this.values.keys());
+   }
+
+   /**
+    * Compile one shader
+    * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+    * @param {string} source - GLSL ES 1.00 source
+    * @returns {WebGLShader} The compiled shader
+    * @throws {Error} With the compiler's log if it fails
+    */
+   compileShader(type, source) {
+      const gl = this.gl;
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, this.backend.shaderSource(source, type));
+      gl.compileShader(shader);
+
+      if (
+         !gl.getShaderParameter(shader, gl.COMPILE_STATUS) &&
+         !gl.isContextLost()
+      ) {
+         const log = gl.getShaderInfoLog(shader);
+         gl.deleteShader(shader);
+         const kind = type === gl.VERTEX_SHADER ? "vertex" : "fragment";
+         throw new Error(
+            `An error occurred compiling the ${kind} shader: ${log}`
+         );
+      }
+      return shader;
+   }
+
+   /**
+    * List the active attributes and the uniforms left for setUniform()
+    * Compilers remove what a shader declares but never uses, so only
+    * those that affect the result are listed.
+    */
+   reflect() {
+      const gl = this.gl;
+      const supplied = Object.values(this.layout.attributes).map(
+         ([name]) => name
+      );
+      const rendererUniforms = Object.values(this.layout.uniforms);
+
+      // Attributes by name, { location, type, size }
+      this.attributes = new Map();
+      const attributeCount = gl.getProgramParameter(
+         this.program,
+         gl.ACTIVE_ATTRIBUTES
+      );
+      for (let i = 0; i < attributeCount; i++) {
+         const info = gl.getActiveAttrib(this.program, i);
+         if (!info || info.name.startsWith("gl_")) {
+            continue;
+         }
+         if (!supplied.includes(info.name)) {
+            throw new Error(
+               `Unknown attribute "${info.name}", materials can only use ` +
+                  supplied.join(", ")
+            );
+         }
+         this.attributes.set(info.name, {
+            location: gl.getAttribLocation(this.program, info.name),
+            type: info.type,
+            size: info.size,
+         });
+      }
+
+      // Uniforms by name, { location, type, size, setter, components },
+      // with texture units from 1 on for samplers; unit 0 belongs to the
+      // renderer
+      this.uniforms = new Map();
+      const uniformCount = gl.getProgramParameter(
+         this.program,
+         gl.ACTIVE_UNIFORMS
+      );
+      let unit = 1;
+      for (let i = 0; i < uniformCount; i++) {
+         const info = gl.getActiveUniform(this.program, i);
+         if (!info) {
+            continue;
+         }
+
+         // Arrays are listed by their first element
+         const name = info.name.replace(/\[0\]$/, "");
+         if (rendererUniforms.includes(name)) {
+            continue;
+         }
+
+         const uniform = {
+            location: gl.getUniformLocation(this.program, name),
+            type: info.type,
+            size: info.size,
+            ...WebGLMaterial.uniformType(gl, info.type),
+         };
+         if (uniform.sampler) {
+            uniform.unit = unit++;
+         }
+         this.uniforms.set(name, uniform);
+      }
+   }
+
+   /**
+    * Register a function to call before a uniform value changes
+    * WebGLDraw uses this to draw the shapes batched with the old value.
+    * @param {Function} listener - Called with the uniform name
+    */
+   addListener(listener) {
+      this.listeners.push(listener);
+   }
+
+   /**
+    * Set a uniform of the material's shaders
+    * Numbers and booleans set scalars, flat arrays of numbers set vectors,
+    * matrices (column by column) and arrays of them. Samplers take a
+    * WebGLRenderTarget, whose colors are premultiplied and which cannot be
+    * drawn on while the material samples it, a WebGLTexture, or an image
+    * source as drawImage accepts, which is uploaded with straight alpha;
+    * set an image again after drawing on it to upload the new pixels.
+    * @param {string} name - Uniform name as declared in the shader
+    * @param {*} value - The value
+    * @throws {Error} If the shaders have no such uniform, or it is set by
+    *    the renderer
+    * @throws {TypeError} If the value does not fit the uniform's type
+    */
+   setUniform(name, value) {
+      const uniform = this.uniforms.get(name);
+      if (!uniform) {
+         throw new Error(
+            Object.values(this.layout.uniforms).includes(name)
+               ? `Uniform "${name}" is set by the renderer`
+               : `Unknown uniform "${name}", it may be unused and removed by the shader compiler`
+         );
+      }
+
+      let stored = value;
+      if (uniform.sampler) {
+         if (!value || typeof value !== "object") {
+            throw new TypeError(`Uniform "${name}" takes a texture or image`);
+         }
+      } else if (!uniform.setter) {
+         throw new TypeError(`Uniform "${name}" has an unsupported type`);
+      } else {
+         const numbers =
+            typeof value === "number" || typeof value === "boolean"
+               ? [Number(value)]
+               : Array.from(value || []);
+         const expected = uniform.components * uniform.size;
+         if (
+            numbers.length !== expected ||
+            numbers.some((number) => typeof number !== "number")
+         ) {
+            throw new TypeError(
+               `Uniform "${name}" takes ${expected} number${
+                  expected === 1 ? "" : "s"
+               }`
+            );
+         }
+         stored = uniform.integer
+            ? new Int32Array(numbers)
+            : new Float32Array(numbers);
+      }
+
+      this.listeners.forEach((listener) => listener(name));
+      this.values.set(name, stored);
+      this.changed.add(name);
+   }
+
+   /**
+    * Set several uniforms at once
+    * @param {Object} values - Values by uniform name, see setUniform()
+    */
+   setUniforms(values) {
+      for (const [name, value] of Object.entries(values)) {
+         this.setUniform(name, value);
+      }
+   }
+
+   /**
+    * Send changed values to the program and bind the textures
+    * Renderers call this after gl.useProgram(), before drawing. Texture
+    * unit 0 is active again afterwards.
+    */
+   apply() {
+      const gl = this.gl;
+      for (const [name, uniform] of this.uniforms) {
+         if (uniform.sampler) {
+            gl.activeTexture(gl.TEXTURE0 + uniform.unit);
+            gl.bindTexture(gl.TEXTURE_2D, this.getTexture(name));
+            gl.uniform1i(uniform.location, uniform.unit);
+         } else if (this.changed.has(name)) {
+            const value = this.values.get(name);
+            if (uniform.matrix) {
+               gl[uniform.setter](uniform.location, false, value);
+            } else {
+               gl[uniform.setter](uniform.location, value);
+            }
+         }
+      }
+      this.changed.clear();
+      gl.activeTexture(gl.TEXTURE0);
+   }
+
+   /**
+    * Whether a sampler uniform reads a render target, which then cannot be
+    * drawn on with this material
+    * @param {WebGLRenderTarget|null} target - The target, usually the bound one
+    * @returns {boolean} True if any sampler uniform is set to the target
+    */
+   samples(target) {
+      if (!target) {
+         return false;
+      }
+      for (const [name, uniform] of this.uniforms) {
+         if (uniform.sampler && this.values.get(name) === target) {
+            return true;
+         }
+      }
+      return false;
+   }
+
+   /**
+    * Get the texture a sampler uniform reads, uploading its image if needed
+    * @param {string} name - Sampler uniform name
+    * @returns {WebGLTexture|null} The texture, null if none was set
+    */
+   getTexture(name) {
+      const value = this.values.get(name);
+      if (!value) {
+         return null;
+      }
+      if (value instanceof WebGLRenderTarget) {
+         return value.texture;
+      }
+      if (
+         typeof WebGLTexture !== "undefined" &&
+         value instanceof WebGLTexture
+      ) {
+         return value;
+      }
+
+      let texture = this.textures.get(name);
+      if (!texture || this.changed.has(name)) {
+         texture = texture || this.gl.createTexture();
+         this.textures.set(name, texture);
+         this.uploadTexture(texture, value);
+      }
+      return texture;
+   }
+
+   /**
+    * Copy an image into a texture, with straight alpha as WebGLDraw
+    * uploads images
+    * @param {WebGLTexture} texture - The texture to fill
+    * @param {Object} image - An image, bitmap, canvas or video element, or
+    *    raw RGBA pixels as { width, height, data } such as ImageData
+    */
+   uploadTexture(texture, image) {
+      const gl = this.gl;
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      if (image.data) {
+         gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            image.width,
+            image.height,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            new Uint8Array(image.data)
+         );
+      } else {
+         gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            image
+         );
+      }
+
+      // Any size works in WebGL 1 without mipmaps and with clamping
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+   }
+
+   /**
+    * Free the program and the textures uploaded for images
+    * Renderers call this from deleteMaterial()
+    */
+   release() {
+      this.gl.deleteProgram(this.program);
+      for (const texture of this.textures.values()) {
+         this.gl.deleteTexture(texture);
+      }
+      this.program = null;
+      this.programInfo = null;
+      this.textures = new Map();
+   }
+
+   /**
+    * Reject options a renderer's createMaterial() does not know, such as
+    * uniform values passed without the uniforms key
+    * @param {Object} options - Options passed to createMaterial()
+    * @throws {TypeError} If an option is not one of vertex and uniforms
+    */
+   static checkOptions(options) {
+      for (const key of Object.keys(options)) {
+         if (key !== "vertex" && key !== "uniforms") {
+            throw new TypeError(
+               `Unknown material option "${key}", uniform values go in options.uniforms`
+            );
+         }
+      }
+   }
+
+   /**
+    * Look up how values of a uniform type are checked and sent
+    * @param {WebGLRenderingContext} gl - Context the type comes from
+    * @param {number} type - Type from gl.getActiveUniform()
+    * @returns {Object} { setter, components, integer, matrix, sampler },
+    *    without a setter for unsupported types
+    */
+   static uniformType(gl, type) {
+      for (const [name, entry] of Object.entries(WebGLMaterial.uniformTypes)) {
+         if (gl[name] === type) {
+            return entry;
+         }
+      }
+      return {};
+   }
+}
+
+// Uniform types by WebGL constant name: the gl method setting them, the
+// numbers per element, and whether they are integers, matrices or samplers
+WebGLMaterial.uniformTypes = {
+   FLOAT: { setter: "uniform1fv", components: 1 },
+   FLOAT_VEC2: { setter: "uniform2fv", components: 2 },
+   FLOAT_VEC3: { setter: "uniform3fv", components: 3 },
+   FLOAT_VEC4: { setter: "uniform4fv", components: 4 },
+   INT: { setter: "uniform1iv", components: 1, integer: true },
+   INT_VEC2: { setter: "uniform2iv", components: 2, integer: true },
+   INT_VEC3: { setter: "uniform3iv", components: 3, integer: true },
+   INT_VEC4: { setter: "uniform4iv", components: 4, integer: true },
+   BOOL: { setter: "uniform1iv", components: 1, integer: true },
+   BOOL_VEC2: { setter: "uniform2iv", components: 2, integer: true },
+   BOOL_VEC3: { setter: "uniform3iv", components: 3, integer: true },
+   BOOL_VEC4: { setter: "uniform4iv", components: 4, integer: true },
+   FLOAT_MAT2: { setter: "uniformMatrix2fv", components: 4, matrix: true },
+   FLOAT_MAT3: { setter: "uniformMatrix3fv", components: 9, matrix: true },
+   FLOAT_MAT4: { setter: "uniformMatrix4fv", components: 16, matrix: true },
+   SAMPLER_2D: { sampler: true, components: 1 },
+};
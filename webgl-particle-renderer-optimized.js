@@ -7,6 +7,11 @@ class WebGLParticleRendererOptimized {
    constructor(canvas) {
       this.canvas = canvas;
       this.renderer = new OptimizedWebGLRenderer(canvas);
+      // Full-screen effects such as bloom, drawn when it has passes; null
+      // without WebGL, as the renderer then has no context to draw them with
+      this.postProcess = this.renderer.gl
+         ? this.renderer.createPostProcess()
+         : null;
       this.particles = [];
       this.stats = {
          fps: 0,
@@ -15,13 +20,19 @@ class WebGLParticleRendererOptimized {
       };
    }
 
+   // Free the renderer and its post-processing chain
+   destroy() {
+      this.renderer.destroy();
+      this.particles = [];
+   }
+
    // Initialize particles
    initParticles(count) {
       this.particles = [];
       for (let i = 0; i < count; i++) {
-         const x = Math.random() * this.canvas.width;
-         const y = Math.random() * this.canvas.height;
-         this.particles.push(new Particle(x, y, this.canvas));
+         const x = Math.random() * this.renderer.size.width;
+         const y = Math.random() * this.renderer.size.height;
+         this.particles.push(new Particle(x, y, this.renderer.size));
       }
    }
 
@@ -34,12 +45,23 @@ class WebGLParticleRendererOptimized {
    render() {
       const startTime = performance.now();
 
+      // Draw into the post-processing chain instead of the canvas
+      const postProcessing =
+         this.postProcess !== null && this.postProcess.passes.length > 0;
+      if (postProcessing) {
+         this.postProcess.begin();
+      }
+
       // Clear canvas
       this.clear();
 
       // Draw all particles in a single call
       this.renderer.drawParticles(this.particles);
 
+      if (postProcessing) {
+         this.postProcess.end();
+      }
+
       // Calculate render time
       this.stats.renderTime = performance.now() - startTime;
 
@@ -0,0 +1,282 @@
+/**
+ * WebGL Path
+ * Builds compound shapes out of lines, arcs and curves, like Canvas 2D Path2D
+ *
+ * Curves are stored as commands and only flattened when the path is filled
+ * or stroked, so the same path can be drawn many times.
+ */
+
+class WebGLPath {
+   constructor() {
+      // Each subpath is { x, y, commands, closed } starting at (x, y)
+      this.subpaths = [];
+      this.currentSubpath = null;
+
+      // Current point, used by arcTo and to start implicit subpaths
+      this.currentX = 0;
+      this.currentY = 0;
+   }
+
+   /**
+    * Start a new subpath at the given point
+    * @param {number} x - X coordinate
+    * @param {number} y - Y coordinate
+    * @returns {WebGLPath} This path, for chaining
+    */
+   moveTo(x, y) {
+      this.currentSubpath = { x, y, commands: [], closed: false };
+      this.subpaths.push(this.currentSubpath);
+      this.currentX = x;
+      this.currentY = y;
+      return this;
+   }
+
+   /**
+    * Add a straight line to the given point
+    * @param {number} x - X coordinate
+    * @param {number} y - Y coordinate
+    * @returns {WebGLPath} This path, for chaining
+    */
+   lineTo(x, y) {
+      if (!this.currentSubpath) {
+         return this.moveTo(x, y);
+      }
+
+      this.addCommand(["L", x, y], x, y);
+      return this;
+   }
+
+   /**
+    * Add a quadratic bezier curve from the current point
+    * @param {number} cpx - X coordinate of the control point
+    * @param {number} cpy - Y coordinate of the control point
+    * @param {number} x - X coordinate of the end point
+    * @param {number} y - Y coordinate of the end point
+    * @returns {WebGLPath} This path, for chaining
+    */
+   quadraticCurveTo(cpx, cpy, x, y) {
+      this.ensureSubpath(cpx, cpy);
+      this.addCommand(["Q", cpx, cpy, x, y], x, y);
+      return this;
+   }
+
+   /**
+    * Add a cubic bezier curve from the current point
+    * @param {number} cpx1 - X coordinate of the first control point
+    * @param {number} cpy1 - Y coordinate of the first control point
+    * @param {number} cpx2 - X coordinate of the second control point
+    * @param {number} cpy2 - Y coordinate of the second control point
+    * @param {number} x - X coordinate of the end point
+    * @param {number} y - Y coordinate of the end point
+    * @returns {WebGLPath} This path, for chaining
+    */
+   bezierCurveTo(cpx1, cpy1, cpx2, cpy2, x, y) {
+      this.ensureSubpath(cpx1, cpy1);
+      this.addCommand(["C", cpx1, cpy1, cpx2, cpy2, x, y], x, y);
+      return this;
+   }
+
+   /**
+    * Add a circular arc, connected to the current point by a straight line
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {number} radius - Radius of the arc
+    * @param {number} startAngle - Starting angle in radians
+    * @param {number} endAngle - Ending angle in radians
+    * @param {boolean} counterclockwise - Whether to go counterclockwise
+    * @returns {WebGLPath} This path, for chaining
+    */
+   arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+      this.ensureSubpath(
+         x + Math.cos(startAngle) * radius,
+         y + Math.sin(startAngle) * radius
+      );
+      this.addCommand(
+         ["A", x, y, radius, startAngle, endAngle, counterclockwise],
+         x + Math.cos(endAngle) * radius,
+         y + Math.sin(endAngle) * radius
+      );
+      return this;
+   }
+
+   /**
+    * Add an arc with the given radius that is tangent to the line from the
+    * current point to (x1, y1) and to the line from (x1, y1) to (x2, y2)
+    * @param {number} x1 - X coordinate of the corner point
+    * @param {number} y1 - Y coordinate of the corner point
+    * @param {number} x2 - X coordinate of the second tangent point
+    * @param {number} y2 - Y coordinate of the second tangent point
+    * @param {number} radius - Radius of the arc
+    * @returns {WebGLPath} This path, for chaining
+    */
+   arcTo(x1, y1, x2, y2, radius) {
+      if (!this.currentSubpath) {
+         return this.moveTo(x1, y1);
+      }
+
+      // Unit vectors from the corner towards both neighbouring points
+      const toStartX = this.currentX - x1;
+      const toStartY = this.currentY - y1;
+      const toEndX = x2 - x1;
+      const toEndY = y2 - y1;
+      const startLength = Math.hypot(toStartX, toStartY);
+      const endLength = Math.hypot(toEndX, toEndY);
+      const cross = toStartX * toEndY - toStartY * toEndX;
+
+      // Degenerate corners collapse into a straight line, as in Canvas 2D
+      if (
+         radius === 0 ||
+         startLength === 0 ||
+         endLength === 0 ||
+         Math.abs(cross) < 1e-9
+      ) {
+         return this.lineTo(x1, y1);
+      }
+
+      const startDirX = toStartX / startLength;
+      const startDirY = toStartY / startLength;
+      const endDirX = toEndX / endLength;
+      const endDirY = toEndY / endLength;
+
+      // Distance from the corner to both tangent points
+      const cosAngle = startDirX * endDirX + startDirY * endDirY;
+      const halfAngle = Math.acos(Math.max(-1, Math.min(1, cosAngle))) / 2;
+      const tangentDistance = radius / Math.tan(halfAngle);
+
+      // Circle center along the corner bisector
+      let bisectorX = startDirX + endDirX;
+      let bisectorY = startDirY + endDirY;
+      const bisectorLength = Math.hypot(bisectorX, bisectorY);
+      bisectorX /= bisectorLength;
+      bisectorY /= bisectorLength;
+      const centerDistance = radius / Math.sin(halfAngle);
+      const centerX = x1 + bisectorX * centerDistance;
+      const centerY = y1 + bisectorY * centerDistance;
+
+      // Angles of the tangent points around the center
+      const startAngle = Math.atan2(
+         y1 + startDirY * tangentDistance - centerY,
+         x1 + startDirX * tangentDistance - centerX
+      );
+      const endAngle = Math.atan2(
+         y1 + endDirY * tangentDistance - centerY,
+         x1 + endDirX * tangentDistance - centerX
+      );
+
+      // Go the short way around, whichever direction that is
+      let sweep = endAngle - startAngle;
+      if (sweep > Math.PI) {
+         sweep -= Math.PI * 2;
+      } else if (sweep < -Math.PI) {
+         sweep += Math.PI * 2;
+      }
+
+      return this.arc(
+         centerX,
+         centerY,
+         radius,
+         startAngle,
+         endAngle,
+         sweep < 0
+      );
+   }
+
+   /**
+    * Add a closed rectangle as its own subpath
+    * @param {number} x - X coordinate of the top-left corner
+    * @param {number} y - Y coordinate of the top-left corner
+    * @param {number} width - Width of the rectangle
+    * @param {number} height - Height of the rectangle
+    * @returns {WebGLPath} This path, for chaining
+    */
+   rect(x, y, width, height) {
+      this.moveTo(x, y);
+      this.lineTo(x + width, y);
+      this.lineTo(x + width, y + height);
+      this.lineTo(x, y + height);
+      this.closePath();
+      return this;
+   }
+
+   /**
+    * Close the current subpath and start a new one at its first point
+    * @returns {WebGLPath} This path, for chaining
+    */
+   closePath() {
+      if (!this.currentSubpath) {
+         return this;
+      }
+
+      this.currentSubpath.closed = true;
+      const { x, y } = this.currentSubpath;
+      this.moveTo(x, y);
+      return this;
+   }
+
+   /**
+    * Start a subpath at the given point if there is none yet
+    */
+   ensureSubpath(x, y) {
+      if (!this.currentSubpath) {
+         this.moveTo(x, y);
+      }
+   }
+
+   /**
+    * Append a command to the current subpath and move the current point
+    */
+   addCommand(command, x, y) {
+      this.currentSubpath.commands.push(command);
+      this.currentX = x;
+      this.currentY = y;
+   }
+
+   /**
+    * Flatten every subpath into a polyline
+    * @param {number} tolerance - Maximum distance between curves and their polylines
+    * @returns {Array<Object>} List of { points, closed } with flat point lists
+    */
+   toPolylines(tolerance = Tessellator.tolerance) {
+      const polylines = [];
+
+      for (const subpath of this.subpaths) {
+         const points = [subpath.x, subpath.y];
+
+         for (const command of subpath.commands) {
+            const lastX = points[points.length - 2];
+            const lastY = points[points.length - 1];
+            const [type, ...args] = command;
+
+            if (type === "L") {
+               points.push(args[0], args[1]);
+            } else if (type === "Q") {
+               const curve = Tessellator.quadraticPoints(
+                  lastX,
+                  lastY,
+                  ...args,
+                  tolerance
+               );
+               points.push(...curve.slice(2));
+            } else if (type === "C") {
+               const curve = Tessellator.cubicPoints(
+                  lastX,
+                  lastY,
+                  ...args,
+                  tolerance
+               );
+               points.push(...curve.slice(2));
+            } else if (type === "A") {
+               // The line from the previous point to the arc start is implied
+               points.push(...Tessellator.arcPoints(...args, tolerance));
+            }
+         }
+
+         // Skip the empty subpaths left behind by moveTo and closePath
+         if (points.length > 2) {
+            polylines.push({ points, closed: subpath.closed });
+         }
+      }
+
+      return polylines;
+   }
+}
@@ -0,0 +1,244 @@
+/**
+ * WebGL Picker
+ * Remembers the triangles drawn for each pick ID so WebGLDraw can tell
+ * which shape is under a point, e.g. for tooltips and selection
+ *
+ * Shapes are recorded as the same triangles that are sent to the GPU, so
+ * a hit follows the exact tessellated outline. Anti-aliased shapes cover a
+ * quad around themselves and are tested against their distance field too.
+ */
+
+class WebGLPicker {
+   /**
+    * Create an empty picker, WebGLDraw makes one for itself
+    */
+   constructor() {
+      // Runs of triangles drawn with one ID, in drawing order
+      this.records = [];
+
+      // Record that new triangles are added to, started on demand
+      this.current = null;
+   }
+
+   /**
+    * Forget every recorded shape, as when the canvas is cleared
+    */
+   clear() {
+      this.records = [];
+      this.current = null;
+   }
+
+   /**
+    * Start recording triangles for an ID
+    * @param {*} id - Value pickAt() returns for these triangles
+    * @param {Array<number>|null} camera - Camera matrix the triangles are
+    *    viewed through, null when they are drawn in CSS pixels
+    * @param {Array<Object>} clips - Clipping regions { matrix, triangles }
+    *    in effect, with the matrix mapping straight to CSS pixels
+    */
+   begin(id, camera, clips) {
+      this.current = {
+         id,
+         inverse: camera ? WebGLPicker.invert(camera) : null,
+         clips,
+         // Triangle corners in world coordinates, and in the frame of their
+         // anti-aliased shape if they have one
+         positions: [],
+         locals: [],
+         // SDFShapes shape of each triangle, or null for plain triangles
+         shapes: [],
+         bounds: {
+            minX: Infinity,
+            minY: Infinity,
+            maxX: -Infinity,
+            maxY: -Infinity,
+         },
+      };
+      this.records.push(this.current);
+   }
+
+   /**
+    * Stop adding to the current record
+    * Called whenever the ID, camera or clipping changes, so the next
+    * triangle starts a new record
+    */
+   end() {
+      this.current = null;
+   }
+
+   /**
+    * Add a triangle corner to the current record, every three corners
+    * make a triangle
+    * @param {number} x - X coordinate in world space
+    * @param {number} y - Y coordinate in world space
+    * @param {number} u - X coordinate in the shape's frame
+    * @param {number} v - Y coordinate in the shape's frame
+    * @param {Array<number>|null} shape - SDFShapes shape, if any
+    */
+   addVertex(x, y, u, v, shape) {
+      const record = this.current;
+      if (record.positions.length % 6 === 0) {
+         record.shapes.push(
+            shape && shape[0] !== SDFShapes.kinds.none ? shape : null
+         );
+      }
+      record.positions.push(x, y);
+      record.locals.push(u, v);
+
+      const bounds = record.bounds;
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.maxY = Math.max(bounds.maxY, y);
+   }
+
+   /**
+    * Find the topmost recorded shape at a point
+    * @param {number} x - X coordinate in CSS pixels
+    * @param {number} y - Y coordinate in CSS pixels
+    * @returns {*} ID of the last shape drawn there, or null if none
+    */
+   pickAt(x, y) {
+      for (let i = this.records.length - 1; i >= 0; i--) {
+         const record = this.records[i];
+         if (WebGLPicker.recordContains(record, x, y)) {
+            return record.id;
+         }
+      }
+      return null;
+   }
+
+   /**
+    * Test whether a record covers a point on the canvas
+    * @param {Object} record - Record made by begin()
+    * @param {number} x - X coordinate in CSS pixels
+    * @param {number} y - Y coordinate in CSS pixels
+    * @returns {boolean} True if a triangle of the record covers the point
+    */
+   static recordContains(record, x, y) {
+      // Clipped away parts of a shape cannot be picked
+      for (const clip of record.clips) {
+         if (!WebGLPicker.trianglesContain(clip.triangles, clip.matrix, x, y)) {
+            return false;
+         }
+      }
+
+      // Move the point into the world the shape was drawn in
+      let px = x;
+      let py = y;
+      if (record.inverse) {
+         const [a, b, c, d, e, f] = record.inverse;
+         px = a * x + c * y + e;
+         py = b * x + d * y + f;
+      }
+
+      const { bounds, positions, locals, shapes } = record;
+      if (
+         px < bounds.minX ||
+         px > bounds.maxX ||
+         py < bounds.minY ||
+         py > bounds.maxY
+      ) {
+         return false;
+      }
+
+      for (let i = positions.length - 6; i >= 0; i -= 6) {
+         const weights = WebGLPicker.barycentric(positions, i, px, py);
+         if (!weights) {
+            continue;
+         }
+
+         const shape = shapes[i / 6];
+         if (!shape) {
+            return true;
+         }
+
+         // Anti-aliased shapes only cover part of their quad
+         const [w0, w1, w2] = weights;
+         const u = w0 * locals[i] + w1 * locals[i + 2] + w2 * locals[i + 4];
+         const v = w0 * locals[i + 1] + w1 * locals[i + 3] + w2 * locals[i + 5];
+         if (SDFShapes.contains(u, v, shape)) {
+            return true;
+         }
+      }
+      return false;
+   }
+
+   /**
+    * Test whether any triangle of a list covers a point
+    * @param {Array<number>} triangles - Flat [x, y, ...] list, three points
+    *    per triangle
+    * @param {Array<number>} matrix - Transform [a, b, c, d, e, f] applied to
+    *    the triangles
+    * @param {number} x - X coordinate of the point
+    * @param {number} y - Y coordinate of the point
+    * @returns {boolean} True if the point is inside a triangle
+    */
+   static trianglesContain(triangles, matrix, x, y) {
+      const [a, b, c, d, e, f] = matrix;
+      const corners = new Array(6);
+      for (let i = 0; i + 5 < triangles.length; i += 6) {
+         for (let j = 0; j < 6; j += 2) {
+            const tx = triangles[i + j];
+            const ty = triangles[i + j + 1];
+            corners[j] = a * tx + c * ty + e;
+            corners[j + 1] = b * tx + d * ty + f;
+         }
+         if (WebGLPicker.barycentric(corners, 0, x, y)) {
+            return true;
+         }
+      }
+      return false;
+   }
+
+   /**
+    * Weights of a triangle's corners for a point inside it
+    * @param {Array<number>} positions - Flat [x, y, ...] list
+    * @param {number} offset - Index of the triangle's first coordinate
+    * @param {number} x - X coordinate of the point
+    * @param {number} y - Y coordinate of the point
+    * @returns {Array<number>|null} Weights of the three corners, or null
+    *    if the point is outside or the triangle is degenerate
+    */
+   static barycentric(positions, offset, x, y) {
+      const x0 = positions[offset];
+      const y0 = positions[offset + 1];
+      const x1 = positions[offset + 2];
+      const y1 = positions[offset + 3];
+      const x2 = positions[offset + 4];
+      const y2 = positions[offset + 5];
+
+      const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+      if (area === 0) {
+         return null;
+      }
+
+      // Either winding works, the weights are signed areas over the total
+      const w1 = ((x - x0) * (y2 - y0) - (x2 - x0) * (y - y0)) / area;
+      const w2 = ((x1 - x0) * (y - y0) - (x - x0) * (y1 - y0)) / area;
+      const w0 = 1 - w1 - w2;
+      if (w0 < 0 || w1 < 0 || w2 < 0) {
+         return null;
+      }
+      return [w0, w1, w2];
+   }
+
+   /**
+    * Invert an affine transform
+    * @param {Array<number>} matrix - Transform [a, b, c, d, e, f]
+    * @returns {Array<number>} The inverse, with non-finite entries for a
+    *    singular transform so nothing is hit through it
+    */
+   static invert(matrix) {
+      const [a, b, c, d, e, f] = matrix;
+      const det = a * d - b * c;
+      return [
+         d / det,
+         -b / det,
+         -c / det,
+         a / det,
+         (c * f - d * e) / det,
+         (b * e - a * f) / det,
+      ];
+   }
+}
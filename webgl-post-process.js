@@ -0,0 +1,628 @@
+/**
+ * WebGL Post-processing
+ * A chain of full-screen effects applied to everything a renderer draws,
+ * for WebGLDraw.createPostProcess() and
+ * OptimizedWebGLRenderer.createPostProcess()
+ *
+ * Between begin() and end() the renderer draws its scene into a render
+ * target. end() then runs each pass over the result of the one before, in
+ * further render targets, and the last pass draws onto the canvas. Passes
+ * work on premultiplied colors, like everything else the renderers draw.
+ */
+
+class WebGLPostProcess {
+   /**
+    * Create an empty chain, use a renderer's createPostProcess instead of
+    * calling this directly
+    * @param {WebGLDraw|OptimizedWebGLRenderer} renderer - Renderer whose
+    *    drawing is processed
+    */
+   constructor(renderer) {
+      this.renderer = renderer;
+      this.gl = renderer.gl;
+      this.backend = renderer.backend;
+
+      // Passes in the order they run, see add() and addShader()
+      this.passes = [];
+
+      // Scene target the renderer draws into, and the scratch targets
+      // passes render through, created at the surface size on demand
+      this.scene = null;
+      this.pool = [];
+
+      // Target the last pass draws on, null for the canvas
+      this.output = null;
+
+      // Compiled programs by shader name or custom pass, and the quad they
+      // draw; a lost context takes them with it
+      this.programs = new Map();
+      this.quad = null;
+      this.handleContextLost = () => {
+         this.programs = new Map();
+         this.quad = null;
+      };
+      renderer.onContextLost(this.handleContextLost);
+   }
+
+   /**
+    * Free the programs, the quad and the render targets of the chain
+    * The renderer's destroy() does this for every chain it created.
+    * Methods throw afterwards.
+    */
+   destroy() {
+      const renderer = this.renderer;
+      for (const program of this.programs.values()) {
+         program.material.release();
+      }
+      if (this.quad) {
+         this.gl.deleteBuffer(this.quad.buffer);
+         if (this.quad.vertexArray) {
+            this.backend.deleteVertexArray(this.quad.vertexArray);
+         }
+      }
+      for (const target of [this.scene, ...this.pool]) {
+         if (target) {
+            renderer.deleteRenderTarget(target);
+         }
+      }
+
+      renderer.context.removeListener("lost", this.handleContextLost);
+      renderer.postProcesses.delete(this);
+      WebGLResources.disable(this);
+   }
+
+   /**
+    * Add a built-in effect to the end of the chain
+    * @param {string} name - A key of WebGLPostProcess.effects: "blur",
+    *    "bloom", "grayscale", "brightnessContrast" or "vignette"
+    * @param {Object} options - Effect settings, see the effect for its
+    *    defaults
+    * @returns {Object} The pass { effect, options, enabled }; change its
+    *    options or enabled flag between frames to adjust it
+    */
+   add(name, options = {}) {
+      const effect = WebGLPostProcess.effects[name];
+      if (!effect) {
+         throw new Error(`Unknown post-processing effect "${name}"`);
+      }
+
+      const pass = {
+         effect,
+         options: { ...effect.defaults, ...options },
+         enabled: true,
+      };
+      this.passes.push(pass);
+      return pass;
+   }
+
+   /**
+    * Add a pass running a custom fragment shader to the end of the chain
+    * The shader is GLSL ES 1.00 and receives the previous result as
+    * `uniform sampler2D uSource`, the position to sample as
+    * `varying vec2 vTexCoord` and the size of a pixel in texture
+    * coordinates as `uniform vec2 uTexelSize`. Colors are premultiplied.
+    * @param {string} source - Fragment shader source
+    * @param {Object} uniforms - Uniform values by name: numbers, booleans,
+    *    or arrays of 2 to 4 numbers
+    * @returns {Object} The pass { effect, options, enabled }, options being
+    *    the uniforms
+    * @throws {Error} If the shader does not compile or link
+    */
+   addShader(source, uniforms = {}) {
+      const pass = {
+         effect: { source },
+         options: uniforms,
+         enabled: true,
+      };
+
+      // Compile right away so shader errors reach the caller; a lost
+      // context compiles it on first use after the restore instead
+      if (!this.renderer.context.lost) {
+         this.getProgram(pass);
+      }
+      this.passes.push(pass);
+      return pass;
+   }
+
+   /**
+    * Remove a pass, or every pass when none is given
+    * @param {Object} pass - Pass returned by add() or addShader()
+    */
+   remove(pass) {
+      this.passes = pass ? this.passes.filter((p) => p !== pass) : [];
+   }
+
+   /**
+    * Start drawing the scene, into a render target instead of the surface
+    * the renderer was drawing on
+    */
+   begin() {
+      const renderer = this.renderer;
+      this.output = renderer.renderTarget;
+      this.scene = this.fitTarget(this.scene);
+      this.scene.screen = true;
+      renderer.setRenderTarget(this.scene);
+   }
+
+   /**
+    * Finish the scene and draw it through every enabled pass onto the
+    * surface the renderer was drawing on before begin()
+    * @throws {Error} If the shader of a built-in pass does not compile or
+    *    link
+    */
+   end() {
+      const renderer = this.renderer;
+      renderer.setRenderTarget(this.output);
+      if (renderer.context.lost) {
+         return;
+      }
+
+      // Passes replace pixels instead of blending, and ignore clipping and
+      // depth
+      const gl = this.gl;
+      const depthTest = gl.isEnabled(gl.DEPTH_TEST);
+      gl.disable(gl.DEPTH_TEST);
+      gl.disable(gl.BLEND);
+      gl.disable(gl.STENCIL_TEST);
+
+      const passes = this.passes.filter((pass) => pass.enabled);
+      if (passes.length === 0) {
+         this.draw("copy", this.scene, this.output);
+      }
+
+      let input = this.scene;
+      passes.forEach((pass, index) => {
+         const output =
+            index === passes.length - 1
+               ? this.output
+               : this.getTarget([input, this.output]);
+         if (pass.effect.apply) {
+            pass.effect.apply(this, input, output, pass.options);
+         } else if (pass.effect.shader) {
+            this.draw(
+               pass.effect.shader,
+               input,
+               output,
+               pass.effect.uniforms(pass.options)
+            );
+         } else {
+            this.draw(pass, input, output, pass.options);
+         }
+         input = output;
+      });
+
+      // Hand the renderer back its blending, depth test, framebuffer and
+      // clipping
+      if (depthTest) {
+         gl.enable(gl.DEPTH_TEST);
+      }
+      gl.enable(gl.BLEND);
+      BlendModes.apply(gl, renderer.blendMode);
+      gl.activeTexture(gl.TEXTURE0);
+      renderer.bindSurface();
+   }
+
+   /**
+    * Blur a target into another with a separable Gaussian blur
+    * Wide blurs are split into several narrower ones, which add up to the
+    * same blur without gaps between the samples
+    * @param {WebGLRenderTarget} input - Target to blur
+    * @param {WebGLRenderTarget|null} output - Target for the result, null
+    *    for the canvas
+    * @param {number} radius - Blur radius in CSS pixels
+    * @param {Array<WebGLRenderTarget>} keep - Targets that must not be
+    *    used as scratch space
+    */
+   blur(input, output, radius, keep = []) {
+      const iterations = Math.max(1, Math.ceil(radius / 8));
+
+      // Nine samples spread over the radius, i.e. two standard deviations
+      const spread = radius / Math.sqrt(iterations) / 4;
+      const ratio = input.pixelRatio;
+
+      let source = input;
+      for (let i = 0; i < iterations; i++) {
+         const across = this.getTarget([source, output, ...keep]);
+         this.draw("blur", source, across, {
+            uDirection: [(spread * ratio) / source.pixelWidth, 0],
+         });
+
+         const down =
+            i === iterations - 1
+               ? output
+               : this.getTarget([across, output, ...keep]);
+         this.draw("blur", across, down, {
+            uDirection: [0, (spread * ratio) / across.pixelHeight],
+         });
+         source = down;
+      }
+   }
+
+   /**
+    * Run a shader over a whole target
+    * @param {string|Object} shader - A key of WebGLPostProcess.shaders, or
+    *    a custom pass from addShader()
+    * @param {WebGLRenderTarget} input - Target sampled as uSource
+    * @param {WebGLRenderTarget|null} output - Target drawn on, null for
+    *    the canvas
+    * @param {Object} uniforms - Uniform values by name
+    * @param {Object} textures - Further targets to sample, by uniform name
+    */
+   draw(shader, input, output, uniforms = {}, textures = {}) {
+      const gl = this.gl;
+      const program = this.getProgram(shader);
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+      gl.viewport(
+         0,
+         0,
+         output ? output.pixelWidth : this.renderer.canvas.width,
+         output ? output.pixelHeight : this.renderer.canvas.height
+      );
+      gl.useProgram(program.material.program);
+
+      // The source on unit 0, any others from unit 1 on
+      const samplers = { uSource: input, ...textures };
+      Object.entries(samplers).forEach(([name, target], unit) => {
+         gl.activeTexture(gl.TEXTURE0 + unit);
+         gl.bindTexture(gl.TEXTURE_2D, target.texture);
+         gl.uniform1i(this.getUniform(program, name), unit);
+      });
+      gl.uniform2f(
+         this.getUniform(program, "uTexelSize"),
+         1 / input.pixelWidth,
+         1 / input.pixelHeight
+      );
+      for (const [name, value] of Object.entries(uniforms)) {
+         this.setUniform(program, name, value);
+      }
+
+      this.drawQuad(program);
+   }
+
+   /**
+    * Set a uniform from a JavaScript value
+    * @param {Object} program - Program from getProgram()
+    * @param {string} name - Uniform name
+    * @param {number|boolean|Array<number>} value - Value; arrays set
+    *    vectors of their length
+    */
+   setUniform(program, name, value) {
+      const gl = this.gl;
+      const location = this.getUniform(program, name);
+      if (typeof value === "boolean") {
+         gl.uniform1i(location, value ? 1 : 0);
+      } else if (typeof value === "number") {
+         gl.uniform1f(location, value);
+      } else if (value.length >= 2 && value.length <= 4) {
+         gl[`uniform${value.length}fv`](location, value);
+      } else {
+         throw new TypeError(`Unsupported value for uniform "${name}"`);
+      }
+   }
+
+   /**
+    * Get a uniform location, looked up once per program
+    */
+   getUniform(program, name) {
+      if (!program.uniforms.has(name)) {
+         program.uniforms.set(
+            name,
+            this.gl.getUniformLocation(program.material.program, name)
+         );
+      }
+      return program.uniforms.get(name);
+   }
+
+   /**
+    * Draw the full-screen quad with a program
+    * @param {Object} program - Program from getProgram()
+    */
+   drawQuad(program) {
+      const gl = this.gl;
+      if (!this.quad) {
+         this.quad = { buffer: gl.createBuffer(), vertexArray: null };
+         gl.bindBuffer(gl.ARRAY_BUFFER, this.quad.buffer);
+         gl.bufferData(
+            gl.ARRAY_BUFFER,
+            new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+            gl.STATIC_DRAW
+         );
+         if (this.backend.vertexArrays) {
+            this.quad.vertexArray = this.backend.createVertexArray();
+            this.backend.bindVertexArray(this.quad.vertexArray);
+            this.setAttributes();
+            this.backend.bindVertexArray(null);
+         }
+      }
+
+      if (this.quad.vertexArray) {
+         this.backend.bindVertexArray(this.quad.vertexArray);
+         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+         this.backend.bindVertexArray(null);
+      } else {
+         this.setAttributes();
+         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+         gl.disableVertexAttribArray(WebGLPostProcess.positionLocation);
+      }
+   }
+
+   /**
+    * Point the position attribute at the quad
+    */
+   setAttributes() {
+      const gl = this.gl;
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.quad.buffer);
+      gl.enableVertexAttribArray(WebGLPostProcess.positionLocation);
+      gl.vertexAttribPointer(
+         WebGLPostProcess.positionLocation,
+         2, // 2 components per vertex
+         gl.FLOAT,
+         false,
+         0,
+         0
+      );
+   }
+
+   /**
+    * Get the compiled program for a shader, compiling it on first use
+    * @param {string|Object} shader - A key of WebGLPostProcess.shaders, or
+    *    a custom pass
+    * @returns {Object} Program { material, uniforms }, uniforms caching
+    *    the locations getUniform() looked up
+    * @throws {Error} If the shader does not compile or link
+    */
+   getProgram(shader) {
+      if (this.programs.has(shader)) {
+         return this.programs.get(shader);
+      }
+
+      const source =
+         typeof shader === "string"
+            ? WebGLPostProcess.shaders[shader]
+            : shader.effect.source;
+      const material = new WebGLMaterial(
+         this.backend,
+         { vertex: WebGLPostProcess.vertexShader, fragment: source },
+         WebGLPostProcess.programLayout
+      );
+
+      const program = { material, uniforms: new Map() };
+      this.programs.set(shader, program);
+      return program;
+   }
+
+   /**
+    * Get a scratch target at the surface size that is not in use
+    * @param {Array<WebGLRenderTarget|null>} exclude - Targets in use
+    * @returns {WebGLRenderTarget} A target to draw on
+    */
+   getTarget(exclude) {
+      for (let i = 0; i < this.pool.length; i++) {
+         if (!exclude.includes(this.pool[i])) {
+            this.pool[i] = this.fitTarget(this.pool[i]);
+            return this.pool[i];
+         }
+      }
+
+      const target = this.fitTarget(null);
+      this.pool.push(target);
+      return target;
+   }
+
+   /**
+    * Make sure a target matches the surface the scene is drawn for,
+    * replacing it after a resize
+    * @param {WebGLRenderTarget|null} target - Target to check, if any
+    * @returns {WebGLRenderTarget} The target or its replacement
+    */
+   fitTarget(target) {
+      const renderer = this.renderer;
+      const surface = this.output || renderer.size;
+      if (
+         target &&
+         target.width === surface.width &&
+         target.height === surface.height &&
+         target.pixelRatio === surface.pixelRatio
+      ) {
+         return target;
+      }
+
+      if (target) {
+         renderer.deleteRenderTarget(target);
+      }
+      return renderer.createRenderTarget(surface.width, surface.height, {
+         pixelRatio: surface.pixelRatio,
+      });
+   }
+}
+
+// Attribute location of the quad corners in every post-processing program
+WebGLPostProcess.positionLocation = 0;
+
+// What the chain supplies to its programs, in the form WebGLMaterial takes;
+// passes set every uniform themselves, see draw()
+WebGLPostProcess.programLayout = {
+   attributes: { position: ["aPosition", WebGLPostProcess.positionLocation] },
+   uniforms: {},
+};
+
+// Vertex shader shared by every pass, covering the target with a quad
+WebGLPostProcess.vertexShader = `
+            attribute vec2 aPosition;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vTexCoord = aPosition * 0.5 + 0.5;
+                gl_Position = vec4(aPosition, 0.0, 1.0);
+            }
+`;
+
+// Fragment shaders of the built-in effects
+WebGLPostProcess.shaders = {
+   copy: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            varying vec2 vTexCoord;
+
+            void main() {
+                gl_FragColor = texture2D(uSource, vTexCoord);
+            }
+   `,
+
+   // One direction of a Gaussian blur, nine samples uDirection apart
+   blur: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform vec2 uDirection;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 sum = texture2D(uSource, vTexCoord) * 0.2270270;
+                sum += texture2D(uSource, vTexCoord + uDirection) * 0.1945946;
+                sum += texture2D(uSource, vTexCoord - uDirection) * 0.1945946;
+                sum += texture2D(uSource, vTexCoord + uDirection * 2.0) * 0.1216216;
+                sum += texture2D(uSource, vTexCoord - uDirection * 2.0) * 0.1216216;
+                sum += texture2D(uSource, vTexCoord + uDirection * 3.0) * 0.0540541;
+                sum += texture2D(uSource, vTexCoord - uDirection * 3.0) * 0.0540541;
+                sum += texture2D(uSource, vTexCoord + uDirection * 4.0) * 0.0162162;
+                sum += texture2D(uSource, vTexCoord - uDirection * 4.0) * 0.0162162;
+                gl_FragColor = sum;
+            }
+   `,
+
+   // Keep only the pixels brighter than a threshold, for bloom
+   bright: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform float uThreshold;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 color = texture2D(uSource, vTexCoord);
+                float luminance = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+                gl_FragColor = color * smoothstep(uThreshold, uThreshold + 0.1, luminance);
+            }
+   `,
+
+   // Add a blurred glow on top of the source, for bloom
+   combine: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform sampler2D uGlow;
+            uniform float uStrength;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 glow = texture2D(uGlow, vTexCoord) * uStrength;
+                gl_FragColor = min(texture2D(uSource, vTexCoord) + glow, 1.0);
+            }
+   `,
+
+   grayscale: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform float uAmount;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 color = texture2D(uSource, vTexCoord);
+                float luminance = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+                gl_FragColor = vec4(mix(color.rgb, vec3(luminance), uAmount), color.a);
+            }
+   `,
+
+   // Adjusted on straight colors, then premultiplied again
+   brightnessContrast: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform float uBrightness;
+            uniform float uContrast;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 color = texture2D(uSource, vTexCoord);
+                vec3 rgb = color.rgb / max(color.a, 1e-4);
+                rgb = clamp((rgb - 0.5) * uContrast + 0.5 + uBrightness, 0.0, 1.0);
+                gl_FragColor = vec4(rgb * color.a, color.a);
+            }
+   `,
+
+   // Darken toward the corners, from uRadius of the way out
+   vignette: `
+            precision mediump float;
+            uniform sampler2D uSource;
+            uniform float uStrength;
+            uniform float uRadius;
+            varying vec2 vTexCoord;
+
+            void main() {
+                vec4 color = texture2D(uSource, vTexCoord);
+                float offset = length(vTexCoord - 0.5) * 1.4142136;
+                float shade = 1.0 - uStrength * smoothstep(uRadius, 1.0, offset);
+                gl_FragColor = vec4(color.rgb * shade, color.a);
+            }
+   `,
+};
+
+// Built-in effects for add(): their default options, and either a shader
+// with the uniforms it takes or an apply function for several steps
+WebGLPostProcess.effects = {
+   // Gaussian blur, radius in CSS pixels
+   blur: {
+      defaults: { radius: 4 },
+      apply(post, input, output, options) {
+         post.blur(input, output, options.radius);
+      },
+   },
+
+   // Glow around bright pixels: luminance threshold (0-1), glow radius in
+   // CSS pixels and strength
+   bloom: {
+      defaults: { threshold: 0.6, radius: 12, strength: 1 },
+      apply(post, input, output, options) {
+         const bright = post.getTarget([input, output]);
+         post.draw("bright", input, bright, { uThreshold: options.threshold });
+
+         const glow = post.getTarget([input, output, bright]);
+         post.blur(bright, glow, options.radius, [input]);
+
+         post.draw(
+            "combine",
+            input,
+            output,
+            { uStrength: options.strength },
+            { uGlow: glow }
+         );
+      },
+   },
+
+   // Remove color, amount 1 fully and 0 not at all
+   grayscale: {
+      defaults: { amount: 1 },
+      shader: "grayscale",
+      uniforms: (options) => ({ uAmount: options.amount }),
+   },
+
+   // Brightness added to every channel (-1 to 1) and contrast scaling
+   // around mid gray (1 unchanged)
+   brightnessContrast: {
+      defaults: { brightness: 0, contrast: 1 },
+      shader: "brightnessContrast",
+      uniforms: (options) => ({
+         uBrightness: options.brightness,
+         uContrast: options.contrast,
+      }),
+   },
+
+   // Darker corners: strength (0-1) and where the darkening starts, as a
+   // fraction of the distance from the center to the corners
+   vignette: {
+      defaults: { strength: 0.5, radius: 0.5 },
+      shader: "vignette",
+      uniforms: (options) => ({
+         uStrength: options.strength,
+         uRadius: options.radius,
+      }),
+   },
+};
@@ -0,0 +1,169 @@
+/**
+ * WebGL Render Target
+ * An offscreen surface backed by a framebuffer and a texture, for
+ * WebGLDraw.createRenderTarget() and OptimizedWebGLRenderer.createRenderTarget()
+ *
+ * While a target is bound its renderer draws into the texture instead of
+ * the canvas. The texture can then be drawn like an image, with
+ * WebGLDraw.drawImage() or OptimizedWebGLRenderer.drawRenderTarget(), e.g.
+ * to reuse a static background every frame or to show a minimap. Like the canvas, the
+ * texture holds premultiplied colors with its bottom row first.
+ */
+
+class WebGLRenderTarget {
+   /**
+    * Create a target, use a renderer's createRenderTarget instead of calling
+    * this directly
+    * @param {WebGLRenderingContext} gl - Context the target belongs to
+    * @param {number} width - Width in drawing units, like CSS pixels
+    * @param {number} height - Height in drawing units
+    * @param {number} pixelRatio - Texture pixels per drawing unit
+    */
+   constructor(gl, width, height, pixelRatio = 1) {
+      if (!(width > 0 && height > 0)) {
+         throw new RangeError("Render target size must be positive");
+      }
+
+      this.gl = gl;
+      this.width = width;
+      this.height = height;
+      this.pixelRatio = pixelRatio;
+
+      // Filter last used to draw the texture, see WebGLDraw.drawImage()
+      this.smooth = true;
+
+      // Whether the target stands in for the canvas, as the scene of a
+      // WebGLPostProcess chain: it is then cleared to the background color
+      // and WebGLDraw records picks drawn on it
+      this.screen = false;
+
+      this.create();
+   }
+
+   /**
+    * Width of the texture in pixels
+    */
+   get pixelWidth() {
+      return Math.max(1, Math.round(this.width * this.pixelRatio));
+   }
+
+   /**
+    * Height of the texture in pixels
+    */
+   get pixelHeight() {
+      return Math.max(1, Math.round(this.height * this.pixelRatio));
+   }
+
+   /**
+    * Create the texture, the stencil buffer clipping needs and the
+    * framebuffer joining them
+    * A lost context takes these with it, so renderers call this again once
+    * it is restored; the target is transparent again afterwards.
+    */
+   create() {
+      const gl = this.gl;
+
+      this.texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this.texture);
+      gl.texImage2D(
+         gl.TEXTURE_2D,
+         0,
+         gl.RGBA,
+         this.pixelWidth,
+         this.pixelHeight,
+         0,
+         gl.RGBA,
+         gl.UNSIGNED_BYTE,
+         null
+      );
+
+      // Any size works in WebGL 1 without mipmaps and with clamping
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      this.smooth = true;
+
+      this.stencilBuffer = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, this.stencilBuffer);
+      gl.renderbufferStorage(
+         gl.RENDERBUFFER,
+         gl.STENCIL_INDEX8,
+         this.pixelWidth,
+         this.pixelHeight
+      );
+
+      // Leave whatever framebuffer the renderer had bound
+      const bound = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+      this.framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+      gl.framebufferTexture2D(
+         gl.FRAMEBUFFER,
+         gl.COLOR_ATTACHMENT0,
+         gl.TEXTURE_2D,
+         this.texture,
+         0
+      );
+      gl.framebufferRenderbuffer(
+         gl.FRAMEBUFFER,
+         gl.STENCIL_ATTACHMENT,
+         gl.RENDERBUFFER,
+         this.stencilBuffer
+      );
+
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, bound);
+      if (status !== gl.FRAMEBUFFER_COMPLETE && !gl.isContextLost()) {
+         throw new Error(`Render target framebuffer incomplete (${status})`);
+      }
+   }
+
+   /**
+    * Read the pixels back, e.g. to draw them with Canvas 2D or in another
+    * context
+    * This waits for the GPU, so it is too slow to do every frame.
+    * @returns {Object} Straight alpha RGBA pixels from the top row, as
+    *    { width, height, data } like ImageData
+    */
+   toImageData() {
+      const gl = this.gl;
+      const width = this.pixelWidth;
+      const height = this.pixelHeight;
+      const pixels = new Uint8Array(width * height * 4);
+
+      const bound = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, bound);
+
+      // Flip the rows and undo the premultiplication
+      const data = new Uint8ClampedArray(pixels.length);
+      const rowSize = width * 4;
+      for (let y = 0; y < height; y++) {
+         const from = (height - 1 - y) * rowSize;
+         const to = y * rowSize;
+         for (let x = 0; x < rowSize; x += 4) {
+            const alpha = pixels[from + x + 3];
+            const scale = alpha > 0 ? 255 / alpha : 0;
+            data[to + x] = pixels[from + x] * scale;
+            data[to + x + 1] = pixels[from + x + 1] * scale;
+            data[to + x + 2] = pixels[from + x + 2] * scale;
+            data[to + x + 3] = alpha;
+         }
+      }
+      return { width, height, data };
+   }
+
+   /**
+    * Free the texture, stencil buffer and framebuffer
+    * Renderers call this from deleteRenderTarget()
+    */
+   release() {
+      this.gl.deleteFramebuffer(this.framebuffer);
+      this.gl.deleteRenderbuffer(this.stencilBuffer);
+      this.gl.deleteTexture(this.texture);
+      this.framebuffer = null;
+      this.stencilBuffer = null;
+      this.texture = null;
+   }
+}
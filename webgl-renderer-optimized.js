@@ -6,18 +6,45 @@
 class OptimizedWebGLRenderer {
    constructor(canvas) {
       this.canvas = canvas;
-      this.gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+
+      // Coordinates are in CSS pixels, the backing store matches the screen
+      this.size = new CanvasSize(canvas);
+
+      // WebGL2 where available, WebGL1 otherwise
+      this.backend = WebGLBackend.create(canvas);
+      this.gl = this.backend && this.backend.gl;
 
       if (!this.gl) {
          console.error("WebGL not supported, falling back to Canvas 2D");
          return;
       }
 
+      // Stop drawing while the context is lost and rebuild when it is back
+      this.context = new WebGLContextMonitor(canvas, this.gl, {
+         lost: () => this.backend.contextLost(),
+         restored: () => this.restoreContext(),
+      });
+
       // Check for extension support
-      this.instancedArraysExt = this.gl.getExtension('ANGLE_instanced_arrays');
-      if (!this.instancedArraysExt) {
-         console.warn("ANGLE_instanced_arrays not supported, falling back to standard rendering");
-      }
+      this.initExtensions();
+
+      // Draw particles as smooth distance field quads instead of circle meshes
+      this.antialias = false;
+
+      // Remember the particles drawn since the last clear for pickAt()
+      this.picking = false;
+      this.pickBatches = [];
+
+      // Offscreen surface drawn on instead of the canvas, and every target still in use
+      this.renderTarget = null;
+      this.renderTargets = new Set();
+
+      // Custom shaders particles are drawn with instead of the built-in one, see setMaterial(), and every material still in use
+      this.material = null;
+      this.materials = new Set();
+
+      // Post-processing chains made by createPostProcess(), which destroy() takes down with it
+      this.postProcesses = new Set();
 
       // Initialize shaders
       this.initShaders();
@@ -25,103 +52,164 @@ class OptimizedWebGLRenderer {
       // Initialize buffers for instanced rendering
       this.initBuffers();
 
+      // Clear color and blending
+      this.blendMode = "source-over";
+      this.initContextState();
+   }
+
+   // Enable the extensions the shaders and instanced drawing rely on
+   initExtensions() {
+      // WebGL2 has instancing and derivatives built in, WebGL1 needs extensions
+      this.backend.initExtensions();
+      if (!this.backend.instancing) {
+         console.warn("ANGLE_instanced_arrays not supported, falling back to standard rendering");
+      }
+   }
+
+   // Set up the clear color and blending, which a new context resets
+   initContextState() {
       // Set clear color
       this.gl.clearColor(0.0, 0.0, 0.0, 1.0); // #000
 
       // Enable alpha blending
       this.gl.enable(this.gl.BLEND);
-      this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+      this.setBlendMode(this.blendMode);
    }
 
-   initShaders() {
-      // Vertex shader program with instancing support
-      const vsSource = `
-            attribute vec2 aVertexPosition;
-            attribute vec2 aInstancePosition;
-            attribute float aInstanceSize;
-            attribute vec4 aInstanceColor;
-            uniform vec2 uResolution;
-            
-            varying vec4 vColor;
-            
-            void main() {
-                // Scale the vertex by the instance size
-                vec2 position = aVertexPosition * aInstanceSize + aInstancePosition;
-                
-                // Convert from pixels to clip space
-                vec2 clipSpace = (position / uResolution) * 2.0 - 1.0;
-                gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
-                
-                // Pass color to fragment shader
-                vColor = aInstanceColor;
-            }
-        `;
+   // Recreate extensions, shaders, buffers, render targets and state once a lost context has been restored
+   restoreContext() {
+      this.initExtensions();
+      this.initShaders();
+      for (const material of this.materials) material.create();
+      this.initBuffers();
+      this.initContextState();
+      for (const target of this.renderTargets) target.create();
+      this.bindSurface();
+   }
+
+   // Free the program, buffers, meshes, render targets, materials and post-processing chains and stop listening to the canvas;
+   // every method throws afterwards
+   destroy() {
+      if (this.gl) {
+         for (const postProcess of this.postProcesses) postProcess.destroy();
+         for (const target of this.renderTargets) target.release();
+         for (const material of this.materials) material.release();
+
+         this.gl.deleteProgram(this.shaderProgram);
+         if (this.imageMaterial) this.imageMaterial.release();
+         if (this.imageVertexArray) this.backend.deleteVertexArray(this.imageVertexArray);
+         for (const mesh of [this.quadMesh, ...this.circleMeshes.values()]) {
+            this.gl.deleteBuffer(mesh.buffer);
+            if (mesh.vertexArray) this.backend.deleteVertexArray(mesh.vertexArray);
+         }
+         this.gl.deleteBuffer(this.instancePositionBuffer);
+         this.gl.deleteBuffer(this.instanceSizeBuffer);
+         this.gl.deleteBuffer(this.instanceColorBuffer);
+         this.context.destroy();
+      }
+
+      this.size.destroy();
+      WebGLResources.disable(this);
+   }
+
+   // Register a function to call when the context is lost
+   onContextLost(listener) {
+      this.context.addListener("lost", listener);
+   }
+
+   // Register a function to call once the context is restored, to redraw
+   onContextRestored(listener) {
+      this.context.addListener("restored", listener);
+   }
+
+   // Set how shapes drawn from now on combine with what is already drawn,
+   // mode is a Canvas 2D globalCompositeOperation value from BlendModes.modes
+   setBlendMode(mode) {
+      if (BlendModes.apply(this.gl, mode)) {
+         this.blendMode = mode;
+      }
+   }
 
-      // Fragment shader program
+   initShaders() {
+      // Fragment shader program, fed by OptimizedWebGLRenderer.vertexShader
       const fsSource = `
+            #ifdef GL_OES_standard_derivatives
+            #extension GL_OES_standard_derivatives : enable
+            #endif
+
             precision mediump float;
             varying vec4 vColor;
+            varying vec2 vLocal;
+            varying vec4 vShape;
             
+            ${SDFShapes.glsl}
+
             void main() {
-                gl_FragColor = vColor;
+                // Premultiplied, as the blend modes expect
+                float alpha = vColor.a * shapeCoverage(vLocal, vShape);
+                gl_FragColor = vec4(vColor.rgb * alpha, alpha);
             }
         `;
 
-      // Create the shader program
-      const vertexShader = this.compileShader(this.gl.VERTEX_SHADER, vsSource);
-      const fragmentShader = this.compileShader(this.gl.FRAGMENT_SHADER, fsSource);
+      // Create the shader program and look up its uniforms
+      const material = new WebGLMaterial(this.backend, { vertex: OptimizedWebGLRenderer.vertexShader, fragment: fsSource }, OptimizedWebGLRenderer.programLayout);
+      this.shaderProgram = material.program;
+      this.programInfo = material.programInfo;
 
-      this.shaderProgram = this.gl.createProgram();
-      this.gl.attachShader(this.shaderProgram, vertexShader);
-      this.gl.attachShader(this.shaderProgram, fragmentShader);
-      this.gl.linkProgram(this.shaderProgram);
+      // Program of drawRenderTarget(), compiled on first use
+      this.imageMaterial = null;
+   }
 
-      if (!this.gl.getProgramParameter(this.shaderProgram, this.gl.LINK_STATUS)) {
-         console.error(
-            "Unable to initialize the shader program: " +
-               this.gl.getProgramInfoLog(this.shaderProgram)
-         );
-         return;
+   // Compile a material from a fragment shader, and optionally a vertex shader, to draw particles with after setMaterial();
+   // see OptimizedWebGLRenderer.vertexShader for what the shaders receive
+   createMaterial(fragmentSource, options = {}) {
+      WebGLMaterial.checkOptions(options);
+      const material = new WebGLMaterial(this.backend, { vertex: options.vertex || OptimizedWebGLRenderer.vertexShader, fragment: fragmentSource }, OptimizedWebGLRenderer.programLayout);
+      if (options.uniforms) material.setUniforms(options.uniforms);
+      this.materials.add(material);
+      return material;
+   }
+
+   // Draw the following particles with a material, or with null the built-in shader again
+   setMaterial(material) {
+      if (material && !this.materials.has(material)) {
+         throw new Error("Material was deleted or belongs to another renderer");
       }
+      this.material = material;
+   }
 
-      // Get the attribute and uniform locations
-      this.programInfo = {
-         program: this.shaderProgram,
-         attribLocations: {
-            vertexPosition: this.gl.getAttribLocation(this.shaderProgram, "aVertexPosition"),
-            instancePosition: this.gl.getAttribLocation(this.shaderProgram, "aInstancePosition"),
-            instanceSize: this.gl.getAttribLocation(this.shaderProgram, "aInstanceSize"),
-            instanceColor: this.gl.getAttribLocation(this.shaderProgram, "aInstanceColor"),
-         },
-         uniformLocations: {
-            resolution: this.gl.getUniformLocation(this.shaderProgram, "uResolution"),
-         },
-      };
+   // Free a material, which cannot be used afterwards
+   deleteMaterial(material) {
+      if (!this.materials.delete(material)) return;
+      if (material === this.material) this.material = null;
+      material.release();
    }
 
-   compileShader(type, source) {
-      const shader = this.gl.createShader(type);
-      this.gl.shaderSource(shader, source);
-      this.gl.compileShader(shader);
+   initBuffers() {
+      // Unit circle meshes keyed by segment count, created on demand
+      this.circleMeshes = new Map();
 
-      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-         console.error(
-            "An error occurred compiling the shaders: " +
-               this.gl.getShaderInfoLog(shader)
-         );
-         this.gl.deleteShader(shader);
-         return null;
-      }
+      // Unit square drawn as a fan, for anti-aliased particles
+      this.quadBuffer = this.gl.createBuffer();
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.quadBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, 1, 1, -1, 1]), this.gl.STATIC_DRAW);
+      this.quadMesh = { buffer: this.quadBuffer, vertexCount: 4 };
+
+      // Create buffers for instance data
+      this.instancePositionBuffer = this.gl.createBuffer();
+      this.instanceSizeBuffer = this.gl.createBuffer();
+      this.instanceColorBuffer = this.gl.createBuffer();
 
-      return shader;
+      // Attribute setup of drawRenderTarget(), created on first use where the context has vertex arrays
+      this.imageVertexArray = null;
    }
 
-   initBuffers() {
-      // Create a buffer for the circle vertices
-      this.circleBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleBuffer);
+   // Get a unit circle mesh detailed enough for the given on-screen radius
+   getCircleMesh(radius) {
+      const segments = Tessellator.segmentsForRadius(radius);
+      let mesh = this.circleMeshes.get(segments);
+      if (mesh) return mesh;
 
-      const segments = 12;
       const vertices = [];
       
       // Center vertex
@@ -133,86 +221,187 @@ class OptimizedWebGLRenderer {
          vertices.push(Math.cos(theta), Math.sin(theta));
       }
       
+      const buffer = this.gl.createBuffer();
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
       this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(vertices), this.gl.STATIC_DRAW);
-      this.circleVertexCount = segments + 2; // Center + outer vertices
-      
-      // Create buffers for instance data
-      this.instancePositionBuffer = this.gl.createBuffer();
-      this.instanceSizeBuffer = this.gl.createBuffer();
-      this.instanceColorBuffer = this.gl.createBuffer();
+
+      mesh = { buffer, vertexCount: segments + 2 }; // Center + outer vertices
+      this.circleMeshes.set(segments, mesh);
+      return mesh;
    }
 
-   // Parse color string to RGBA array
+   // Parse any CSS color string to RGBA array, memoized across frames
    parseColor(color) {
-      // Handle HSL format
-      if (color.startsWith('hsl')) {
-         const match = color.match(/hsl\(([\d.]+)\s*,\s*(\d+)%\s*,\s*(\d+)%\)/);
-         if (match) {
-            const h = parseFloat(match[1]) / 360;
-            const s = parseInt(match[2]) / 100;
-            const l = parseInt(match[3]) / 100;
-            
-            // Convert HSL to RGB
-            let r, g, b;
-            
-            if (s === 0) {
-               r = g = b = l; // achromatic
-            } else {
-               const hue2rgb = (p, q, t) => {
-                  if (t < 0) t += 1;
-                  if (t > 1) t -= 1;
-                  if (t < 1/6) return p + (q - p) * 6 * t;
-                  if (t < 1/2) return q;
-                  if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-                  return p;
-               };
-               
-               const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-               const p = 2 * l - q;
-               
-               r = hue2rgb(p, q, h + 1/3);
-               g = hue2rgb(p, q, h);
-               b = hue2rgb(p, q, h - 1/3);
-            }
-            
-            return [r, g, b, 1.0];
-         }
-      }
-      
-      // Handle hex format
-      if (color.startsWith("#")) {
-         const r = parseInt(color.slice(1, 3), 16) / 255;
-         const g = parseInt(color.slice(3, 5), 16) / 255;
-         const b = parseInt(color.slice(5, 7), 16) / 255;
-         return [r, g, b, 1.0];
-      }
-      
-      return [0, 0, 0, 1.0]; // Default black
+      return WebGLColor.parse(color) || [0, 0, 0, 1.0]; // Default black
    }
 
    clear() {
-      // Set viewport to match canvas dimensions
-      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+      // Set viewport to match the backing store, or the bound render target
+      this.bindSurface();
       // Enable depth testing for proper clearing
       this.gl.enable(this.gl.DEPTH_TEST);
-      // Clear both color and depth buffers
+      // Clear both color and depth buffers, render targets to transparent so they can be drawn over other content
+      if (this.renderTarget && !this.renderTarget.screen) {
+         this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
+         this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+         this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
+         return;
+      }
       this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+      this.pickBatches = [];
+   }
+
+   // Surface particles are drawn on: the bound render target, or the canvas
+   get surface() {
+      return this.renderTarget || this.size;
+   }
+
+   // Create an offscreen surface of the given size in CSS pixels, see WebGLRenderTarget
+   createRenderTarget(width, height, options = {}) {
+      const target = new WebGLRenderTarget(this.gl, width, height, options.pixelRatio || this.size.pixelRatio);
+      this.renderTargets.add(target);
+      return target;
+   }
+
+   // Draw on a render target from now on, or on the canvas again with null
+   setRenderTarget(target) {
+      if (target && !this.renderTargets.has(target)) {
+         throw new Error("Render target was deleted or belongs to another renderer");
+      }
+      this.renderTarget = target;
+      this.bindSurface();
+   }
+
+   // Free a render target, which cannot be used afterwards
+   deleteRenderTarget(target) {
+      if (!this.renderTargets.delete(target)) return;
+      if (target === this.renderTarget) this.setRenderTarget(null);
+      target.release();
+   }
+
+   // Draw a render target as an image, e.g. a cached background or a minimap; the rectangle is in CSS pixels,
+   // the target's own size by default, and alpha fades the whole image
+   drawRenderTarget(target, x = 0, y = 0, width = target.width, height = target.height, alpha = 1) {
+      if (!this.renderTargets.has(target)) {
+         throw new Error("Render target was deleted or belongs to another renderer");
+      }
+      if (target === this.renderTarget) {
+         throw new Error("Render target cannot be drawn while it is bound");
+      }
+
+      // Nothing can be drawn until a lost context is restored
+      if (this.context.lost) return;
+
+      if (!this.imageMaterial) this.imageMaterial = this.createImageMaterial();
+      const programInfo = this.imageMaterial.programInfo;
+      this.gl.useProgram(programInfo.program);
+      this.gl.uniform2f(programInfo.uniformLocations.resolution, this.surface.width, this.surface.height);
+      this.gl.uniform4f(programInfo.uniformLocations.rect, x, y, width, height);
+      this.gl.uniform1f(programInfo.uniformLocations.alpha, alpha);
+      this.gl.activeTexture(this.gl.TEXTURE0);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, target.texture);
+      this.gl.uniform1i(programInfo.uniformLocations.sampler, 0);
+
+      // The unit quad, without the instance attributes of the particle meshes
+      if (this.backend.vertexArrays) {
+         if (!this.imageVertexArray) {
+            this.imageVertexArray = this.backend.createVertexArray();
+            this.backend.bindVertexArray(this.imageVertexArray);
+            this.setImageAttributes();
+         }
+         this.backend.bindVertexArray(this.imageVertexArray);
+      } else {
+         this.setImageAttributes();
+      }
+
+      // Images are drawn over everything, whatever the depth buffer holds
+      const depthTest = this.gl.isEnabled(this.gl.DEPTH_TEST);
+      this.gl.disable(this.gl.DEPTH_TEST);
+      this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, this.quadMesh.vertexCount);
+      if (depthTest) this.gl.enable(this.gl.DEPTH_TEST);
+
+      if (this.backend.vertexArrays) {
+         this.backend.bindVertexArray(null);
+      } else {
+         this.gl.disableVertexAttribArray(this.imageMaterial.programInfo.attribLocations.vertexPosition);
+      }
+   }
+
+   // Compile the program drawing render targets as textured rectangles
+   createImageMaterial() {
+      const imageFsSource = `
+            precision mediump float;
+            uniform sampler2D uSampler;
+            uniform float uAlpha;
+            varying vec2 vTextureCoord;
+
+            void main() {
+                // Targets hold premultiplied colors, as the blend modes expect
+                gl_FragColor = texture2D(uSampler, vTextureCoord) * uAlpha;
+            }
+        `;
+      return new WebGLMaterial(this.backend, { vertex: OptimizedWebGLRenderer.imageVertexShader, fragment: imageFsSource }, OptimizedWebGLRenderer.imageLayout);
+   }
+
+   // Point the position attribute of the image program at the unit quad
+   setImageAttributes() {
+      const location = this.imageMaterial.programInfo.attribLocations.vertexPosition;
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.quadBuffer);
+      this.gl.enableVertexAttribArray(location);
+      this.gl.vertexAttribPointer(location, 2, this.gl.FLOAT, false, 0, 0);
+   }
+
+   // Create a chain of full-screen effects such as bloom for the particles drawn between its begin() and end(), see WebGLPostProcess
+   createPostProcess() {
+      const postProcess = new WebGLPostProcess(this);
+      this.postProcesses.add(postProcess);
+      return postProcess;
+   }
+
+   // Bind the framebuffer and viewport of the current surface
+   bindSurface() {
+      const target = this.renderTarget;
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, target ? target.framebuffer : null);
+      this.gl.viewport(0, 0, target ? target.pixelWidth : this.canvas.width, target ? target.pixelHeight : this.canvas.height);
+   }
+
+   // Find the particle under a point in CSS pixels, the topmost one drawn since the last clear, or null
+   pickAt(x, y) {
+      for (let b = this.pickBatches.length - 1; b >= 0; b--) {
+         const { particles, positions, sizes } = this.pickBatches[b];
+         for (let i = particles.length - 1; i >= 0; i--) {
+            const dx = x - positions[i * 2];
+            const dy = y - positions[i * 2 + 1];
+            if (dx * dx + dy * dy <= sizes[i] * sizes[i]) return particles[i];
+         }
+      }
+      return null;
    }
 
    // Draw multiple particles efficiently using instanced rendering
    drawParticles(particles) {
       if (!particles || particles.length === 0) return;
+
+      // Nothing can be drawn until a lost context is restored
+      if (this.context.lost) return;
+
+      // Reading the target being drawn on is a feedback loop WebGL rejects
+      if (this.material && this.material.samples(this.renderTarget)) {
+         throw new Error("Material samples the render target being drawn on");
+      }
       
       // Extract particle data for instanced rendering
       const positions = new Float32Array(particles.length * 2);
       const sizes = new Float32Array(particles.length);
       const colors = new Float32Array(particles.length * 4);
+      let maxSize = 0;
       
       for (let i = 0; i < particles.length; i++) {
          const particle = particles[i];
          positions[i * 2] = particle.x;
          positions[i * 2 + 1] = particle.y;
          sizes[i] = particle.size;
+         maxSize = Math.max(maxSize, particle.size);
          
          const color = this.parseColor(particle.color);
          colors[i * 4] = color[0];
@@ -220,19 +409,102 @@ class OptimizedWebGLRenderer {
          colors[i * 4 + 2] = color[2];
          colors[i * 4 + 3] = color[3];
       }
+
+      // Particles keep moving after they are drawn, so picking uses the drawn positions
+      if (this.picking && (!this.renderTarget || this.renderTarget.screen)) {
+         this.pickBatches.push({ particles: particles.slice(), positions, sizes });
+      }
       
-      // Use the shader program
-      this.gl.useProgram(this.programInfo.program);
+      // Use the shader program, the material's if one is set
+      const programInfo = this.material ? this.material.programInfo : this.programInfo;
+      this.gl.useProgram(programInfo.program);
       
       // Set the resolution uniform
       this.gl.uniform2f(
-         this.programInfo.uniformLocations.resolution,
-         this.canvas.width,
-         this.canvas.height
+         programInfo.uniformLocations.resolution,
+         this.surface.width,
+         this.surface.height
       );
       
-      // Set up the circle vertex positions
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.circleBuffer);
+      // Anti-aliased particles are circles cut out of quads by the fragment shader
+      const shapeKind = this.antialias ? SDFShapes.kinds.ellipse : SDFShapes.kinds.none;
+      this.gl.uniform1f(programInfo.uniformLocations.shapeKind, shapeKind);
+      this.gl.uniform1f(programInfo.uniformLocations.padding, this.antialias ? 1 / this.surface.pixelRatio : 0);
+
+      // Values and textures of the material's own uniforms
+      if (this.material) this.material.apply();
+
+      // Upload the instance data
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instancePositionBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.DYNAMIC_DRAW);
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceSizeBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, sizes, this.gl.DYNAMIC_DRAW);
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceColorBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, colors, this.gl.DYNAMIC_DRAW);
+
+      // Circle mesh detailed enough for the largest particle
+      const circleMesh = this.antialias ? this.quadMesh : this.getCircleMesh(maxSize * this.surface.pixelRatio);
+
+      if (this.backend.instancing) {
+         // Vertex arrays keep each mesh's attribute setup between frames
+         if (this.backend.vertexArrays) {
+            this.backend.bindVertexArray(this.getVertexArray(circleMesh));
+         } else {
+            this.setAttributes(circleMesh, 1);
+         }
+
+         // Draw all particles in one instanced call
+         this.backend.drawArraysInstanced(
+            this.gl.TRIANGLE_FAN,
+            0,
+            circleMesh.vertexCount,
+            particles.length
+         );
+
+         if (this.backend.vertexArrays) {
+            this.backend.bindVertexArray(null);
+         } else {
+            this.resetAttributes();
+         }
+      } else {
+         // Fallback for browsers without instanced arrays support
+         // This is less efficient but will still work
+         this.setAttributes(circleMesh, 0);
+         for (let i = 0; i < particles.length; i++) {
+            // Update instance position
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instancePositionBuffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([positions[i*2], positions[i*2+1]]), this.gl.DYNAMIC_DRAW);
+            
+            // Update instance size
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceSizeBuffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([sizes[i]]), this.gl.DYNAMIC_DRAW);
+            
+            // Update instance color
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceColorBuffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([colors[i*4], colors[i*4+1], colors[i*4+2], colors[i*4+3]]), this.gl.DYNAMIC_DRAW);
+            
+            // Draw one particle
+            this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, circleMesh.vertexCount);
+         }
+         this.resetAttributes();
+      }
+   }
+
+   // Get a vertex array with the attributes for drawing instances of a mesh, created on first use
+   getVertexArray(mesh) {
+      if (!mesh.vertexArray) {
+         mesh.vertexArray = this.backend.createVertexArray();
+         this.backend.bindVertexArray(mesh.vertexArray);
+         this.setAttributes(mesh, 1);
+         this.backend.bindVertexArray(null);
+      }
+      return mesh.vertexArray;
+   }
+
+   // Point the attributes at a mesh and the instance buffers, divisor 1 advances instance data per particle
+   setAttributes(mesh, divisor) {
+      // Circle vertex positions
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, mesh.buffer);
       this.gl.enableVertexAttribArray(this.programInfo.attribLocations.vertexPosition);
       this.gl.vertexAttribPointer(
          this.programInfo.attribLocations.vertexPosition,
@@ -243,9 +515,8 @@ class OptimizedWebGLRenderer {
          0
       );
       
-      // Set up instance positions
+      // Instance positions
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instancePositionBuffer);
-      this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.DYNAMIC_DRAW);
       this.gl.enableVertexAttribArray(this.programInfo.attribLocations.instancePosition);
       this.gl.vertexAttribPointer(
          this.programInfo.attribLocations.instancePosition,
@@ -256,9 +527,8 @@ class OptimizedWebGLRenderer {
          0
       );
       
-      // Set up instance sizes
+      // Instance sizes
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceSizeBuffer);
-      this.gl.bufferData(this.gl.ARRAY_BUFFER, sizes, this.gl.DYNAMIC_DRAW);
       this.gl.enableVertexAttribArray(this.programInfo.attribLocations.instanceSize);
       this.gl.vertexAttribPointer(
          this.programInfo.attribLocations.instanceSize,
@@ -269,9 +539,8 @@ class OptimizedWebGLRenderer {
          0
       );
       
-      // Set up instance colors
+      // Instance colors
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceColorBuffer);
-      this.gl.bufferData(this.gl.ARRAY_BUFFER, colors, this.gl.DYNAMIC_DRAW);
       this.gl.enableVertexAttribArray(this.programInfo.attribLocations.instanceColor);
       this.gl.vertexAttribPointer(
          this.programInfo.attribLocations.instanceColor,
@@ -281,47 +550,21 @@ class OptimizedWebGLRenderer {
          0,
          0
       );
-      
-      if (this.instancedArraysExt) {
-         // Set up instanced attributes
-         this.instancedArraysExt.vertexAttribDivisorANGLE(this.programInfo.attribLocations.instancePosition, 1);
-         this.instancedArraysExt.vertexAttribDivisorANGLE(this.programInfo.attribLocations.instanceSize, 1);
-         this.instancedArraysExt.vertexAttribDivisorANGLE(this.programInfo.attribLocations.instanceColor, 1);
-         
-         // Draw all particles in one instanced call
-         this.instancedArraysExt.drawArraysInstancedANGLE(
-            this.gl.TRIANGLE_FAN,
-            0,
-            this.circleVertexCount,
-            particles.length
-         );
-         
-         // Reset attribute divisors
-         this.instancedArraysExt.vertexAttribDivisorANGLE(this.programInfo.attribLocations.instancePosition, 0);
-         this.instancedArraysExt.vertexAttribDivisorANGLE(this.programInfo.attribLocations.instanceSize, 0);
-         this.instancedArraysExt.vertexAttribDivisorANGLE(this.programInfo.attribLocations.instanceColor, 0);
-      } else {
-         // Fallback for browsers without instanced arrays support
-         // This is less efficient but will still work
-         for (let i = 0; i < particles.length; i++) {
-            // Update instance position
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instancePositionBuffer);
-            this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([positions[i*2], positions[i*2+1]]), this.gl.DYNAMIC_DRAW);
-            
-            // Update instance size
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceSizeBuffer);
-            this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([sizes[i]]), this.gl.DYNAMIC_DRAW);
-            
-            // Update instance color
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.instanceColorBuffer);
-            this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([colors[i*4], colors[i*4+1], colors[i*4+2], colors[i*4+3]]), this.gl.DYNAMIC_DRAW);
-            
-            // Draw one particle
-            this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, this.circleVertexCount);
-         }
+
+      if (this.backend.instancing) {
+         this.backend.vertexAttribDivisor(this.programInfo.attribLocations.instancePosition, divisor);
+         this.backend.vertexAttribDivisor(this.programInfo.attribLocations.instanceSize, divisor);
+         this.backend.vertexAttribDivisor(this.programInfo.attribLocations.instanceColor, divisor);
+      }
+   }
+
+   // Return the default attribute state to how setAttributes() found it
+   resetAttributes() {
+      if (this.backend.instancing) {
+         this.backend.vertexAttribDivisor(this.programInfo.attribLocations.instancePosition, 0);
+         this.backend.vertexAttribDivisor(this.programInfo.attribLocations.instanceSize, 0);
+         this.backend.vertexAttribDivisor(this.programInfo.attribLocations.instanceColor, 0);
       }
-      
-      // Clean up
       this.gl.disableVertexAttribArray(this.programInfo.attribLocations.vertexPosition);
       this.gl.disableVertexAttribArray(this.programInfo.attribLocations.instancePosition);
       this.gl.disableVertexAttribArray(this.programInfo.attribLocations.instanceSize);
@@ -330,6 +573,8 @@ class OptimizedWebGLRenderer {
 
    // Legacy method for compatibility
    fillCircle(x, y, radius, color) {
+      if (this.context.lost) return;
+
       const rgba = this.parseColor(color);
 
       // Create buffer and bind it
@@ -337,7 +582,7 @@ class OptimizedWebGLRenderer {
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
 
       // Define vertices for the circle
-      const segments = 12; // Reduced from 30 for better performance
+      const segments = Tessellator.segmentsForRadius(radius * this.surface.pixelRatio);
       const positions = [x, y]; // Center point
 
       for (let i = 0; i <= segments; i++) {
@@ -374,13 +619,17 @@ class OptimizedWebGLRenderer {
       // Set the resolution
       this.gl.uniform2f(
          this.programInfo.uniformLocations.resolution,
-         this.canvas.width,
-         this.canvas.height
+         this.surface.width,
+         this.surface.height
       );
 
       // Set the color
       this.gl.uniform4fv(this.programInfo.uniformLocations.color, rgba);
 
+      // The mesh is the circle itself, so no distance field cut out
+      this.gl.uniform1f(this.programInfo.uniformLocations.shapeKind, SDFShapes.kinds.none);
+      this.gl.uniform1f(this.programInfo.uniformLocations.padding, 0);
+
       // Draw the circle as a triangle fan
       this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, segments + 2);
 
@@ -392,4 +641,86 @@ class OptimizedWebGLRenderer {
    }
 
    // Other methods from the original renderer can be added here if needed
-}
\ No newline at end of file
+}
+
+// Vertex shader of the built-in program, and the default for materials: fragment shaders get the particle color as vColor,
+// straight alpha, the position in the particle's frame as vLocal, and its circle as an SDFShapes shape in vShape
+OptimizedWebGLRenderer.vertexShader = `
+            attribute vec2 aVertexPosition;
+            attribute vec2 aInstancePosition;
+            attribute float aInstanceSize;
+            attribute vec4 aInstanceColor;
+            uniform vec2 uResolution;
+            uniform float uShapeKind;
+            uniform float uPadding;
+            
+            varying vec4 vColor;
+            varying vec2 vLocal;
+            varying vec4 vShape;
+            
+            void main() {
+                // Scale the vertex by the instance size, plus room for a soft edge
+                vec2 local = aVertexPosition * (aInstanceSize + uPadding);
+                vec2 position = local + aInstancePosition;
+                
+                // Convert from pixels to clip space
+                vec2 clipSpace = (position / uResolution) * 2.0 - 1.0;
+                gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
+                
+                // Pass color and the circle around the particle center to fragment shader
+                vColor = aInstanceColor;
+                vLocal = local;
+                vShape = vec4(uShapeKind, aInstanceSize, aInstanceSize, 0.0);
+            }
+`;
+
+// Attributes and renderer-set uniforms shared by the built-in program and every material,
+// with attributes bound to fixed locations so the vertex arrays of the meshes serve every program
+OptimizedWebGLRenderer.programLayout = {
+   attributes: {
+      vertexPosition: ["aVertexPosition", 0],
+      instancePosition: ["aInstancePosition", 1],
+      instanceSize: ["aInstanceSize", 2],
+      instanceColor: ["aInstanceColor", 3],
+   },
+   uniforms: {
+      resolution: "uResolution",
+      shapeKind: "uShapeKind",
+      padding: "uPadding",
+   },
+};
+
+// Vertex shader of drawRenderTarget(), which stretches the unit quad over a rectangle in CSS pixels
+OptimizedWebGLRenderer.imageVertexShader = `
+            attribute vec2 aVertexPosition;
+            uniform vec2 uResolution;
+            uniform vec4 uRect;
+            
+            varying vec2 vTextureCoord;
+            
+            void main() {
+                // Corner of the rectangle, 0 to 1 from the top-left
+                vec2 corner = aVertexPosition * 0.5 + 0.5;
+                vec2 position = uRect.xy + corner * uRect.zw;
+                
+                // Convert from pixels to clip space
+                vec2 clipSpace = (position / uResolution) * 2.0 - 1.0;
+                gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
+                
+                // Targets hold their bottom row first
+                vTextureCoord = vec2(corner.x, 1.0 - corner.y);
+            }
+`;
+
+// Attribute and uniforms of the drawRenderTarget() program
+OptimizedWebGLRenderer.imageLayout = {
+   attributes: {
+      vertexPosition: ["aVertexPosition", 0],
+   },
+   uniforms: {
+      resolution: "uResolution",
+      rect: "uRect",
+      alpha: "uAlpha",
+      sampler: "uSampler",
+   },
+};
@@ -6,152 +6,191 @@
 class WebGLRenderer {
    constructor(canvas) {
       this.canvas = canvas;
-      this.gl =
-         canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+
+      // Coordinates are in CSS pixels, the backing store matches the screen
+      this.size = new CanvasSize(canvas);
+
+      // WebGL2 where available, WebGL1 otherwise
+      this.backend = WebGLBackend.create(canvas);
+      this.gl = this.backend && this.backend.gl;
 
       if (!this.gl) {
          console.error("WebGL not supported, falling back to Canvas 2D");
          return;
       }
 
-      // Initialize shaders
+      // Render into the whole backing store whenever it is resized
+      this.size.addListener(() =>
+         this.gl.viewport(0, 0, this.canvas.width, this.canvas.height)
+      );
+
+      // Stop drawing while the context is lost and rebuild when it is back
+      this.context = new WebGLContextMonitor(canvas, this.gl, {
+         lost: () => this.backend.contextLost(),
+         restored: () => this.restoreContext(),
+      });
+
+      // Custom shaders shapes are drawn with instead of the built-in one,
+      // see setMaterial(), and every material still in use
+      this.material = null;
+      this.materials = new Set();
+
+      // Initialize shaders and buffers
       this.initShaders();
+      this.initBuffers();
 
+      // Clear color and blending
+      this.blendMode = "source-over";
+      this.initContextState();
+   }
+
+   // Set up the clear color and blending, which a new context resets
+   initContextState() {
       // Set clear color
       this.gl.clearColor(0.133, 0.133, 0.133, 1.0); // #222222
 
       // Enable alpha blending
       this.gl.enable(this.gl.BLEND);
-      this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+      this.setBlendMode(this.blendMode);
    }
 
-   initShaders() {
-      // Vertex shader program
-      const vsSource = `
-            attribute vec4 aVertexPosition;
-            uniform vec2 uResolution;
-            
-            void main() {
-                // Convert from pixels to clip space
-                vec2 clipSpace = (aVertexPosition.xy / uResolution) * 2.0 - 1.0;
-                gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
-            }
-        `;
+   // Recreate the shaders, buffers and state once a lost context is restored
+   restoreContext() {
+      this.backend.initExtensions();
+      this.initShaders();
+      for (const material of this.materials) {
+         material.create();
+      }
+      this.initBuffers();
+      this.initContextState();
+      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+   }
 
+   // Free the program, buffer and materials and stop listening to the
+   // canvas; every method throws afterwards
+   destroy() {
+      if (this.gl) {
+         for (const material of this.materials) {
+            material.release();
+         }
+         this.gl.deleteProgram(this.shaderProgram);
+         this.gl.deleteBuffer(this.positionBuffer);
+         if (this.vertexArray) {
+            this.backend.deleteVertexArray(this.vertexArray);
+         }
+         this.context.destroy();
+      }
+
+      this.size.destroy();
+      WebGLResources.disable(this);
+   }
+
+   // Register a function to call when the context is lost
+   onContextLost(listener) {
+      this.context.addListener("lost", listener);
+   }
+
+   // Register a function to call once the context is restored, to redraw
+   onContextRestored(listener) {
+      this.context.addListener("restored", listener);
+   }
+
+   // Set how shapes drawn from now on combine with what is already drawn,
+   // mode is a Canvas 2D globalCompositeOperation value from BlendModes.modes
+   setBlendMode(mode) {
+      if (BlendModes.apply(this.gl, mode)) {
+         this.blendMode = mode;
+      }
+   }
+
+   initShaders() {
       // Fragment shader program
       const fsSource = `
             precision mediump float;
             uniform vec4 uColor;
             
             void main() {
-                gl_FragColor = uColor;
+                // Premultiplied, as the blend modes expect
+                gl_FragColor = vec4(uColor.rgb * uColor.a, uColor.a);
             }
         `;
 
-      // Create the shader program
-      const vertexShader = this.compileShader(this.gl.VERTEX_SHADER, vsSource);
-      const fragmentShader = this.compileShader(
-         this.gl.FRAGMENT_SHADER,
-         fsSource
+      // Create the shader program and look up its uniforms
+      const material = new WebGLMaterial(
+         this.backend,
+         { vertex: WebGLRenderer.vertexShader, fragment: fsSource },
+         WebGLRenderer.programLayout
       );
+      this.shaderProgram = material.program;
+      this.programInfo = material.programInfo;
+   }
 
-      this.shaderProgram = this.gl.createProgram();
-      this.gl.attachShader(this.shaderProgram, vertexShader);
-      this.gl.attachShader(this.shaderProgram, fragmentShader);
-      this.gl.linkProgram(this.shaderProgram);
-
-      if (
-         !this.gl.getProgramParameter(this.shaderProgram, this.gl.LINK_STATUS)
-      ) {
-         console.error(
-            "Unable to initialize the shader program: " +
-               this.gl.getProgramInfoLog(this.shaderProgram)
-         );
-         return;
-      }
-
-      // Get the attribute and uniform locations
-      this.programInfo = {
-         program: this.shaderProgram,
-         attribLocations: {
-            vertexPosition: this.gl.getAttribLocation(
-               this.shaderProgram,
-               "aVertexPosition"
-            ),
-         },
-         uniformLocations: {
-            resolution: this.gl.getUniformLocation(
-               this.shaderProgram,
-               "uResolution"
-            ),
-            color: this.gl.getUniformLocation(this.shaderProgram, "uColor"),
+   // Compile a material from a fragment shader, and optionally a vertex
+   // shader, to draw shapes with after setMaterial(); see
+   // WebGLRenderer.vertexShader for what the shaders receive
+   createMaterial(fragmentSource, options = {}) {
+      WebGLMaterial.checkOptions(options);
+      const material = new WebGLMaterial(
+         this.backend,
+         {
+            vertex: options.vertex || WebGLRenderer.vertexShader,
+            fragment: fragmentSource,
          },
-      };
+         WebGLRenderer.programLayout
+      );
+      if (options.uniforms) {
+         material.setUniforms(options.uniforms);
+      }
+      this.materials.add(material);
+      return material;
    }
 
-   compileShader(type, source) {
-      const shader = this.gl.createShader(type);
-      this.gl.shaderSource(shader, source);
-      this.gl.compileShader(shader);
-
-      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-         console.error(
-            "An error occurred compiling the shaders: " +
-               this.gl.getShaderInfoLog(shader)
-         );
-         this.gl.deleteShader(shader);
-         return null;
+   // Draw the following shapes with a material, or with null the built-in
+   // shader again
+   setMaterial(material) {
+      if (material && !this.materials.has(material)) {
+         throw new Error("Material was deleted or belongs to another renderer");
       }
+      this.material = material;
+   }
 
-      return shader;
+   // Free a material, which cannot be used afterwards
+   deleteMaterial(material) {
+      if (!this.materials.delete(material)) {
+         return;
+      }
+      if (material === this.material) {
+         this.material = null;
+      }
+      material.release();
    }
 
    clear() {
       this.gl.clear(this.gl.COLOR_BUFFER_BIT);
    }
 
-   // Convert color from hex to normalized rgba
+   // Convert any CSS color to normalized rgba
    colorToRGBA(color) {
-      if (color.startsWith("#")) {
-         const r = parseInt(color.slice(1, 3), 16) / 255;
-         const g = parseInt(color.slice(3, 5), 16) / 255;
-         const b = parseInt(color.slice(5, 7), 16) / 255;
-         return [r, g, b, 1.0];
-      }
-      return [0, 0, 0, 1.0]; // Default black
+      return WebGLColor.parse(color) || [0, 0, 0, 1.0]; // Default black
    }
 
-   // Draw a filled rectangle
-   fillRect(x, y, width, height, color) {
-      const rgba = this.colorToRGBA(color);
-
-      // Create buffer and bind it
-      const positionBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
-
-      // Define vertices for the rectangle
-      const positions = [
-         x,
-         y,
-         x + width,
-         y,
-         x,
-         y + height,
-         x + width,
-         y + height,
-      ];
-
-      // Pass the positions to WebGL
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Use the shader program
-      this.gl.useProgram(this.programInfo.program);
+   // Create the buffer shapes are streamed through, and a vertex array
+   // holding its attribute setup where the context has them
+   initBuffers() {
+      this.positionBuffer = this.gl.createBuffer();
+      this.vertexArray = null;
+
+      if (this.backend.vertexArrays) {
+         this.vertexArray = this.backend.createVertexArray();
+         this.backend.bindVertexArray(this.vertexArray);
+         this.setAttributes();
+         this.backend.bindVertexArray(null);
+      }
+   }
 
-      // Set the attributes and uniforms
+   // Point the position attribute at the position buffer
+   setAttributes() {
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
       this.gl.enableVertexAttribArray(
          this.programInfo.attribLocations.vertexPosition
       );
@@ -163,25 +202,81 @@ class WebGLRenderer {
          0,
          0
       );
+   }
+
+   // Draw pixel positions in one color, mode is a WebGL primitive type
+   drawVertices(positions, mode, color) {
+      const rgba = this.colorToRGBA(color);
+
+      // Pass the positions to WebGL
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
+      this.gl.bufferData(
+         this.gl.ARRAY_BUFFER,
+         new Float32Array(positions),
+         this.gl.DYNAMIC_DRAW
+      );
+
+      // Use the shader program, the material's if one is set
+      const programInfo = this.material
+         ? this.material.programInfo
+         : this.programInfo;
+      this.gl.useProgram(programInfo.program);
+
+      // The vertex array already holds the attribute setup
+      if (this.vertexArray) {
+         this.backend.bindVertexArray(this.vertexArray);
+      } else {
+         this.setAttributes();
+      }
 
       // Set the resolution
       this.gl.uniform2f(
-         this.programInfo.uniformLocations.resolution,
-         this.canvas.width,
-         this.canvas.height
+         programInfo.uniformLocations.resolution,
+         this.size.width,
+         this.size.height
       );
 
       // Set the color
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, rgba);
+      this.gl.uniform4fv(programInfo.uniformLocations.color, rgba);
 
-      // Draw the rectangle
-      this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+      // Values and textures of the material's own uniforms
+      if (this.material) {
+         this.material.apply();
+      }
+
+      this.gl.drawArrays(mode, 0, positions.length / 2);
 
       // Clean up
-      this.gl.disableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-      this.gl.deleteBuffer(positionBuffer);
+      if (this.vertexArray) {
+         this.backend.bindVertexArray(null);
+      } else {
+         this.gl.disableVertexAttribArray(
+            this.programInfo.attribLocations.vertexPosition
+         );
+      }
+   }
+
+   // Draw a filled rectangle
+   fillRect(x, y, width, height, color) {
+      // Nothing can be drawn until a lost context is restored
+      if (this.context.lost) {
+         return;
+      }
+
+      // Define vertices for the rectangle
+      const positions = [
+         x,
+         y,
+         x + width,
+         y,
+         x,
+         y + height,
+         x + width,
+         y + height,
+      ];
+
+      // Draw the rectangle
+      this.drawVertices(positions, this.gl.TRIANGLE_STRIP, color);
    }
 
    // Draw a rounded rectangle
@@ -193,14 +288,15 @@ class WebGLRenderer {
 
    // Draw a circle
    fillCircle(x, y, radius, color) {
-      const rgba = this.colorToRGBA(color);
-
-      // Create buffer and bind it
-      const positionBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
+      // Nothing can be drawn until a lost context is restored
+      if (this.context.lost) {
+         return;
+      }
 
       // Define vertices for the circle
-      const segments = 30; // Number of segments to approximate the circle
+      const segments = Tessellator.segmentsForRadius(
+         radius * this.size.pixelRatio
+      );
       const positions = [x, y]; // Center point
 
       for (let i = 0; i <= segments; i++) {
@@ -211,103 +307,47 @@ class WebGLRenderer {
          );
       }
 
-      // Pass the positions to WebGL
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Use the shader program
-      this.gl.useProgram(this.programInfo.program);
-
-      // Set the attributes and uniforms
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-
-      // Set the resolution
-      this.gl.uniform2f(
-         this.programInfo.uniformLocations.resolution,
-         this.canvas.width,
-         this.canvas.height
-      );
-
-      // Set the color
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, rgba);
-
       // Draw the circle as a triangle fan
-      this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, segments + 2);
-
-      // Clean up
-      this.gl.disableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-      this.gl.deleteBuffer(positionBuffer);
+      this.drawVertices(positions, this.gl.TRIANGLE_FAN, color);
    }
 
    // Draw a line
    drawLine(x1, y1, x2, y2, width, color) {
-      const rgba = this.colorToRGBA(color);
-
-      // Create buffer and bind it
-      const positionBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
-
-      // Define vertices for the line
-      const positions = [x1, y1, x2, y2];
-
-      // Pass the positions to WebGL
-      this.gl.bufferData(
-         this.gl.ARRAY_BUFFER,
-         new Float32Array(positions),
-         this.gl.STATIC_DRAW
-      );
-
-      // Use the shader program
-      this.gl.useProgram(this.programInfo.program);
-
-      // Set the attributes and uniforms
-      this.gl.enableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-      this.gl.vertexAttribPointer(
-         this.programInfo.attribLocations.vertexPosition,
-         2, // 2 components per vertex
-         this.gl.FLOAT,
-         false,
-         0,
-         0
-      );
-
-      // Set the resolution
-      this.gl.uniform2f(
-         this.programInfo.uniformLocations.resolution,
-         this.canvas.width,
-         this.canvas.height
-      );
-
-      // Set the color
-      this.gl.uniform4fv(this.programInfo.uniformLocations.color, rgba);
+      // Nothing can be drawn until a lost context is restored
+      if (this.context.lost) {
+         return;
+      }
 
       // Set line width
       this.gl.lineWidth(width);
 
       // Draw the line
-      this.gl.drawArrays(this.gl.LINES, 0, 2);
-
-      // Clean up
-      this.gl.disableVertexAttribArray(
-         this.programInfo.attribLocations.vertexPosition
-      );
-      this.gl.deleteBuffer(positionBuffer);
+      this.drawVertices([x1, y1, x2, y2], this.gl.LINES, color);
    }
 }
+
+// Vertex shader of the built-in program, and the default for materials:
+// it takes positions in CSS pixels, and fragment shaders get the shape's
+// color as uColor, straight alpha, and the canvas size as uResolution
+WebGLRenderer.vertexShader = `
+            attribute vec4 aVertexPosition;
+            uniform vec2 uResolution;
+            
+            void main() {
+                // Convert from pixels to clip space
+                vec2 clipSpace = (aVertexPosition.xy / uResolution) * 2.0 - 1.0;
+                gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
+            }
+`;
+
+// Attributes and renderer-set uniforms shared by the built-in program and
+// every material, with the position bound to a fixed location
+WebGLRenderer.programLayout = {
+   attributes: {
+      vertexPosition: ["aVertexPosition", 0],
+   },
+   uniforms: {
+      resolution: "uResolution",
+      color: "uColor",
+   },
+};
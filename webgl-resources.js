@@ -0,0 +1,137 @@
+/**
+ * WebGL Resources
+ * Counts the GL objects a context holds, to catch leaks, and shuts down
+ * objects once they are destroyed
+ *
+ * Counting is for debugging and off by default. With it on, every
+ * WebGLBackend tracks the buffers, textures, framebuffers, renderbuffers,
+ * programs, shaders and vertex arrays created on its context until they are
+ * deleted, e.g. to check in a test that destroy() leaves nothing behind:
+ *
+ *    WebGLResources.enabled = true;
+ *    const drawer = new WebGLDraw(canvas);
+ *    const resources = drawer.backend.resources;
+ *    drawer.destroy();
+ *    console.assert(resources.count().total === 0);
+ */
+
+class WebGLResources {
+   /**
+    * Start counting the objects created on a context, WebGLBackend does
+    * this when WebGLResources.enabled is set
+    * @param {WebGLRenderingContext} gl - The context to watch
+    */
+   constructor(gl) {
+      this.gl = gl;
+
+      // Live objects of each kind, see WebGLResources.kinds
+      this.live = new Map();
+      for (const kind of WebGLResources.kinds) {
+         this.live.set(kind, new Set());
+      }
+
+      // Wrap the context's own create and delete methods; vertex arrays
+      // may come from an extension, so WebGLBackend reports those itself
+      for (const kind of WebGLResources.kinds) {
+         const name = kind[0].toUpperCase() + kind.slice(1);
+         const create = gl[`create${name}`];
+         const remove = gl[`delete${name}`];
+         if (kind === "vertexArray" || !create || !remove) {
+            continue;
+         }
+
+         gl[`create${name}`] = (...args) => {
+            const object = create.apply(gl, args);
+            this.add(kind, object);
+            return object;
+         };
+         gl[`delete${name}`] = (object) => {
+            this.remove(kind, object);
+            remove.call(gl, object);
+         };
+      }
+   }
+
+   /**
+    * Count a new object
+    * @param {string} kind - One of WebGLResources.kinds
+    * @param {Object} object - The object, ignored if null
+    */
+   add(kind, object) {
+      if (object) {
+         this.live.get(kind).add(object);
+      }
+   }
+
+   /**
+    * Stop counting a deleted object
+    * @param {string} kind - One of WebGLResources.kinds
+    * @param {Object} object - The object
+    */
+   remove(kind, object) {
+      this.live.get(kind).delete(object);
+   }
+
+   /**
+    * Forget every object, as a lost context destroys them all
+    */
+   clear() {
+      for (const objects of this.live.values()) {
+         objects.clear();
+      }
+   }
+
+   /**
+    * Number of live objects
+    * @returns {Object} Count for each kind, e.g. { buffer: 2, texture: 1 },
+    *    and their sum as total
+    */
+   count() {
+      const counts = { total: 0 };
+      for (const [kind, objects] of this.live) {
+         counts[kind] = objects.size;
+         counts.total += objects.size;
+      }
+      return counts;
+   }
+
+   /**
+    * Make every method of a destroyed object throw, so using it by mistake
+    * fails loudly instead of silently drawing nothing
+    * @param {Object} object - The destroyed object
+    */
+   static disable(object) {
+      const name = object.constructor.name;
+      let prototype = Object.getPrototypeOf(object);
+      while (prototype && prototype !== Object.prototype) {
+         for (const key of Object.getOwnPropertyNames(prototype)) {
+            const descriptor = Object.getOwnPropertyDescriptor(prototype, key);
+            if (
+               key === "constructor" ||
+               typeof descriptor.value !== "function"
+            ) {
+               continue;
+            }
+            object[key] = () => {
+               throw new Error(`${name}.${key}() called after destroy()`);
+            };
+         }
+         prototype = Object.getPrototypeOf(prototype);
+      }
+   }
+}
+
+// Kinds of objects counted, named after their gl.create* methods
+WebGLResources.kinds = [
+   "buffer",
+   "texture",
+   "framebuffer",
+   "renderbuffer",
+   "program",
+   "shader",
+   "vertexArray",
+];
+
+// Count the objects of every context created from now on; set before
+// creating a renderer
+WebGLResources.enabled = false;
@@ -0,0 +1,526 @@
+/**
+ * WebGL Scene
+ * A retained scene graph drawn with WebGLDraw, for drawings that change a
+ * little at a time, such as an editor
+ *
+ * Shapes are nodes that keep their geometry, transform and style between
+ * frames. Changing a node with set() marks the scene dirty, and the scene
+ * redraws everything once on the next animation frame instead of on every
+ * change:
+ *
+ *    const scene = new WebGLScene(drawer);
+ *    const box = new WebGLSceneRect({ x: 20, y: 20, width: 80, height: 40 });
+ *    scene.add(box);
+ *    scene.start();
+ *    box.set({ x: 60, fill: "tomato" }); // Redrawn once, on the next frame
+ *
+ * Nodes are drawn in user space, so the current camera of the drawer
+ * applies to the whole scene.
+ */
+
+class WebGLScene {
+   /**
+    * Create an empty scene drawn with a drawer
+    * @param {WebGLDraw} drawer - The drawer to draw the scene with
+    */
+   constructor(drawer) {
+      this.drawer = drawer;
+
+      // Top node of the tree, which tells the scene about changes below it
+      this.root = new WebGLSceneGroup();
+      this.root.scene = this;
+
+      // Whether the canvas is out of date, and the frame that redraws it
+      // while the scene is started
+      this.dirty = true;
+      this.running = false;
+      this.frame = null;
+
+      // Resizing or restoring a lost context clears the canvas
+      this.handleCanvasCleared = () => this.invalidate();
+      drawer.onResize(this.handleCanvasCleared);
+      drawer.onContextRestored(this.handleCanvasCleared);
+   }
+
+   /**
+    * Add nodes to the top of the tree
+    * @param {...WebGLSceneNode} nodes - Nodes to add, moved from any group
+    *    they are in
+    * @returns {WebGLScene} This scene, for chaining
+    */
+   add(...nodes) {
+      this.root.add(...nodes);
+      return this;
+   }
+
+   /**
+    * Remove a node from the top of the tree
+    * @param {WebGLSceneNode} node - The node to remove
+    */
+   remove(node) {
+      this.root.remove(node);
+   }
+
+   /**
+    * Redraw automatically on the next animation frame after every change
+    */
+   start() {
+      this.running = true;
+      this.invalidate();
+   }
+
+   /**
+    * Stop redrawing automatically, e.g. while something else is drawn on
+    * the canvas; changes are still tracked and drawn by render()
+    */
+   stop() {
+      this.running = false;
+      if (this.frame !== null) {
+         cancelAnimationFrame(this.frame);
+         this.frame = null;
+      }
+   }
+
+   /**
+    * Mark the canvas out of date, and schedule a redraw if the scene is
+    * started
+    * Nodes call this through set() and markDirty().
+    */
+   invalidate() {
+      this.dirty = true;
+      if (this.running && this.frame === null) {
+         this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+         });
+      }
+   }
+
+   /**
+    * Clear the canvas and draw every visible node, if anything changed
+    * since the last render
+    * @returns {boolean} Whether the scene was drawn
+    */
+   render() {
+      // A lost context draws nothing, so stay dirty until it is restored
+      if (!this.dirty || this.drawer.context.lost) {
+         return false;
+      }
+      this.dirty = false;
+
+      const drawer = this.drawer;
+      drawer.clear();
+      drawer.save();
+      this.drawNode(this.root, 1);
+      drawer.restore();
+      drawer.flush();
+      return true;
+   }
+
+   /**
+    * Draw a node and its children in its own transform
+    * @param {WebGLSceneNode} node - The node to draw
+    * @param {number} opacity - Combined opacity of the groups around it
+    */
+   drawNode(node, opacity) {
+      opacity *= node.opacity;
+      if (!node.visible || opacity <= 0) {
+         return;
+      }
+
+      const drawer = this.drawer;
+      drawer.save();
+      drawer.translate(node.x, node.y);
+      if (node.rotation !== 0) {
+         drawer.rotate(node.rotation);
+      }
+      if (node.scaleX !== 1 || node.scaleY !== 1) {
+         drawer.scale(node.scaleX, node.scaleY);
+      }
+
+      if (node instanceof WebGLSceneGroup) {
+         for (const child of node.getDrawOrder()) {
+            this.drawNode(child, opacity);
+         }
+      } else {
+         drawer.setPickId(node.pickable ? node : null);
+         node.draw(drawer, opacity);
+      }
+      drawer.restore();
+   }
+
+   /**
+    * Find the node under a point, e.g. to select it with the mouse
+    * Needs picking enabled on the drawer with `drawer.picking = true`
+    * before the scene is rendered.
+    * @param {number} x - X coordinate in CSS pixels from the canvas left
+    * @param {number} y - Y coordinate in CSS pixels from the canvas top
+    * @returns {WebGLSceneNode|null} Topmost pickable node drawn there
+    */
+   pickAt(x, y) {
+      const node = this.drawer.pickAt(x, y);
+      return node instanceof WebGLSceneNode ? node : null;
+   }
+
+   /**
+    * Stop redrawing and listening to the drawer, which keeps its canvas
+    * Nodes can be added to another scene afterwards. Methods throw
+    * afterwards.
+    */
+   destroy() {
+      this.stop();
+      this.drawer.size.removeListener(this.handleCanvasCleared);
+      this.drawer.context.removeListener("restored", this.handleCanvasCleared);
+      this.root.scene = null;
+      WebGLResources.disable(this);
+   }
+}
+
+/**
+ * Base of every scene node: a transform, a style, visibility and a z-index
+ *
+ * The transform moves the node to (x, y), then rotates it and scales it
+ * around that point. Shapes are filled and then stroked with a CSS color
+ * string or a WebGLGradient, and null leaves either out.
+ */
+class WebGLSceneNode {
+   /**
+    * Create a node
+    * @param {Object} properties - Initial values for any of the
+    *    properties in the class' defaults, see set()
+    */
+   constructor(properties = {}) {
+      Object.assign(this, this.constructor.defaults);
+
+      // Group the node is in, and the scene of a root group
+      this.parent = null;
+      this.scene = null;
+
+      this.set(properties);
+   }
+
+   /**
+    * Change properties and redraw the scene
+    * @param {Object} properties - New values, e.g. { x: 10, fill: "red" }
+    * @returns {WebGLSceneNode} This node, for chaining
+    */
+   set(properties) {
+      const defaults = this.constructor.defaults;
+      for (const [key, value] of Object.entries(properties)) {
+         if (!(key in defaults)) {
+            throw new Error(
+               `Unknown property "${key}" of ${this.constructor.name}`
+            );
+         }
+         this[key] = value;
+      }
+      this.markDirty();
+      return this;
+   }
+
+   /**
+    * Redraw the scene the node is in, after changing its properties or
+    * its path directly instead of through set()
+    */
+   markDirty() {
+      if (this.parent) {
+         this.parent.markDirty();
+      } else if (this.scene) {
+         this.scene.invalidate();
+      }
+   }
+
+   /**
+    * Draw the node at the origin of the current transform, overridden by
+    * every shape
+    * @param {WebGLDraw} drawer - The drawer to draw with
+    * @param {number} opacity - Opacity of the node and its groups
+    */
+   draw(drawer, opacity) {}
+
+   /**
+    * Set the drawer's color to a fill or stroke style
+    * @param {WebGLDraw} drawer - The drawer to set the color of
+    * @param {string|WebGLGradient|null} paint - CSS color or gradient
+    * @param {number} opacity - Multiplier for the alpha of the paint
+    * @returns {boolean} Whether there is anything to paint
+    */
+   usePaint(drawer, paint, opacity) {
+      if (paint instanceof WebGLGradient) {
+         // Gradients are multiplied by the color, white with the opacity
+         drawer.setColor(paint);
+         drawer.color[3] = opacity;
+         return true;
+      }
+
+      const rgba = paint && WebGLColor.parse(paint);
+      if (!rgba) {
+         return false;
+      }
+      drawer.setColor(rgba[0], rgba[1], rgba[2], rgba[3] * opacity);
+      return true;
+   }
+
+   /**
+    * Set the drawer's color to the stroke style, if there is an outline
+    * @param {WebGLDraw} drawer - The drawer to set the color of
+    * @param {number} opacity - Multiplier for the alpha of the stroke
+    * @returns {boolean} Whether the outline should be drawn
+    */
+   useStroke(drawer, opacity) {
+      return this.lineWidth > 0 && this.usePaint(drawer, this.stroke, opacity);
+   }
+}
+
+// Properties every node has, which set() accepts
+WebGLSceneNode.defaults = {
+   x: 0,
+   y: 0,
+   // Clockwise turn in radians, and scale factors, around (x, y)
+   rotation: 0,
+   scaleX: 1,
+   scaleY: 1,
+   // Hidden nodes and their children are neither drawn nor picked
+   visible: true,
+   // Siblings with a higher z-index are drawn on top, equal ones in the
+   // order they were added
+   zIndex: 0,
+   // Multiplies the alpha of the node, and of children for groups
+   opacity: 1,
+   fill: "black",
+   stroke: null,
+   lineWidth: 1,
+   // Whether WebGLScene.pickAt() can find the node
+   pickable: true,
+};
+
+/**
+ * A node holding other nodes, which share its transform, visibility and
+ * opacity
+ */
+class WebGLSceneGroup extends WebGLSceneNode {
+   /**
+    * Create an empty group
+    * @param {Object} properties - Initial values, see WebGLSceneNode
+    */
+   constructor(properties = {}) {
+      super(properties);
+      this.children = [];
+   }
+
+   /**
+    * Add nodes on top of the group's children
+    * @param {...WebGLSceneNode} nodes - Nodes to add, moved from any group
+    *    they are in
+    * @returns {WebGLSceneGroup} This group, for chaining
+    */
+   add(...nodes) {
+      for (const node of nodes) {
+         for (let group = this; group; group = group.parent) {
+            if (group === node) {
+               throw new Error("A group cannot contain itself");
+            }
+         }
+         if (node.scene) {
+            throw new Error("The root of a scene cannot be added to a group");
+         }
+
+         if (node.parent) {
+            node.parent.remove(node);
+         }
+         node.parent = this;
+         this.children.push(node);
+      }
+      this.markDirty();
+      return this;
+   }
+
+   /**
+    * Remove a child
+    * @param {WebGLSceneNode} node - The child to remove, ignored if it is
+    *    not in this group
+    */
+   remove(node) {
+      const index = this.children.indexOf(node);
+      if (index === -1) {
+         return;
+      }
+
+      this.children.splice(index, 1);
+      node.parent = null;
+      this.markDirty();
+   }
+
+   /**
+    * Get the children in the order they are drawn, bottom first
+    * @returns {Array<WebGLSceneNode>} Children sorted by z-index
+    */
+   getDrawOrder() {
+      // Array sort is stable, so equal z-indices keep their order
+      return this.children.slice().sort((a, b) => a.zIndex - b.zIndex);
+   }
+}
+
+// Groups have no shape of their own to fill
+WebGLSceneGroup.defaults = { ...WebGLSceneNode.defaults, fill: null };
+
+/**
+ * A rectangle with its top-left corner at the node's position
+ */
+class WebGLSceneRect extends WebGLSceneNode {
+   draw(drawer, opacity) {
+      const { width, height, radius } = this;
+
+      if (this.usePaint(drawer, this.fill, opacity)) {
+         if (radius > 0) {
+            drawer.roundRect(0, 0, width, height, radius);
+         } else {
+            drawer.rect(0, 0, width, height);
+         }
+      }
+
+      if (this.useStroke(drawer, opacity)) {
+         if (radius > 0) {
+            drawer.stroke(this.getOutline(), this.lineWidth);
+         } else {
+            drawer.strokeRect(0, 0, width, height, this.lineWidth);
+         }
+      }
+   }
+
+   /**
+    * Build the outline of the rounded rectangle
+    * @returns {WebGLPath} The closed outline
+    */
+   getOutline() {
+      const { width, height } = this;
+      const radius = Math.min(this.radius, width / 2, height / 2);
+      return new WebGLPath()
+         .moveTo(radius, 0)
+         .arcTo(width, 0, width, height, radius)
+         .arcTo(width, height, 0, height, radius)
+         .arcTo(0, height, 0, 0, radius)
+         .arcTo(0, 0, width, 0, radius)
+         .closePath();
+   }
+}
+
+WebGLSceneRect.defaults = {
+   ...WebGLSceneNode.defaults,
+   width: 0,
+   height: 0,
+   // Corner radius, limited to half the shorter side
+   radius: 0,
+};
+
+/**
+ * A circle centered on the node's position
+ */
+class WebGLSceneCircle extends WebGLSceneNode {
+   draw(drawer, opacity) {
+      if (this.usePaint(drawer, this.fill, opacity)) {
+         drawer.circle(0, 0, this.radius);
+      }
+      if (this.useStroke(drawer, opacity)) {
+         drawer.strokeCircle(0, 0, this.radius, this.lineWidth);
+      }
+   }
+}
+
+WebGLSceneCircle.defaults = { ...WebGLSceneNode.defaults, radius: 0 };
+
+/**
+ * A WebGLPath drawn relative to the node's position
+ * Call markDirty() after changing the path itself.
+ */
+class WebGLScenePath extends WebGLSceneNode {
+   draw(drawer, opacity) {
+      if (!this.path) {
+         return;
+      }
+
+      if (this.usePaint(drawer, this.fill, opacity)) {
+         drawer.fill(this.path, this.fillRule);
+      }
+      if (this.useStroke(drawer, opacity)) {
+         drawer.stroke(this.path, this.lineWidth);
+      }
+   }
+}
+
+WebGLScenePath.defaults = {
+   ...WebGLSceneNode.defaults,
+   path: null,
+   // "nonzero" or "evenodd", like Canvas 2D fill()
+   fillRule: "nonzero",
+};
+
+/**
+ * An image with its top-left corner at the node's position
+ * Images still loading are drawn once they have loaded.
+ */
+class WebGLSceneImage extends WebGLSceneNode {
+   draw(drawer, opacity) {
+      const image = this.image;
+      if (!image) {
+         return;
+      }
+
+      if (image.complete === false) {
+         if (this.loading !== image) {
+            this.loading = image;
+            image.addEventListener("load", () => this.markDirty(), {
+               once: true,
+            });
+         }
+         return;
+      }
+
+      drawer.setColor(1, 1, 1, opacity);
+      if (this.width === null || this.height === null) {
+         drawer.drawImage(image, 0, 0);
+      } else {
+         drawer.drawImage(image, 0, 0, this.width, this.height);
+      }
+   }
+}
+
+WebGLSceneImage.defaults = {
+   ...WebGLSceneNode.defaults,
+   // Anything WebGLDraw.drawImage accepts
+   image: null,
+   // Drawn size, the image's own size when either is null
+   width: null,
+   height: null,
+};
+
+/**
+ * A line of text aligned on the node's position
+ * The style properties left null use the drawer's text style.
+ */
+class WebGLSceneText extends WebGLSceneNode {
+   draw(drawer, opacity) {
+      if (this.text === "" || !this.usePaint(drawer, this.fill, opacity)) {
+         return;
+      }
+
+      drawer.fillText(this.text, 0, 0, {
+         fontFamily: this.fontFamily,
+         fontSize: this.fontSize,
+         fontWeight: this.fontWeight,
+         textAlign: this.textAlign,
+         textBaseline: this.textBaseline,
+      });
+   }
+}
+
+WebGLSceneText.defaults = {
+   ...WebGLSceneNode.defaults,
+   text: "",
+   // See WebGLDraw.fillText
+   fontFamily: null,
+   fontSize: null,
+   fontWeight: null,
+   textAlign: null,
+   textBaseline: null,
+};
@@ -0,0 +1,88 @@
+/**
+ * WebGL SDF Shapes
+ * Signed distance functions for anti-aliased shapes, shared by the shaders
+ * of WebGLDraw and OptimizedWebGLRenderer
+ *
+ * Shapes are drawn as quads a pixel larger than the shape itself. Every
+ * fragment knows its position in the shape's own frame, and its coverage is
+ * how far inside the outline that position is, measured in screen pixels.
+ */
+
+class SDFShapes {
+   /**
+    * Largest distance in user units that one screen pixel can span
+    * Quads are grown by this much so the soft edge is never cut off
+    * @param {Array<number>} matrix - Transform [a, b, c, d, e, f]
+    * @returns {number} Size of a pixel in user units, 0 for a singular transform
+    */
+   static pixelSize(matrix) {
+      // Smallest singular value of the linear part of the transform
+      const [a, b, c, d] = matrix;
+      const half = (a * a + b * b + c * c + d * d) / 2;
+      const det = a * d - b * c;
+      const smallest = Math.sqrt(
+         Math.max(half - Math.sqrt(Math.max(half * half - det * det, 0)), 0)
+      );
+      return smallest > 0 ? 1 / smallest : 0;
+   }
+
+   /**
+    * Whether a point in a shape's frame is inside its outline, matching
+    * where shapeCoverage() reaches one half
+    * @param {number} x - X coordinate in the shape's frame
+    * @param {number} y - Y coordinate in the shape's frame
+    * @param {Array<number>} shape - Shape [kind, width, height, radius]
+    * @returns {boolean} True if the point is inside
+    */
+   static contains(x, y, shape) {
+      const [kind, width, height, radius] = shape;
+      if (kind === SDFShapes.kinds.ellipse) {
+         return Math.hypot(x / width, y / height) <= 1;
+      }
+      if (kind === SDFShapes.kinds.box) {
+         const qx = Math.abs(x) - width + radius;
+         const qy = Math.abs(y) - height + radius;
+         const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+         return outside + Math.min(Math.max(qx, qy), 0) - radius <= 0;
+      }
+      return true;
+   }
+}
+
+// Values of the first shape component for each kind of shape
+SDFShapes.kinds = {
+   none: 0,
+   ellipse: 1,
+   box: 2,
+};
+
+// GLSL coverage function, to be included in fragment shaders after the
+// OES_standard_derivatives extension has been enabled where available
+SDFShapes.glsl = `
+            // Coverage (0-1) of a fragment at p in the frame of a shape given
+            // as (kind, width, height, radius): kind 0 covers everything,
+            // kind 1 is an ellipse with radii width and height, and kind 2
+            // is a box with half sizes width and height and corners rounded
+            // by radius
+            float shapeCoverage(vec2 p, vec4 shape) {
+                if (shape.x < 0.5) {
+                    return 1.0;
+                }
+
+                float d;
+                if (shape.x < 1.5) {
+                    // Not exact away from the outline, which is all that matters
+                    d = (length(p / shape.yz) - 1.0) * min(shape.y, shape.z);
+                } else {
+                    vec2 q = abs(p) - shape.yz + shape.w;
+                    d = length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - shape.w;
+                }
+
+            #ifdef GL_OES_standard_derivatives
+                // Measure the distance in pixels, whatever the transform
+                d /= max(length(vec2(dFdx(d), dFdy(d))), 1e-6);
+            #endif
+
+                return clamp(0.5 - d, 0.0, 1.0);
+            }
+`;
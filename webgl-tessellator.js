@@ -0,0 +1,1197 @@
+/**
+ * Geometry Tessellator
+ * Turns outlines into triangle lists that WebGLDraw can batch
+ *
+ * Points are flat [x0, y0, x1, y1, ...] arrays and every method returns a
+ * flat triangle list [ax, ay, bx, by, cx, cy, ...] in the same space.
+ */
+
+class Tessellator {
+   /**
+    * Remove consecutive duplicate points, and the closing point of a
+    * closed outline that repeats its first point
+    * @param {Array<number>} points - Flat list of points
+    * @param {boolean} closed - Whether the outline is closed
+    * @returns {Array<number>} Flat list of distinct points
+    */
+   static dedupe(points, closed) {
+      const result = [];
+      for (let i = 0; i < points.length; i += 2) {
+         const count = result.length;
+         if (
+            count === 0 ||
+            !Tessellator.samePoint(
+               result[count - 2],
+               result[count - 1],
+               points[i],
+               points[i + 1]
+            )
+         ) {
+            result.push(points[i], points[i + 1]);
+         }
+      }
+
+      const count = result.length;
+      if (
+         closed &&
+         count > 2 &&
+         Tessellator.samePoint(
+            result[0],
+            result[1],
+            result[count - 2],
+            result[count - 1]
+         )
+      ) {
+         result.length = count - 2;
+      }
+
+      return result;
+   }
+
+   /**
+    * Whether two points coincide, ignoring floating point noise such as
+    * the last point of a full circle landing next to the first
+    */
+   static samePoint(x1, y1, x2, y2) {
+      return Math.abs(x1 - x2) < 1e-6 && Math.abs(y1 - y2) < 1e-6;
+   }
+
+   /**
+    * Convert a triangle strip into a triangle list
+    * @param {Array<number>} strip - Flat list of points in strip order
+    * @param {Array<number>} out - Triangle list to append to
+    * @returns {Array<number>} The triangle list
+    */
+   static stripToTriangles(strip, out = []) {
+      for (let i = 0; i + 5 < strip.length; i += 2) {
+         out.push(
+            strip[i],
+            strip[i + 1],
+            strip[i + 2],
+            strip[i + 3],
+            strip[i + 4],
+            strip[i + 5]
+         );
+      }
+      return out;
+   }
+
+   /**
+    * Stroke a polyline with Canvas 2D style joins and caps
+    * Neighbouring segments meet at the intersection of their inner edges and
+    * the join only fills the wedge left on the outer side, so translucent
+    * strokes have no darker seams
+    * @param {Array<number>} points - Flat list of points
+    * @param {Object} options - Stroke options
+    * @param {number} options.lineWidth - Width of the stroke
+    * @param {string} options.lineJoin - "miter", "round" or "bevel"
+    * @param {string} options.lineCap - "butt", "round" or "square"
+    * @param {number} options.miterLimit - Longest miter, in multiples of half the line width
+    * @param {boolean} options.closed - Whether the last point connects to the first
+    * @param {number} options.tolerance - Flattening tolerance for round joins and caps
+    * @returns {Array<number>} Triangle list
+    */
+   static strokePolyline(points, options = {}) {
+      const {
+         lineWidth = 1,
+         lineJoin = "miter",
+         lineCap = "butt",
+         miterLimit = 10,
+         closed = false,
+         tolerance = Tessellator.tolerance,
+      } = options;
+
+      const outline = Tessellator.dedupe(points, closed);
+      const count = outline.length / 2;
+      const triangles = [];
+      if (count < 2 || lineWidth <= 0) {
+         return triangles;
+      }
+
+      const halfWidth = lineWidth / 2;
+      const segmentCount = closed ? count : count - 1;
+
+      // Direction and default corners of every segment
+      const segments = [];
+      for (let i = 0; i < segmentCount; i++) {
+         const startX = outline[i * 2];
+         const startY = outline[i * 2 + 1];
+         const endX = outline[((i + 1) % count) * 2];
+         const endY = outline[((i + 1) % count) * 2 + 1];
+         const length = Math.hypot(endX - startX, endY - startY);
+         const dirX = (endX - startX) / length;
+         const dirY = (endY - startY) / length;
+         const normalX = -dirY * halfWidth;
+         const normalY = dirX * halfWidth;
+
+         segments.push({
+            length,
+            dirX,
+            dirY,
+            startLeft: [startX + normalX, startY + normalY],
+            startRight: [startX - normalX, startY - normalY],
+            endLeft: [endX + normalX, endY + normalY],
+            endRight: [endX - normalX, endY - normalY],
+         });
+      }
+
+      // Joins between consecutive segments
+      const firstJoin = closed ? 0 : 1;
+      const lastJoin = closed ? count - 1 : count - 2;
+      for (let i = firstJoin; i <= lastJoin; i++) {
+         Tessellator.addJoin(
+            triangles,
+            outline[i * 2],
+            outline[i * 2 + 1],
+            segments[(i - 1 + segmentCount) % segmentCount],
+            segments[i % segmentCount],
+            halfWidth,
+            lineJoin,
+            miterLimit,
+            tolerance
+         );
+      }
+
+      // Caps at both ends of an open polyline
+      if (!closed) {
+         Tessellator.addCap(
+            triangles,
+            outline[0],
+            outline[1],
+            segments[0],
+            true,
+            halfWidth,
+            lineCap,
+            tolerance
+         );
+         Tessellator.addCap(
+            triangles,
+            outline[(count - 1) * 2],
+            outline[(count - 1) * 2 + 1],
+            segments[segmentCount - 1],
+            false,
+            halfWidth,
+            lineCap,
+            tolerance
+         );
+      }
+
+      // Segment bodies, using the corners adjusted by joins and caps
+      for (const segment of segments) {
+         triangles.push(
+            ...segment.startLeft,
+            ...segment.startRight,
+            ...segment.endLeft,
+            ...segment.startRight,
+            ...segment.endRight,
+            ...segment.endLeft
+         );
+      }
+
+      return triangles;
+   }
+
+   /**
+    * Stroke a polyline with a dash pattern, like Canvas 2D setLineDash()
+    * Dashes are measured along the whole polyline, running on through its
+    * corners, and each dash is stroked as an open polyline with caps
+    * @param {Array<number>} points - Flat list of points along the line
+    * @param {Object} options - strokePolyline options, plus:
+    * @param {Array<number>} options.lineDash - Alternating dash and gap
+    *    lengths, see normalizeDash()
+    * @param {number} options.lineDashOffset - Distance into the pattern at
+    *    which the line starts
+    * @returns {Array<number>} Triangle list
+    */
+   static strokeDashes(points, options = {}) {
+      const {
+         lineWidth = 1,
+         lineCap = "butt",
+         tolerance = Tessellator.tolerance,
+         lineDash = [],
+         lineDashOffset = 0,
+         closed = false,
+      } = options;
+
+      const dashes = Tessellator.dashPolyline(
+         points,
+         closed,
+         lineDash,
+         lineDashOffset
+      );
+      const triangles = [];
+      const halfWidth = lineWidth / 2;
+
+      for (const dash of dashes) {
+         if (dash.points.length > 2) {
+            triangles.push(
+               ...Tessellator.strokePolyline(dash.points, {
+                  ...options,
+                  closed: false,
+               })
+            );
+            continue;
+         }
+
+         // Dashes without length only show their caps, facing along the line
+         if (lineCap === "butt" || lineWidth <= 0) {
+            continue;
+         }
+
+         const [x, y] = dash.points;
+         const normalX = -dash.dirY * halfWidth;
+         const normalY = dash.dirX * halfWidth;
+         const left = [x + normalX, y + normalY];
+         const right = [x - normalX, y - normalY];
+         const segment = {
+            dirX: dash.dirX,
+            dirY: dash.dirY,
+            startLeft: left,
+            startRight: right,
+            endLeft: left,
+            endRight: right,
+         };
+         for (const atStart of [true, false]) {
+            Tessellator.addCap(
+               triangles,
+               x,
+               y,
+               segment,
+               atStart,
+               halfWidth,
+               lineCap,
+               tolerance
+            );
+         }
+         triangles.push(
+            ...segment.startLeft,
+            ...segment.startRight,
+            ...segment.endLeft,
+            ...segment.startRight,
+            ...segment.endRight,
+            ...segment.endLeft
+         );
+      }
+
+      return triangles;
+   }
+
+   /**
+    * Check a dash pattern and make its length even, like Canvas 2D
+    * setLineDash(): an odd number of lengths is repeated
+    * @param {Array<number>} pattern - Alternating dash and gap lengths
+    * @returns {Array<number>|null} Even-length copy of the pattern, or null
+    *    if a length is negative or not finite
+    */
+   static normalizeDash(pattern) {
+      if (!pattern.every((length) => Number.isFinite(length) && length >= 0)) {
+         return null;
+      }
+      return pattern.length % 2 === 0
+         ? pattern.slice()
+         : pattern.concat(pattern);
+   }
+
+   /**
+    * Cut a polyline into dashes
+    * @param {Array<number>} points - Flat list of points along the line
+    * @param {boolean} closed - Whether the line returns to its first point
+    * @param {Array<number>} pattern - Alternating dash and gap lengths, with
+    *    a total length above zero; odd lists are repeated
+    * @param {number} offset - Distance into the pattern at which the line starts
+    * @returns {Array<Object>} Dashes as { points, dirX, dirY }, where points
+    *    holds a single point for dashes of zero length and dirX, dirY is the
+    *    direction of the line where the dash starts
+    */
+   static dashPolyline(points, closed, pattern, offset = 0) {
+      // Every dash needs a gap after it
+      if (pattern.length % 2 !== 0) {
+         pattern = pattern.concat(pattern);
+      }
+
+      const total = pattern.reduce((sum, length) => sum + length, 0);
+      const outline = Tessellator.dedupe(points, closed);
+      if (closed && outline.length > 2) {
+         outline.push(outline[0], outline[1]);
+      }
+
+      // Find where in the pattern the line starts
+      let index = 0;
+      let remaining = pattern[0];
+      let phase = ((offset % total) + total) % total;
+      while (phase > 0 && phase >= remaining) {
+         phase -= remaining;
+         index = (index + 1) % pattern.length;
+         remaining = pattern[index];
+      }
+      remaining -= phase;
+
+      const dashes = [];
+      let dash = null;
+      for (let i = 2; i < outline.length; i += 2) {
+         const startX = outline[i - 2];
+         const startY = outline[i - 1];
+         const length = Math.hypot(
+            outline[i] - startX,
+            outline[i + 1] - startY
+         );
+         const dirX = (outline[i] - startX) / length;
+         const dirY = (outline[i + 1] - startY) / length;
+
+         if (i === 2 && index % 2 === 0) {
+            dash = { points: [startX, startY], dirX, dirY };
+         }
+
+         // Every pattern entry that ends within this segment
+         let travelled = 0;
+         while (travelled + remaining <= length) {
+            travelled += remaining;
+            const x = startX + dirX * travelled;
+            const y = startY + dirY * travelled;
+
+            if (index % 2 === 0) {
+               if (!Tessellator.samePoint(...dash.points.slice(-2), x, y)) {
+                  dash.points.push(x, y);
+               }
+               dashes.push(dash);
+               dash = null;
+            } else {
+               dash = { points: [x, y], dirX, dirY };
+            }
+
+            index = (index + 1) % pattern.length;
+            remaining = pattern[index];
+         }
+         remaining -= length - travelled;
+
+         // A dash running on past the end of the segment
+         if (
+            dash &&
+            !Tessellator.samePoint(
+               ...dash.points.slice(-2),
+               outline[i],
+               outline[i + 1]
+            )
+         ) {
+            dash.points.push(outline[i], outline[i + 1]);
+         }
+      }
+
+      // A dash only just started when the line ended has no length to show
+      if (dash && dash.points.length > 2) {
+         dashes.push(dash);
+      }
+      return dashes;
+   }
+
+   /**
+    * Fill the gap on the outer side of two segments meeting at (x, y)
+    * Moves the inner corners of both segments in place
+    */
+   static addJoin(
+      triangles,
+      x,
+      y,
+      incoming,
+      outgoing,
+      halfWidth,
+      lineJoin,
+      miterLimit,
+      tolerance
+   ) {
+      const cross =
+         incoming.dirX * outgoing.dirY - incoming.dirY * outgoing.dirX;
+      const dot = incoming.dirX * outgoing.dirX + incoming.dirY * outgoing.dirY;
+
+      // Straight continuation, the segments already share their corners
+      if (Math.abs(cross) < 1e-9 && dot > 0) {
+         return;
+      }
+
+      // Turning towards the left side puts the right side on the outside
+      const turnsLeft = cross > 0;
+      const outerEnd = turnsLeft ? incoming.endRight : incoming.endLeft;
+      const outerStart = turnsLeft ? outgoing.startRight : outgoing.startLeft;
+
+      // Miter direction (towards the outer side) and its stretch factor
+      let miterX = outerEnd[0] + outerStart[0] - 2 * x;
+      let miterY = outerEnd[1] + outerStart[1] - 2 * y;
+      const miterNorm = Math.hypot(miterX, miterY);
+      const cosHalfAngle = miterNorm / (2 * halfWidth);
+      if (miterNorm > 0) {
+         miterX /= miterNorm;
+         miterY /= miterNorm;
+      }
+
+      // Move both inner corners to where the inner edges cross, unless the
+      // segments are too short for that point to lie on them
+      let centerX = x;
+      let centerY = y;
+      const overlap =
+         halfWidth * Math.sqrt((1 - dot) / Math.max(1 + dot, 1e-12));
+      if (
+         cosHalfAngle > 1e-6 &&
+         overlap <= Math.min(incoming.length, outgoing.length)
+      ) {
+         const innerLength = halfWidth / cosHalfAngle;
+         centerX = x - miterX * innerLength;
+         centerY = y - miterY * innerLength;
+         const inner = [centerX, centerY];
+         if (turnsLeft) {
+            incoming.endLeft = inner;
+            outgoing.startLeft = inner;
+         } else {
+            incoming.endRight = inner;
+            outgoing.startRight = inner;
+         }
+      }
+
+      if (lineJoin === "round") {
+         if (centerX !== x || centerY !== y) {
+            triangles.push(centerX, centerY, ...outerEnd, x, y);
+            triangles.push(centerX, centerY, x, y, ...outerStart);
+         }
+         Tessellator.addRoundFan(
+            triangles,
+            x,
+            y,
+            outerEnd,
+            outerStart,
+            halfWidth,
+            tolerance
+         );
+         return;
+      }
+
+      // Bevel triangle, also the base of a miter
+      triangles.push(centerX, centerY, ...outerEnd, ...outerStart);
+
+      if (
+         lineJoin === "miter" &&
+         cosHalfAngle > 1e-6 &&
+         1 / cosHalfAngle <= miterLimit
+      ) {
+         const miterLength = halfWidth / cosHalfAngle;
+         triangles.push(
+            ...outerEnd,
+            x + miterX * miterLength,
+            y + miterY * miterLength,
+            ...outerStart
+         );
+      }
+   }
+
+   /**
+    * Add a cap to one end of an open polyline
+    * Square caps extend the segment corners in place
+    */
+   static addCap(
+      triangles,
+      x,
+      y,
+      segment,
+      atStart,
+      halfWidth,
+      lineCap,
+      tolerance
+   ) {
+      // Direction pointing away from the line
+      const outX = atStart ? -segment.dirX : segment.dirX;
+      const outY = atStart ? -segment.dirY : segment.dirY;
+
+      if (lineCap === "square") {
+         const offsetX = outX * halfWidth;
+         const offsetY = outY * halfWidth;
+         if (atStart) {
+            segment.startLeft = Tessellator.offset(
+               segment.startLeft,
+               offsetX,
+               offsetY
+            );
+            segment.startRight = Tessellator.offset(
+               segment.startRight,
+               offsetX,
+               offsetY
+            );
+         } else {
+            segment.endLeft = Tessellator.offset(
+               segment.endLeft,
+               offsetX,
+               offsetY
+            );
+            segment.endRight = Tessellator.offset(
+               segment.endRight,
+               offsetX,
+               offsetY
+            );
+         }
+      } else if (lineCap === "round") {
+         // Half circle swept from one side of the line, around its end, to the other
+         Tessellator.addRoundFan(
+            triangles,
+            x,
+            y,
+            atStart ? segment.startLeft : segment.endRight,
+            atStart ? segment.startRight : segment.endLeft,
+            halfWidth,
+            tolerance,
+            [x + outX, y + outY]
+         );
+      }
+   }
+
+   /**
+    * Move a point by the given offset
+    * @returns {Array<number>} New point as [x, y]
+    */
+   static offset(point, offsetX, offsetY) {
+      return [point[0] + offsetX, point[1] + offsetY];
+   }
+
+   /**
+    * Add a fan of triangles around (x, y) sweeping from one point to another
+    * @param {Array<number>} triangles - Triangle list to append to
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {Array<number>} from - Start point, radius away from the center
+    * @param {Array<number>} to - End point, radius away from the center
+    * @param {number} radius - Radius of the fan
+    * @param {number} tolerance - Flattening tolerance
+    * @param {Array<number>} through - Optional point picking a half turn
+    *    sweep through it, otherwise the shorter way around is used
+    */
+   static addRoundFan(triangles, x, y, from, to, radius, tolerance, through) {
+      const startAngle = Math.atan2(from[1] - y, from[0] - x);
+      let sweep;
+
+      if (through) {
+         let toThrough =
+            Math.atan2(through[1] - y, through[0] - x) - startAngle;
+         while (toThrough < 0) {
+            toThrough += Math.PI * 2;
+         }
+         sweep = toThrough < Math.PI ? Math.PI : -Math.PI;
+      } else {
+         sweep = Math.atan2(to[1] - y, to[0] - x) - startAngle;
+         while (sweep > Math.PI) {
+            sweep -= Math.PI * 2;
+         }
+         while (sweep < -Math.PI) {
+            sweep += Math.PI * 2;
+         }
+      }
+
+      const steps = Tessellator.arcSegments(Math.abs(sweep), radius, tolerance);
+      let previous = from;
+      for (let i = 1; i <= steps; i++) {
+         const angle = startAngle + (sweep * i) / steps;
+         const point =
+            i === steps
+               ? to
+               : [x + Math.cos(angle) * radius, y + Math.sin(angle) * radius];
+         triangles.push(x, y, ...previous, ...point);
+         previous = point;
+      }
+   }
+
+   /**
+    * Number of segments a full circle needs so that no chord strays more
+    * than the tolerance from the real curve
+    * @param {number} radius - Radius of the circle
+    * @param {number} tolerance - Maximum distance from the curve
+    * @returns {number} Segment count
+    */
+   static segmentsForRadius(radius, tolerance = Tessellator.tolerance) {
+      if (!(radius > tolerance)) {
+         return Tessellator.minCircleSegments;
+      }
+
+      // A chord spanning angle a strays radius * (1 - cos(a / 2)) from the arc
+      const segments = Math.ceil(Math.PI / Math.acos(1 - tolerance / radius));
+      return Math.min(
+         Math.max(segments, Tessellator.minCircleSegments),
+         Tessellator.maxCurveSegments
+      );
+   }
+
+   /**
+    * Number of segments used to approximate part of a circle
+    * @param {number} angle - Swept angle in radians
+    * @param {number} radius - Radius of the arc
+    * @param {number} tolerance - Maximum distance from the curve
+    * @returns {number} Segment count
+    */
+   static arcSegments(angle, radius, tolerance = Tessellator.tolerance) {
+      return Math.max(
+         1,
+         Math.ceil(
+            (angle / (Math.PI * 2)) *
+               Tessellator.segmentsForRadius(radius, tolerance)
+         )
+      );
+   }
+
+   /**
+    * Number of segments for a bezier curve given its largest second
+    * difference, using Wang's formula
+    * @param {number} degree - 2 for quadratic, 3 for cubic curves
+    * @param {number} secondDifference - Length of the largest second difference
+    * @param {number} tolerance - Maximum distance from the curve
+    * @returns {number} Segment count
+    */
+   static curveSegments(degree, secondDifference, tolerance) {
+      const segments = Math.ceil(
+         Math.sqrt((degree * (degree - 1) * secondDifference) / (8 * tolerance))
+      );
+      return Math.min(Math.max(segments, 1), Tessellator.maxCurveSegments);
+   }
+
+   /**
+    * Generate the points along a circular arc
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {number} radius - Radius of the arc
+    * @param {number} startAngle - Starting angle in radians
+    * @param {number} endAngle - Ending angle in radians
+    * @param {boolean} counterclockwise - Whether to go counterclockwise
+    * @param {number} tolerance - Maximum distance from the curve
+    * @returns {Array<number>} Flat list of points
+    */
+   static arcPoints(
+      x,
+      y,
+      radius,
+      startAngle,
+      endAngle,
+      counterclockwise,
+      tolerance = Tessellator.tolerance
+   ) {
+      // Sweeps of a full turn or more draw the circle once, and shorter
+      // ones go from the start to the end angle the given way round, as in
+      // Canvas 2D; a full turn the other way round, as in the common
+      // arc(x, y, r, 0, 2 * Math.PI, true), also draws the whole circle
+      const fullTurn = Math.PI * 2;
+      if (counterclockwise) {
+         if (startAngle - endAngle >= fullTurn) {
+            endAngle = startAngle - fullTurn;
+         } else if (startAngle < endAngle) {
+            endAngle =
+               startAngle - (fullTurn - ((endAngle - startAngle) % fullTurn));
+         }
+      } else {
+         if (endAngle - startAngle >= fullTurn) {
+            endAngle = startAngle + fullTurn;
+         } else if (endAngle < startAngle) {
+            endAngle =
+               startAngle + (fullTurn - ((startAngle - endAngle) % fullTurn));
+         }
+      }
+
+      const angleRange = Math.abs(endAngle - startAngle);
+      const segmentCount = Math.max(
+         2,
+         Tessellator.arcSegments(angleRange, radius, tolerance)
+      );
+
+      return Tessellator.ellipsePoints(
+         x,
+         y,
+         radius,
+         radius,
+         0,
+         startAngle,
+         endAngle,
+         segmentCount
+      );
+   }
+
+   /**
+    * Generate the points along part of a rotated ellipse
+    * @param {number} x - X coordinate of the center
+    * @param {number} y - Y coordinate of the center
+    * @param {number} radiusX - Horizontal radius
+    * @param {number} radiusY - Vertical radius
+    * @param {number} rotation - Rotation angle in radians
+    * @param {number} startAngle - Starting angle in radians
+    * @param {number} endAngle - Ending angle in radians
+    * @param {number} segments - Number of segments to generate
+    * @returns {Array<number>} Flat [x, y, ...] list of segments + 1 points
+    */
+   static ellipsePoints(
+      x,
+      y,
+      radiusX,
+      radiusY,
+      rotation,
+      startAngle,
+      endAngle,
+      segments
+   ) {
+      const positions = [];
+
+      // Calculate sin and cos of rotation once
+      const cosRotation = Math.cos(rotation);
+      const sinRotation = Math.sin(rotation);
+
+      // Generate vertices for the ellipse
+      for (let i = 0; i <= segments; i++) {
+         const theta = startAngle + (i / segments) * (endAngle - startAngle);
+
+         // Calculate point on unrotated ellipse
+         const px = Math.cos(theta) * radiusX;
+         const py = Math.sin(theta) * radiusY;
+
+         // Apply rotation and translate to center
+         positions.push(
+            x + px * cosRotation - py * sinRotation,
+            y + px * sinRotation + py * cosRotation
+         );
+      }
+
+      return positions;
+   }
+
+   /**
+    * Generate the points along a cubic bezier curve
+    * @param {number} tolerance - Maximum distance from the curve
+    * @returns {Array<number>} Flat list of points
+    */
+   static cubicPoints(
+      x1,
+      y1,
+      cpx1,
+      cpy1,
+      cpx2,
+      cpy2,
+      x2,
+      y2,
+      tolerance = Tessellator.tolerance
+   ) {
+      const segments = Tessellator.curveSegments(
+         3,
+         Math.max(
+            Math.hypot(x1 - 2 * cpx1 + cpx2, y1 - 2 * cpy1 + cpy2),
+            Math.hypot(cpx1 - 2 * cpx2 + x2, cpy1 - 2 * cpy2 + y2)
+         ),
+         tolerance
+      );
+      const positions = [];
+      for (let i = 0; i <= segments; i++) {
+         const t = i / segments;
+         const u = 1 - t;
+         const tt = t * t;
+         const uu = u * u;
+         const uuu = uu * u;
+         const ttt = tt * t;
+
+         // Cubic Bezier formula
+         positions.push(
+            uuu * x1 + 3 * uu * t * cpx1 + 3 * u * tt * cpx2 + ttt * x2,
+            uuu * y1 + 3 * uu * t * cpy1 + 3 * u * tt * cpy2 + ttt * y2
+         );
+      }
+      return positions;
+   }
+
+   /**
+    * Generate the points along a quadratic bezier curve
+    * @param {number} tolerance - Maximum distance from the curve
+    * @returns {Array<number>} Flat list of points
+    */
+   static quadraticPoints(
+      x1,
+      y1,
+      cpx,
+      cpy,
+      x2,
+      y2,
+      tolerance = Tessellator.tolerance
+   ) {
+      const segments = Tessellator.curveSegments(
+         2,
+         Math.hypot(x1 - 2 * cpx + x2, y1 - 2 * cpy + y2),
+         tolerance
+      );
+      const positions = [];
+      for (let i = 0; i <= segments; i++) {
+         const t = i / segments;
+         const u = 1 - t;
+
+         // Quadratic Bezier formula
+         positions.push(
+            u * u * x1 + 2 * u * t * cpx + t * t * x2,
+            u * u * y1 + 2 * u * t * cpy + t * t * y2
+         );
+      }
+      return positions;
+   }
+
+   /**
+    * Triangulate a filled polygon made of one or more rings
+    * A single simple ring is ear clipped. Holes, overlapping rings and
+    * self-intersecting outlines are split into trapezoids so the fill rule
+    * decides which regions are inside, exactly like Canvas 2D fill()
+    * @param {Array<Array<number>>} rings - Flat point lists, one per ring
+    * @param {string} fillRule - "nonzero" or "evenodd"
+    * @returns {Array<number>} Triangle list
+    */
+   static fillPolygon(rings, fillRule = "nonzero") {
+      const outlines = rings
+         .map((ring) => Tessellator.dedupe(ring, true))
+         .filter((ring) => ring.length >= 6);
+
+      if (outlines.length === 1 && Tessellator.isSimple(outlines[0])) {
+         const triangles = Tessellator.earClip(outlines[0]);
+         if (triangles) {
+            return triangles;
+         }
+      }
+
+      return Tessellator.fillTrapezoids(outlines, fillRule);
+   }
+
+   /**
+    * Signed area of a ring, positive when it winds clockwise on screen
+    * @param {Array<number>} points - Flat list of points
+    * @returns {number} Signed area
+    */
+   static signedArea(points) {
+      let area = 0;
+      for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+         area += (points[j] - points[i]) * (points[i + 1] + points[j + 1]);
+      }
+      return area / 2;
+   }
+
+   /**
+    * Ear clipping triangulation of a simple ring
+    * @param {Array<number>} points - Flat list of points without holes or crossings
+    * @returns {Array<number>|null} Triangle list, or null if no ear could be found
+    */
+   static earClip(points) {
+      const count = points.length / 2;
+
+      // Walk the ring in a consistent direction so convex corners have a positive cross product
+      const reverse = Tessellator.signedArea(points) < 0;
+      const indices = [];
+      for (let i = 0; i < count; i++) {
+         indices.push(reverse ? count - 1 - i : i);
+      }
+
+      const triangles = [];
+      let current = 0;
+      let attempts = 0;
+
+      while (indices.length > 3) {
+         const length = indices.length;
+         const a = indices[(current + length - 1) % length];
+         const b = indices[current % length];
+         const c = indices[(current + 1) % length];
+
+         if (Tessellator.isEar(points, indices, a, b, c)) {
+            triangles.push(
+               points[a * 2],
+               points[a * 2 + 1],
+               points[b * 2],
+               points[b * 2 + 1],
+               points[c * 2],
+               points[c * 2 + 1]
+            );
+            indices.splice(current % length, 1);
+            attempts = 0;
+         } else {
+            current++;
+            attempts++;
+
+            // A full lap without an ear means the ring is degenerate
+            if (attempts > length) {
+               return null;
+            }
+         }
+
+         current %= indices.length;
+      }
+
+      triangles.push(
+         points[indices[0] * 2],
+         points[indices[0] * 2 + 1],
+         points[indices[1] * 2],
+         points[indices[1] * 2 + 1],
+         points[indices[2] * 2],
+         points[indices[2] * 2 + 1]
+      );
+
+      return triangles;
+   }
+
+   /**
+    * Whether corner b of the remaining ring can be cut off as a triangle
+    */
+   static isEar(points, indices, a, b, c) {
+      const ax = points[a * 2];
+      const ay = points[a * 2 + 1];
+      const bx = points[b * 2];
+      const by = points[b * 2 + 1];
+      const cx = points[c * 2];
+      const cy = points[c * 2 + 1];
+
+      // Reflex or flat corners are never ears
+      if ((bx - ax) * (cy - ay) - (by - ay) * (cx - ax) <= 0) {
+         return false;
+      }
+
+      // No other remaining point may lie inside the candidate triangle
+      for (const index of indices) {
+         if (index === a || index === b || index === c) {
+            continue;
+         }
+
+         const px = points[index * 2];
+         const py = points[index * 2 + 1];
+         if (
+            (bx - ax) * (py - ay) - (by - ay) * (px - ax) >= 0 &&
+            (cx - bx) * (py - by) - (cy - by) * (px - bx) >= 0 &&
+            (ax - cx) * (py - cy) - (ay - cy) * (px - cx) >= 0
+         ) {
+            return false;
+         }
+      }
+
+      return true;
+   }
+
+   /**
+    * Whether a ring has no crossing or touching non-adjacent edges
+    * @param {Array<number>} points - Flat list of points
+    * @returns {boolean} True for a simple ring
+    */
+   static isSimple(points) {
+      const edges = Tessellator.collectEdges([points], true);
+      const count = points.length / 2;
+      let simple = true;
+
+      Tessellator.forEachEdgePair(edges, (a, b) => {
+         // Neighbouring edges always share a point
+         const gap = Math.abs(a.index - b.index);
+         if (gap === 1 || gap === count - 1) {
+            return true;
+         }
+
+         if (Tessellator.intersect(a, b, true)) {
+            simple = false;
+         }
+         return simple;
+      });
+
+      return simple;
+   }
+
+   /**
+    * Collect the edges of a set of rings
+    * @param {Array<Array<number>>} rings - Flat point lists, one per ring
+    * @param {boolean} keepHorizontal - Whether to keep horizontal edges
+    * @returns {Array<Object>} Edges with their winding direction
+    */
+   static collectEdges(rings, keepHorizontal) {
+      const edges = [];
+      for (const ring of rings) {
+         const count = ring.length / 2;
+         for (let i = 0; i < count; i++) {
+            const j = (i + 1) % count;
+            const x1 = ring[i * 2];
+            const y1 = ring[i * 2 + 1];
+            const x2 = ring[j * 2];
+            const y2 = ring[j * 2 + 1];
+
+            if (y1 === y2 && !keepHorizontal) {
+               continue;
+            }
+
+            edges.push({
+               index: i,
+               x1,
+               y1,
+               x2,
+               y2,
+               minY: Math.min(y1, y2),
+               maxY: Math.max(y1, y2),
+               winding: y2 > y1 ? 1 : -1,
+            });
+         }
+      }
+      return edges;
+   }
+
+   /**
+    * Visit every pair of edges whose horizontal extents overlap
+    * @param {Array<Object>} edges - Edges from collectEdges()
+    * @param {Function} callback - Called with (a, b), return false to stop
+    */
+   static forEachEdgePair(edges, callback) {
+      const sorted = edges
+         .map((edge) => ({
+            edge,
+            minX: Math.min(edge.x1, edge.x2),
+            maxX: Math.max(edge.x1, edge.x2),
+         }))
+         .sort((a, b) => a.minX - b.minX);
+
+      for (let i = 0; i < sorted.length; i++) {
+         for (let j = i + 1; j < sorted.length; j++) {
+            if (sorted[j].minX > sorted[i].maxX) {
+               break;
+            }
+            if (callback(sorted[i].edge, sorted[j].edge) === false) {
+               return;
+            }
+         }
+      }
+   }
+
+   /**
+    * Intersection of two edges
+    * @param {Object} a - First edge
+    * @param {Object} b - Second edge
+    * @param {boolean} inclusive - Whether touching endpoints count
+    * @returns {Array<number>|null} Intersection as [x, y], or null
+    */
+   static intersect(a, b, inclusive) {
+      const dax = a.x2 - a.x1;
+      const day = a.y2 - a.y1;
+      const dbx = b.x2 - b.x1;
+      const dby = b.y2 - b.y1;
+      const denominator = dax * dby - day * dbx;
+
+      if (denominator === 0) {
+         // Parallel edges only matter for the simplicity test when they overlap
+         if (!inclusive) {
+            return null;
+         }
+         const cross = (b.x1 - a.x1) * day - (b.y1 - a.y1) * dax;
+         if (cross !== 0) {
+            return null;
+         }
+         const length = dax * dax + day * day;
+         const t1 = ((b.x1 - a.x1) * dax + (b.y1 - a.y1) * day) / length;
+         const t2 = ((b.x2 - a.x1) * dax + (b.y2 - a.y1) * day) / length;
+         return Math.max(t1, t2) >= 0 && Math.min(t1, t2) <= 1
+            ? [b.x1, b.y1]
+            : null;
+      }
+
+      const t = ((b.x1 - a.x1) * dby - (b.y1 - a.y1) * dbx) / denominator;
+      const u = ((b.x1 - a.x1) * day - (b.y1 - a.y1) * dax) / denominator;
+      const inside = inclusive
+         ? t >= 0 && t <= 1 && u >= 0 && u <= 1
+         : t > 0 && t < 1 && u > 0 && u < 1;
+
+      return inside ? [a.x1 + t * dax, a.y1 + t * day] : null;
+   }
+
+   /**
+    * Fill any set of rings by cutting it into horizontal slabs
+    * Slab boundaries sit at every vertex and crossing, so the edges inside
+    * a slab never cross and their left-to-right order gives the winding
+    * number of each span between them
+    * @param {Array<Array<number>>} rings - Flat point lists, one per ring
+    * @param {string} fillRule - "nonzero" or "evenodd"
+    * @returns {Array<number>} Triangle list
+    */
+   static fillTrapezoids(rings, fillRule) {
+      const edges = Tessellator.collectEdges(rings, false);
+      const triangles = [];
+      if (edges.length < 2) {
+         return triangles;
+      }
+
+      // Every vertex and crossing starts a new slab
+      const levels = [];
+      for (const edge of edges) {
+         levels.push(edge.y1, edge.y2);
+      }
+      Tessellator.forEachEdgePair(edges, (a, b) => {
+         const point = Tessellator.intersect(a, b, false);
+         if (point) {
+            levels.push(point[1]);
+         }
+      });
+      levels.sort((a, b) => a - b);
+
+      edges.sort((a, b) => a.minY - b.minY);
+      let nextEdge = 0;
+      let active = [];
+
+      for (let i = 0; i < levels.length - 1; i++) {
+         const top = levels[i];
+         const bottom = levels[i + 1];
+         if (bottom - top < 1e-9) {
+            continue;
+         }
+
+         // Update the edges spanning this slab
+         while (nextEdge < edges.length && edges[nextEdge].minY <= top) {
+            active.push(edges[nextEdge++]);
+         }
+         active = active.filter((edge) => edge.maxY > top);
+
+         const middle = (top + bottom) / 2;
+         const spans = active
+            .filter((edge) => edge.minY < bottom)
+            .map((edge) => ({
+               winding: edge.winding,
+               top: Tessellator.edgeX(edge, top),
+               middle: Tessellator.edgeX(edge, middle),
+               bottom: Tessellator.edgeX(edge, bottom),
+            }))
+            .sort((a, b) => a.middle - b.middle);
+
+         // Emit a trapezoid for every span the fill rule considers inside
+         let winding = 0;
+         for (let j = 0; j < spans.length - 1; j++) {
+            winding += spans[j].winding;
+            const inside =
+               fillRule === "evenodd" ? winding % 2 !== 0 : winding !== 0;
+            if (!inside) {
+               continue;
+            }
+
+            const left = spans[j];
+            const right = spans[j + 1];
+            triangles.push(
+               left.top,
+               top,
+               right.top,
+               top,
+               left.bottom,
+               bottom,
+               right.top,
+               top,
+               right.bottom,
+               bottom,
+               left.bottom,
+               bottom
+            );
+         }
+      }
+
+      return triangles;
+   }
+
+   /**
+    * X coordinate of an edge at the given height
+    */
+   static edgeX(edge, y) {
+      return (
+         edge.x1 + ((y - edge.y1) * (edge.x2 - edge.x1)) / (edge.y2 - edge.y1)
+      );
+   }
+}
+
+// Largest distance, in screen pixels, between a curve and the polyline that
+// approximates it. This is the global quality setting for every renderer:
+// lower values give smoother curves at the cost of more vertices.
+Tessellator.tolerance = 0.25;
+
+// Bounds on the number of segments generated for a single curve
+Tessellator.minCircleSegments = 8;
+Tessellator.maxCurveSegments = 512;